@@ -0,0 +1,127 @@
+/**
+ * HyperBEAM Chat Production Build
+ *
+ * Bundles config.js, the js/ modules and the inline app script from index.html
+ * into one hashed script, extracts the inline CSS into a hashed stylesheet, and
+ * writes gzip and brotli copies of every asset to dist/. server.js serves dist/
+ * when it exists (unless started with --dev).
+ *
+ * Usage: bun run build [--out <dir>]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const ROOT = __dirname;
+const SCRIPT_TAG_PATTERN = /[ \t]*<script src="([^"]+)"><\/script>\n?/g;
+const STYLE_PATTERN = /<style>([\s\S]*?)<\/style>/;
+const INLINE_SCRIPT_PATTERN = /<script>([\s\S]*?)<\/script>(?![\s\S]*<script>)/;
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const parsed = { outDir: path.join(ROOT, 'dist') };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--out' && args[i + 1]) {
+            parsed.outDir = path.resolve(args[i + 1]);
+            i++;
+        }
+    }
+
+    return parsed;
+}
+
+/**
+ * Short content hash used in asset file names
+ */
+function contentHash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').substring(0, 10);
+}
+
+/**
+ * Collapse whitespace without touching identifiers, so the scripts keep sharing globals
+ */
+function minifyScript(source) {
+    const transpiler = new Bun.Transpiler({ loader: 'js', minifyWhitespace: true });
+    return transpiler.transformSync(source);
+}
+
+/**
+ * Drop comments and indentation from CSS
+ */
+function minifyStyles(source) {
+    return source
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * Write an asset plus its .gz and .br copies; returns the path relative to dist/
+ */
+function writeAsset(outDir, name, extension, content) {
+    const fileName = `assets/${name}.${contentHash(content)}.${extension}`;
+    const filePath = path.join(outDir, fileName);
+
+    fs.writeFileSync(filePath, content);
+    fs.writeFileSync(`${filePath}.gz`, zlib.gzipSync(content, { level: zlib.constants.Z_BEST_COMPRESSION }));
+    fs.writeFileSync(`${filePath}.br`, zlib.brotliCompressSync(content, {
+        params: { [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY }
+    }));
+
+    return fileName;
+}
+
+function build() {
+    const { outDir } = parseArgs();
+    let html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+    // Module scripts in the order index.html loads them
+    const modules = [];
+    html = html.replace(SCRIPT_TAG_PATTERN, (tag, src) => {
+        modules.push(src);
+        return '';
+    });
+    html = html.replace(/[ \t]*<!-- Load our modular components -->\n/, '');
+
+    const styleMatch = html.match(STYLE_PATTERN);
+    const inlineMatch = html.match(INLINE_SCRIPT_PATTERN);
+    if (!styleMatch || !inlineMatch) {
+        throw new Error('index.html must contain an inline <style> and a final inline <script>');
+    }
+
+    // Each part ends with a newline and semicolon so ASI behaves as in separate files
+    const bundle = modules
+        .map(src => `// ${src}\n${fs.readFileSync(path.join(ROOT, src), 'utf8')}\n;`)
+        .concat(`// index.html\n${inlineMatch[1]}\n;`)
+        .join('\n');
+
+    fs.rmSync(outDir, { recursive: true, force: true });
+    fs.mkdirSync(path.join(outDir, 'assets'), { recursive: true });
+
+    const scriptFile = writeAsset(outDir, 'app', 'js', minifyScript(bundle));
+    const styleFile = writeAsset(outDir, 'app', 'css', minifyStyles(styleMatch[1]));
+
+    html = html
+        .replace(STYLE_PATTERN, () => `<link rel="stylesheet" href="${styleFile}">`)
+        .replace(INLINE_SCRIPT_PATTERN, () => `<script src="${scriptFile}"></script>`);
+    fs.writeFileSync(path.join(outDir, 'index.html'), html);
+
+    const manifest = {
+        builtAt: new Date().toISOString(),
+        modules,
+        assets: { 'app.js': scriptFile, 'app.css': styleFile }
+    };
+    fs.writeFileSync(path.join(outDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+    console.log(`📦 Bundled ${modules.length} modules and the app script into ${scriptFile}`);
+    console.log(`🎨 Extracted styles into ${styleFile}`);
+    console.log(`✅ Build written to ${path.relative(ROOT, outDir) || outDir}`);
+}
+
+build();
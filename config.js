@@ -5,13 +5,11 @@
 
 const CONFIG = {
     // HyperBEAM Node Configuration  
-    HYPERBEAM_NODE: '/api/hyperbeam',  // Always use proxy for localhost:8734
+    // Always use the proxy; upstream nodes and failover are configured in server.js (--upstream)
+    HYPERBEAM_NODE: '/api/hyperbeam',
     
-    // Backup nodes in case primary fails
-    BACKUP_NODES: [
-        'https://hyperbeam.ao-testnet.xyz',
-        'https://ao-hyperbeam.dev'
-    ],
+    // Nodes the proxy fails over to after its primary upstreams (set by the server)
+    BACKUP_NODES: [],
     
     // AO Process Configuration
     _processId: '2gTTMIrA8Z2DsHRxsUHmWYGiI-RuK025IW6_H1pVvbQ',
@@ -58,14 +56,14 @@ const CONFIG = {
         PROCESS_NOW_MESSAGES: (processId) => `/${processId}/now/messages/serialize~json@1.0`,
         PROCESS_MESSAGE_COUNT: (processId) => `/${processId}/now/lenmessages/serialize~json@1.0`,
         PROCESS_INDIVIDUAL_MESSAGE: (processId, messageIndex) => `/${processId}/now/messages/${messageIndex}/serialize~json@1.0`,
+        PROCESS_MESSAGE_RANGE: (processId, from, to) => `/${processId}/now/messages/${from}-${to}/serialize~json@1.0`,
+        PROCESS_REACTION_COUNT: (processId) => `/${processId}/now/lenreactions/serialize~json@1.0`,
+        PROCESS_REACTIONS: (processId) => `/${processId}/now/reactions/serialize~json@1.0`,
+        PROCESS_EDIT_COUNT: (processId) => `/${processId}/now/lenedits/serialize~json@1.0`,
+        PROCESS_EDITS: (processId) => `/${processId}/now/edits/serialize~json@1.0`,
         PROCESS_PUSH: (processId, action) => `/${processId}/push&action=${action}&!/serialize~json@1.0`,
-        PROCESS_PUSH_WITH_PARAMS: (processId, action, params) => {
-            // Manual parameter construction for HyperBEAM URLs
-            const queryParams = Object.entries(params)
-                .map(([key, value]) => `${key}=${value}`)
-                .join('&');
-            return `/${processId}/push&action=${action}&${queryParams}&!/serialize~json@1.0`;
-        },
+        // Shared with the WebSocket relay (js/push-path.js), values percent-encoded
+        PROCESS_PUSH_WITH_PARAMS: (processId, action, params) => buildPushPath(processId, action, params),
         PROCESS_SLOT_COMPUTE: (processId, slot) => 
             `/${processId}~process@1.0/compute&slot=${slot}/results/serialize~json@1.0`,
         
@@ -103,7 +101,11 @@ const CONFIG = {
     // Message Configuration
     MESSAGES: {
         MAX_MESSAGE_LENGTH: 1000,
-        MAX_MESSAGES_TO_STORE: 100,
+        HISTORY_PAGE_SIZE: 50,  // Older messages fetched per scroll to the top
+        MAX_LOADED_MESSAGES: 500,  // Messages kept in the DOM while reading back
+        REACTION_EMOJI: ['👍', '❤️', '😂', '🎉', '😮', '👀'],  // Offered by the reaction picker
+        MAX_MENTIONS: 10,  // Wallets attached to one message's mentions param
+        MAX_SEARCH_RESULTS: 50,  // Results listed by the search panel
         DEFAULT_TAGS: [
             { name: 'Protocol', value: 'HyperBEAM-Chat' },
             { name: 'Version', value: '1.0' }
@@ -121,7 +123,43 @@ const CONFIG = {
         SLOT_POLL_INTERVAL: 2000,
         SLOT_ADVANCEMENT_TIMEOUT: 10000,
         POST_SEND_DELAY: 1000,
-        HEALTH_CHECK_INTERVAL: 30000
+        HEALTH_CHECK_INTERVAL: 30000,
+        BACKGROUND_POLL_INTERVAL: 15000,  // Slot checks for rooms that aren't open
+        CONFIRMATION_TIMEOUT: 15000  // A sent message not seen in the process by then is shown as unconfirmed
+    },
+    
+    // Realtime Updates Configuration
+    REALTIME: {
+        TRANSPORT: 'websocket',          // 'websocket' to send/receive over /api/ws, 'http' for push + SSE
+        WEBSOCKET_PATH: '/api/ws',       // WebSocket endpoint (/api/ws/:processId)
+        CONNECT_TIMEOUT: 5000,           // Give up on the WebSocket and use HTTP after this long
+        SEND_TIMEOUT: 15000,             // Stop waiting for a WebSocket ack (then confirm by nonce)
+        TYPING_TIMEOUT: 3000,            // Stop showing "typing" after this long without input
+        USE_EVENT_STREAM: true,          // Prefer the server's SSE stream over client polling
+        EVENT_STREAM_PATH: '/api/events' // Server-Sent Events endpoint (/api/events/:processId)
+    },
+    
+    // Local (IndexedDB) message cache, see js/message-store.js
+    LOCAL_CACHE: {
+        ENABLED: true,
+        MAX_MESSAGES_PER_ROOM: 5000,  // Oldest cached messages beyond this are evicted
+        MAX_AGE_DAYS: 30              // Rooms not opened for this long are evicted
+    },
+    
+    // Outbox for failed sends, see js/outbox.js
+    OUTBOX: {
+        RETRY_BASE_DELAY: 2000,   // First automatic retry, doubled on each attempt
+        MAX_RETRY_DELAY: 60000,   // Longest wait between automatic retries
+        MAX_ATTEMPTS: 8           // Then the message waits for a manual retry
+    },
+    
+    // Message Fetching Configuration
+    FETCH: {
+        CONCURRENCY: 6,          // Message requests in flight at once
+        MAX_RETRIES: 3,          // Retries for network errors, 429s and 5xx responses
+        RETRY_BASE_DELAY: 250,   // First retry delay, doubled on each attempt
+        MAX_INDEX_ATTEMPTS: 5,   // Loads of a message that keeps failing before it is skipped
+        RANGE_ENDPOINT: false    // Fetch /now/messages/<from>-<to> in one request (node must support it)
     },
     
     // UI Configuration
@@ -146,6 +184,69 @@ const CONFIG = {
         }
     },
     
+    // Runtime configuration served by the server (see server/runtime-config.js)
+    RUNTIME_CONFIG_PATH: '/api/config',
+    
+    /**
+     * Fetch /api/config and hydrate CONFIG from it; keeps the defaults above if unavailable
+     */
+    loadRuntimeConfig: async function() {
+        try {
+            const response = await fetch(this.RUNTIME_CONFIG_PATH, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const runtime = await response.json();
+            const applied = this.hydrate(runtime.settings || {});
+            this.log(`Loaded runtime config (${applied} changed from defaults)`);
+            return true;
+        } catch (error) {
+            this.log('Runtime config unavailable, using built-in defaults:', error.message);
+            return false;
+        }
+    },
+    
+    /**
+     * Apply { 'TIMING.MESSAGE_POLL_INTERVAL': 3000, ... }, skipping unknown paths and
+     * values whose type doesn't match the built-in default
+     */
+    hydrate: function(settings) {
+        let applied = 0;
+        
+        Object.entries(settings).forEach(([path, value]) => {
+            const keys = path.split('.');
+            const key = keys.pop();
+            const target = keys.reduce((object, name) => (object ? object[name] : undefined), this);
+            
+            if (!target || !(key in target)) {
+                this.debug(`Ignoring unknown runtime setting ${path}`);
+                return;
+            }
+            
+            const current = target[key];
+            const sameType = Array.isArray(current)
+                ? Array.isArray(value)
+                : typeof value === typeof current && (typeof value !== 'number' || Number.isFinite(value));
+            if (!sameType) {
+                this.log(`Ignoring runtime setting ${path}: expected ${Array.isArray(current) ? 'array' : typeof current}`);
+                return;
+            }
+            
+            if (value === current) {
+                return;
+            }
+            
+            try {
+                target[key] = value; // PROCESS_ID goes through its validating setter
+                applied++;
+            } catch (error) {
+                this.log(`Ignoring runtime setting ${path}: ${error.message}`);
+            }
+        });
+        
+        return applied;
+    },
+    
     // Validation function
     validate: function() {
         if (!this.PROCESS_ID) {
@@ -2,9 +2,10 @@
 // Retrieves chat messages from AO process compute results
 
 class ChatHistory {
-    constructor(hyperbeamApi, processId) {
+    constructor(hyperbeamApi, processId, messageStore = null) {
         this.api = hyperbeamApi;
         this.processId = processId;
+        this.messageStore = messageStore; // IndexedDB cache shared by all rooms (MessageStore)
         this.cachedMessages = new Map(); // slot -> messages
         this.messageCache = []; // Simple array cache for /now/messages results
         this.currentSlot = 0;
@@ -12,7 +13,31 @@ class ChatHistory {
         this.lastFetchTime = 0;
         this.lastMessageCount = 0; // Track last known message count for efficient polling
         this.messageCountCache = 0; // Cache the message count
+        this.messageCountOk = false; // Whether the last count request succeeded
         this.highestMessageId = 0; // Track highest message ID we've seen for pagination
+        this.lowestMessageId = 0; // Oldest message index loaded, for paging backwards
+        this.failedIndexes = new Map(); // Message index -> loads that came back without it
+        this.skippedIndexes = new Set(); // Indexes given up on after FETCH.MAX_INDEX_ATTEMPTS, treated as loaded
+        this.reactions = {}; // The process's reactions table: message index -> { emoji: [wallet, ...] }
+        this.reactionCount = null; // lenreactions when the table was last fetched
+        this.reactionRefresh = null; // In-flight refresh, shared by concurrent callers
+        this.edits = {}; // The process's edits table: message index -> { revisions: [{ content, timestamp }], deleted }
+        this.editCount = null; // lenedits when the table was last fetched
+        this.editRefresh = null;
+        this.replies = new Map(); // Parent message index -> Map of reply index -> reply, for every message seen
+        this.searchIndex = new MessageSearch(); // Every message seen, plus the local cache once loadSearchIndex runs
+        this.searchIndexLoad = null;
+        
+        // Parallel per-index fetching, or one request per range when the node serves it
+        const fetchConfig = this.api.config.FETCH || {};
+        this.scheduler = new FetchScheduler({
+            concurrency: fetchConfig.CONCURRENCY,
+            maxRetries: fetchConfig.MAX_RETRIES,
+            retryBaseDelay: fetchConfig.RETRY_BASE_DELAY,
+            log: (...args) => this.api.config.log(...args)
+        });
+        this.useRangeEndpoint = !!fetchConfig.RANGE_ENDPOINT;
+        this.maxIndexAttempts = fetchConfig.MAX_INDEX_ATTEMPTS || 5;
     }
 
     async getCurrentSlot() {
@@ -53,12 +78,14 @@ class ChatHistory {
 
             if (response.ok && response.data && response.data.body !== undefined) {
                 this.messageCountCache = parseInt(response.data.body);
+                this.messageCountOk = true;
                 console.log(`Current message count: ${this.messageCountCache}`);
                 return this.messageCountCache;
             }
         } catch (error) {
             console.error('Error getting message count:', error);
         }
+        this.messageCountOk = false;
         return this.messageCountCache; // Return cached value on error
     }
 
@@ -67,31 +94,511 @@ class ChatHistory {
      */
     async fetchIndividualMessage(messageIndex) {
         try {
-            const endpoint = this.api.config.getEndpoint('PROCESS_INDIVIDUAL_MESSAGE', this.processId, messageIndex);
-            const response = await this.api.makeRequest(endpoint, {
-                method: 'GET'
-            });
-
-            if (response.ok && response.data) {
-                const messageData = response.data;
-                
-                // Convert to our standard message format
-                const message = {
-                    content: messageData.content,
-                    username: messageData.username || 'Chat User',
-                    timestamp: parseInt(messageData.timestamp) || Date.now(),
-                    walletAddress: messageData.wallet_address || null,
-                    id: messageIndex.toString() // Use index as message ID
-                };
-                
-                return message;
+            const [message] = await Promise.all([this.requestMessage(messageIndex), this.refreshReactions(), this.refreshEdits()]);
+            if (message) {
+                this.recordMessages([message]);
             }
+            return message && this.withEdits(this.withReactions(message));
         } catch (error) {
             console.error(`Error fetching message ${messageIndex}:`, error);
         }
         return null;
     }
 
+    /**
+     * Request one message; throws on failures worth retrying (network, 429, 5xx)
+     * and returns null when the message doesn't exist
+     */
+    async requestMessage(messageIndex) {
+        const endpoint = this.api.config.getEndpoint('PROCESS_INDIVIDUAL_MESSAGE', this.processId, messageIndex);
+        const response = await this.api.makeRequest(endpoint, {
+            method: 'GET'
+        });
+
+        if (response.ok && response.data) {
+            return this.normalizeMessage(response.data, messageIndex);
+        }
+        if (this.isRetryable(response)) {
+            throw new Error(`HTTP ${response.status || response.error}`);
+        }
+        return null;
+    }
+
+    isRetryable(response) {
+        return response.status === 0 || response.status === 429 || response.status >= 500;
+    }
+
+    /**
+     * Fetch messages startId..endId (inclusive), in index order, skipping any that are missing
+     */
+    async fetchMessageRange(startId, endId) {
+        if (endId < startId) {
+            return [];
+        }
+        
+        const startTime = performance.now();
+        const tableRefresh = Promise.all([this.refreshReactions(), this.refreshEdits()]);
+        
+        // Messages never change once written, so anything cached locally is final
+        // (reactions and edits live in their own tables and are applied below)
+        const cached = this.messageStore
+            ? await this.messageStore.getRange(this.processId, startId, endId)
+            : new Map();
+        const missing = [];
+        for (let messageIndex = startId; messageIndex <= endId; messageIndex++) {
+            if (!cached.has(messageIndex)) {
+                missing.push(messageIndex);
+            }
+        }
+        
+        const fetched = await this.fetchFromNode(missing);
+        if (this.messageStore) {
+            await this.messageStore.putMessages(this.processId,
+                Array.from(fetched, ([index, message]) => ({ index, message })));
+        }
+        
+        await tableRefresh;
+        this.recordMessages([...cached.values(), ...fetched.values()]);
+        const found = [];
+        for (let messageIndex = startId; messageIndex <= endId; messageIndex++) {
+            const message = cached.get(messageIndex) || fetched.get(messageIndex);
+            if (message) {
+                this.failedIndexes.delete(messageIndex);
+                found.push(this.withEdits(this.withReactions(message)));
+            } else {
+                this.recordFailedIndex(messageIndex);
+            }
+        }
+        
+        console.log(`⚡ FETCH: Messages ${startId}-${endId} (${cached.size} cached, ${fetched.size} fetched) in ${Math.round(performance.now() - startTime)}ms`);
+        return found;
+    }
+
+    /**
+     * Count a load that came back without this message; after
+     * FETCH.MAX_INDEX_ATTEMPTS it is skipped so the cursors can move past it
+     */
+    recordFailedIndex(messageIndex) {
+        const attempts = (this.failedIndexes.get(messageIndex) || 0) + 1;
+        this.failedIndexes.set(messageIndex, attempts);
+        if (attempts >= this.maxIndexAttempts && !this.skippedIndexes.has(messageIndex)) {
+            console.warn(`Skipping message ${messageIndex} after ${attempts} failed loads`);
+            this.skippedIndexes.add(messageIndex);
+        }
+    }
+
+    /**
+     * Loaded in this fetch, or skipped for good
+     */
+    isSettled(messageIndex, fetchedIndexes) {
+        return fetchedIndexes.has(messageIndex) || this.skippedIndexes.has(messageIndex);
+    }
+
+    /**
+     * Fetch the given indexes from the node; returns a Map of index -> message
+     */
+    async fetchFromNode(indexes) {
+        const fetched = new Map();
+        if (indexes.length === 0) {
+            return fetched;
+        }
+        
+        let messages = null;
+        if (this.useRangeEndpoint) {
+            const startId = indexes[0];
+            const rangeMessages = await this.requestMessageRange(startId, indexes[indexes.length - 1]);
+            messages = rangeMessages && indexes.map(messageIndex => rangeMessages[messageIndex - startId]);
+        }
+        if (!messages) {
+            messages = await this.scheduler.map(indexes, (messageIndex) => this.requestMessage(messageIndex));
+        }
+        
+        indexes.forEach((messageIndex, i) => {
+            if (messages[i]) {
+                fetched.set(messageIndex, messages[i]);
+            }
+        });
+        return fetched;
+    }
+
+    /**
+     * Latest locally cached messages (up to maxMessages), for rendering before
+     * anything is fetched. Only the unbroken run ending at the highest cached
+     * index is used, so fetching newer and paging older both continue from it.
+     */
+    async getCachedHistory(maxMessages = 150) {
+        if (!this.messageStore) {
+            return [];
+        }
+        
+        const highestIndex = await this.messageStore.getHighestIndex(this.processId);
+        if (highestIndex === 0) {
+            return [];
+        }
+        
+        const startId = Math.max(1, highestIndex - maxMessages + 1);
+        const cached = await this.messageStore.getRange(this.processId, startId, highestIndex);
+        const messages = [];
+        let messageIndex = highestIndex;
+        while (messageIndex >= startId && cached.has(messageIndex)) {
+            messages.unshift(cached.get(messageIndex));
+            messageIndex--;
+        }
+        
+        this.highestMessageId = highestIndex;
+        this.lowestMessageId = messageIndex + 1;
+        this.recordMessages(messages);
+        this.messageStore.touch(this.processId);
+        
+        console.log(`💾 CACHE: ${messages.length} cached messages (${this.lowestMessageId}-${highestIndex})`);
+        return messages;
+    }
+
+    /**
+     * Check that cached history can simply be extended with newer messages:
+     * the process must not have fewer messages than we cached (it was reset, or
+     * this is a different node's state) and the gap must be at most maxGap
+     */
+    async canResumeFromCache(maxGap) {
+        const currentCount = await this.getMessageCount();
+        if (!this.messageCountOk) {
+            // Offline: show what we have
+            return true;
+        }
+        
+        if (currentCount < this.highestMessageId) {
+            console.log(`💾 CACHE: Process has ${currentCount} messages but ${this.highestMessageId} are cached; discarding cache`);
+            await this.messageStore.clearProcess(this.processId);
+            this.resetSearchIndex();
+            this.highestMessageId = 0;
+            this.lowestMessageId = 0;
+            this.failedIndexes.clear();
+            this.skippedIndexes.clear();
+            return false;
+        }
+        
+        return currentCount - this.highestMessageId <= maxGap;
+    }
+
+    /**
+     * One request for a whole range, for nodes that serve /now/messages/<from>-<to>.
+     * Returns null (and stops trying ranges) if the node doesn't support it.
+     */
+    async requestMessageRange(startId, endId) {
+        try {
+            const endpoint = this.api.config.getEndpoint('PROCESS_MESSAGE_RANGE', this.processId, startId, endId);
+            const response = await this.api.makeRequest(endpoint, { method: 'GET' });
+            
+            // Ranges are only requested for indexes that exist, so a response holding
+            // none of them means the node answered some other path
+            const data = response.ok && response.data && typeof response.data === 'object' ? response.data : {};
+            const messages = [];
+            for (let messageIndex = startId; messageIndex <= endId; messageIndex++) {
+                const messageData = data[messageIndex];
+                messages.push(messageData && messageData.content !== undefined ? this.normalizeMessage(messageData, messageIndex) : null);
+            }
+            if (messages.some(Boolean)) {
+                return messages;
+            }
+            
+            if (!this.isRetryable(response)) {
+                console.log(`Range endpoint unavailable (HTTP ${response.status}), fetching messages individually`);
+                this.useRangeEndpoint = false;
+            }
+        } catch (error) {
+            console.error(`Error fetching messages ${startId}-${endId}:`, error);
+        }
+        return null;
+    }
+
+    /**
+     * Convert raw /now/messages/N data to our standard message format
+     */
+    normalizeMessage(messageData, messageIndex) {
+        return {
+            content: messageData.content,
+            username: messageData.username || 'Chat User',
+            timestamp: parseInt(messageData.timestamp) || Date.now(),
+            walletAddress: messageData.wallet_address || null,
+            nonce: messageData.nonce || null, // Sender's push nonce, used to confirm their optimistic copy
+            replyTo: parseInt(messageData.reply_to) || null, // Index of the message this replies to
+            slot: parseInt(messageData.slot) || null, // Slot the process handled it in
+            mentions: typeof messageData.mentions === 'string' && messageData.mentions ? messageData.mentions.split(',') : [], // Wallets @mentioned
+            id: messageIndex.toString() // Use index as message ID
+        };
+    }
+
+    /**
+     * Refetch the reactions table if lenreactions says it changed; resolves to
+     * the set of message indexes whose reactions differ from before
+     */
+    refreshReactions() {
+        if (!this.reactionRefresh) {
+            this.reactionRefresh = this.fetchReactions().finally(() => {
+                this.reactionRefresh = null;
+            });
+        }
+        return this.reactionRefresh;
+    }
+
+    async fetchReactions() {
+        const changed = new Set();
+        
+        try {
+            const countEndpoint = this.api.config.getEndpoint('PROCESS_REACTION_COUNT', this.processId);
+            const countResponse = await this.api.makeRequest(countEndpoint, { method: 'GET' });
+            // Processes without the reaction handler have no lenreactions
+            if (!countResponse.ok || countResponse.data?.body === undefined) {
+                return changed;
+            }
+            
+            const reactionCount = parseInt(countResponse.data.body);
+            if (reactionCount === this.reactionCount) {
+                return changed;
+            }
+            
+            const endpoint = this.api.config.getEndpoint('PROCESS_REACTIONS', this.processId);
+            const response = await this.api.makeRequest(endpoint, { method: 'GET' });
+            if (!response.ok || !response.data || typeof response.data !== 'object') {
+                return changed;
+            }
+            
+            const reactions = this.normalizeReactions(response.data);
+            new Set([...Object.keys(this.reactions), ...Object.keys(reactions)]).forEach(messageIndex => {
+                if (JSON.stringify(this.reactions[messageIndex] || {}) !== JSON.stringify(reactions[messageIndex] || {})) {
+                    changed.add(parseInt(messageIndex));
+                }
+            });
+            
+            this.reactions = reactions;
+            this.reactionCount = reactionCount;
+            console.log(`😀 REACTIONS: Table refreshed (lenreactions ${reactionCount}, ${changed.size} messages changed)`);
+        } catch (error) {
+            console.error('Error fetching reactions:', error);
+        }
+        
+        return changed;
+    }
+
+    /**
+     * Lua tables may serialize as arrays or index-keyed objects; always give
+     * { index: { emoji: [wallet, ...] } } with empty entries dropped
+     */
+    normalizeReactions(table) {
+        const reactions = {};
+        Object.entries(Array.isArray(table) ? {} : table).forEach(([messageIndex, byEmoji]) => {
+            const entry = {};
+            Object.entries(byEmoji && typeof byEmoji === 'object' ? byEmoji : {}).forEach(([emoji, reactors]) => {
+                const wallets = Object.values(reactors || {}).filter(wallet => typeof wallet === 'string');
+                if (wallets.length > 0) {
+                    entry[emoji] = wallets;
+                }
+            });
+            if (Object.keys(entry).length > 0) {
+                reactions[messageIndex] = entry;
+            }
+        });
+        return reactions;
+    }
+
+    /**
+     * Reactions on a message, as { emoji: [wallet, ...] }
+     */
+    getReactions(messageIndex) {
+        return this.reactions[messageIndex] || {};
+    }
+
+    /**
+     * Copy of a message with its current reactions attached (the cached original stays reaction-free)
+     */
+    withReactions(message) {
+        return { ...message, reactions: this.getReactions(message.id) };
+    }
+
+    /**
+     * Refetch the edits table if lenedits says it changed; resolves to the set
+     * of message indexes that were edited or deleted since the last fetch
+     */
+    refreshEdits() {
+        if (!this.editRefresh) {
+            this.editRefresh = this.fetchEdits().finally(() => {
+                this.editRefresh = null;
+            });
+        }
+        return this.editRefresh;
+    }
+
+    async fetchEdits() {
+        const changed = new Set();
+        
+        try {
+            const countEndpoint = this.api.config.getEndpoint('PROCESS_EDIT_COUNT', this.processId);
+            const countResponse = await this.api.makeRequest(countEndpoint, { method: 'GET' });
+            // Processes without the edit handlers have no lenedits
+            if (!countResponse.ok || countResponse.data?.body === undefined) {
+                return changed;
+            }
+            
+            const editCount = parseInt(countResponse.data.body);
+            if (editCount === this.editCount) {
+                return changed;
+            }
+            
+            const endpoint = this.api.config.getEndpoint('PROCESS_EDITS', this.processId);
+            const response = await this.api.makeRequest(endpoint, { method: 'GET' });
+            if (!response.ok || !response.data || typeof response.data !== 'object') {
+                return changed;
+            }
+            
+            const edits = this.normalizeEdits(response.data);
+            new Set([...Object.keys(this.edits), ...Object.keys(edits)]).forEach(messageIndex => {
+                if (JSON.stringify(this.edits[messageIndex] || null) !== JSON.stringify(edits[messageIndex] || null)) {
+                    changed.add(parseInt(messageIndex));
+                }
+            });
+            
+            this.edits = edits;
+            this.editCount = editCount;
+            
+            // Search the latest text of edited messages, and not deleted ones
+            changed.forEach(messageIndex => {
+                const indexed = this.searchIndex.get(messageIndex);
+                if (indexed) {
+                    this.searchIndex.add([this.withEdits(indexed, messageIndex)]);
+                }
+            });
+            console.log(`✏️ EDITS: Table refreshed (lenedits ${editCount}, ${changed.size} messages changed)`);
+        } catch (error) {
+            console.error('Error fetching edits:', error);
+        }
+        
+        return changed;
+    }
+
+    /**
+     * Edits table as { index: { revisions: [{ content, timestamp }], deleted } },
+     * whether Lua serialized its arrays as arrays or index-keyed objects
+     */
+    normalizeEdits(table) {
+        const edits = {};
+        Object.entries(Array.isArray(table) ? {} : table).forEach(([messageIndex, entry]) => {
+            if (!entry || typeof entry !== 'object') {
+                return;
+            }
+            const revisions = Object.values(entry.revisions || {})
+                .filter(revision => revision && typeof revision.content === 'string')
+                .map(revision => ({ content: revision.content, timestamp: parseInt(revision.timestamp) || null }));
+            const deleted = parseInt(entry.deleted) || null;
+            if (revisions.length > 0 || deleted) {
+                edits[messageIndex] = { revisions, deleted };
+            }
+        });
+        return edits;
+    }
+
+    /**
+     * Copy of a message with its edits applied: the latest text plus every
+     * revision (original first), or an empty tombstone if it was deleted.
+     * Also works on a message that already had older edits applied.
+     */
+    withEdits(message, messageIndex = message.id) {
+        const edit = this.edits[messageIndex];
+        if (!edit) {
+            return message;
+        }
+        
+        if (edit.deleted) {
+            return { ...message, content: '', deleted: true, deletedAt: edit.deleted, edited: false, revisions: [] };
+        }
+        
+        const original = message.revisions?.length > 0
+            ? message.revisions[0]
+            : { content: message.content, timestamp: message.timestamp };
+        const latest = edit.revisions[edit.revisions.length - 1];
+        return {
+            ...message,
+            content: latest.content,
+            edited: true,
+            editedAt: latest.timestamp,
+            revisions: [original, ...edit.revisions]
+        };
+    }
+
+    /**
+     * Take note of fetched messages: their replies and their (edited) text for search
+     */
+    recordMessages(messages) {
+        this.recordReplies(messages);
+        this.searchIndex.add(messages.map(message => this.withEdits(message)));
+    }
+
+    /**
+     * Note which messages reply to which, so a thread can list its replies even
+     * after they've been evicted from the view
+     */
+    recordReplies(messages) {
+        messages.forEach(message => {
+            if (!message.replyTo) {
+                return;
+            }
+            if (!this.replies.has(message.replyTo)) {
+                this.replies.set(message.replyTo, new Map());
+            }
+            this.replies.get(message.replyTo).set(parseInt(message.id), message);
+        });
+    }
+
+    /**
+     * Add every message in this room's local cache to the search index (once)
+     */
+    loadSearchIndex() {
+        if (!this.searchIndexLoad) {
+            this.searchIndexLoad = this.indexCachedMessages();
+        }
+        return this.searchIndexLoad;
+    }
+
+    resetSearchIndex() {
+        this.searchIndex.clear();
+        this.searchIndexLoad = null;
+    }
+
+    async indexCachedMessages() {
+        const startTime = performance.now();
+        await this.refreshEdits();
+        if (this.messageStore) {
+            const cached = await this.messageStore.getRange(this.processId, 1, Infinity);
+            this.recordMessages(Array.from(cached.values()));
+        }
+        console.log(`🔍 SEARCH: ${this.searchIndex.size} messages indexed in ${Math.round(performance.now() - startTime)}ms`);
+    }
+
+    /**
+     * Known replies to a message, oldest first
+     */
+    getReplies(messageIndex) {
+        const replies = this.replies.get(messageIndex);
+        return replies ? Array.from(replies.entries()).sort((a, b) => a[0] - b[0]).map(([, reply]) => reply) : [];
+    }
+
+    /**
+     * Record (and cache) a message delivered by the event stream so polling won't refetch it
+     */
+    recordStreamedMessage(messageIndex, message = null) {
+        if (message) {
+            this.recordMessages([message]);
+        }
+        if (message && this.messageStore) {
+            this.messageStore.putMessages(this.processId, [{ index: messageIndex, message }]);
+        }
+        if (messageIndex > this.highestMessageId) {
+            this.highestMessageId = messageIndex;
+        }
+        if (messageIndex > this.messageCountCache) {
+            this.messageCountCache = messageIndex;
+        }
+    }
+
     /**
      * Efficiently fetch only new messages since last check
      * Uses individual /N endpoints for bandwidth efficiency
@@ -120,17 +627,21 @@ class ChatHistory {
             
             console.log(`🔄 POLLING: Fetching messages ${startId} to ${currentCount}`);
             
-            for (let messageId = startId; messageId <= currentCount; messageId++) {
-                const message = await this.fetchIndividualMessage(messageId);
-                if (message) {
-                    messages.push(message);
-                }
+            const fetched = await this.fetchMessageRange(startId, currentCount);
+            
+            // Only advance past an unbroken run, so a message that failed to load
+            // is fetched again (with everything after it) on the next poll
+            const fetchedIndexes = new Set(fetched.map(message => parseInt(message.id)));
+            let highestId = this.highestMessageId;
+            while (highestId < currentCount && this.isSettled(highestId + 1, fetchedIndexes)) {
+                highestId++;
             }
+            messages.push(...fetched.filter(message => parseInt(message.id) <= highestId));
             
             // Update our highest ID tracking
-            if (messages.length > 0) {
-                this.highestMessageId = currentCount;
-                console.log(`📬 NEW MESSAGES: Found ${messages.length} new messages (highest ID: ${currentCount})`);
+            if (highestId > this.highestMessageId) {
+                this.highestMessageId = highestId;
+                console.log(`📬 NEW MESSAGES: Found ${messages.length} new messages (highest ID: ${highestId})`);
             }
             
             // Sort by timestamp
@@ -283,18 +794,19 @@ class ChatHistory {
                 const messagesToFetch = Math.min(maxMessages, totalMessages);
                 const startId = Math.max(1, totalMessages - messagesToFetch + 1);
                 
-                const messages = [];
+                // Fetch individual messages in parallel for bandwidth efficiency
+                const fetched = await this.fetchMessageRange(startId, totalMessages);
                 
-                // Fetch individual messages for bandwidth efficiency
-                for (let messageId = startId; messageId <= totalMessages; messageId++) {
-                    const message = await this.fetchIndividualMessage(messageId);
-                    if (message) {
-                        messages.push(message);
-                    }
+                // Lowest ID for loading older pages; the highest only covers the unbroken
+                // run from startId, so polling fetches a message that failed to load again
+                const fetchedIndexes = new Set(fetched.map(message => parseInt(message.id)));
+                let highestId = startId - 1;
+                while (highestId < totalMessages && this.isSettled(highestId + 1, fetchedIndexes)) {
+                    highestId++;
                 }
-                
-                // Update highest ID tracking for future polling
-                this.highestMessageId = totalMessages;
+                this.highestMessageId = highestId;
+                this.lowestMessageId = startId;
+                const messages = fetched.filter(message => parseInt(message.id) <= highestId);
                 
                 console.log(`Loaded ${messages.length} messages via individual /N endpoints (highest ID: ${this.highestMessageId})`);
                 return messages;
@@ -362,15 +874,8 @@ class ChatHistory {
             const messagesToFetch = Math.min(count, totalMessages);
             const startId = Math.max(1, totalMessages - messagesToFetch + 1);
             
-            const messages = [];
-            
-            // Fetch individual messages for bandwidth efficiency
-            for (let messageId = startId; messageId <= totalMessages; messageId++) {
-                const message = await this.fetchIndividualMessage(messageId);
-                if (message) {
-                    messages.push(message);
-                }
-            }
+            // Fetch individual messages in parallel for bandwidth efficiency
+            const messages = await this.fetchMessageRange(startId, totalMessages);
             
             // Sort by timestamp and return newest first
             messages.sort((a, b) => b.timestamp - a.timestamp);
@@ -407,6 +912,36 @@ class ChatHistory {
         this.cachedMessages.clear();
     }
 
+    /**
+     * Whether there are messages before the oldest one loaded
+     */
+    hasOlderMessages() {
+        return this.lowestMessageId > 1;
+    }
+
+    /**
+     * Fetch the page of messages just before the oldest one loaded. Only the
+     * unbroken run ending next to it is returned and counted as loaded, so the
+     * lowest index doesn't move if the fetch fails.
+     */
+    async getOlderMessages(pageSize = 50) {
+        if (!this.hasOlderMessages()) {
+            return [];
+        }
+        
+        const endId = this.lowestMessageId - 1;
+        const startId = Math.max(1, endId - pageSize + 1);
+        
+        console.log(`📜 HISTORY: Fetching older messages ${startId} to ${endId}`);
+        const fetched = await this.fetchMessageRange(startId, endId);
+        
+        const fetchedIndexes = new Set(fetched.map(message => parseInt(message.id)));
+        while (this.lowestMessageId - 1 >= startId && this.isSettled(this.lowestMessageId - 1, fetchedIndexes)) {
+            this.lowestMessageId--;
+        }
+        return fetched.filter(message => parseInt(message.id) >= this.lowestMessageId);
+    }
+
     // Get chat statistics - optimized to use cached data
     async getStats(currentUserWalletAddress = null) {
         // Use cached message count instead of refetching all messages
@@ -0,0 +1,237 @@
+/**
+ * HyperBEAM Chat Transport
+ *
+ * Sends chat messages over the server's WebSocket (/api/ws/:processId) when it
+ * is connected and over HTTP push otherwise. Either way send() resolves with the
+ * same { ok, status, statusText, data, error } shape as HyperBEAMAPI.makeRequest.
+ * A socket send that's never acked resolves with `unknown: true`: the server may
+ * already have pushed it, so it must be confirmed by nonce, not sent again.
+ * Also surfaces the socket's message, slot, typing and presence frames.
+ */
+
+class ChatTransport {
+    constructor(hyperbeamAPI) {
+        this.api = hyperbeamAPI;
+        this.config = hyperbeamAPI.config;
+        this.socket = null;
+        this.pendingSends = new Map(); // client message id -> { resolve, timer }
+        this.sendCount = 0;
+
+        // Frame handlers
+        this.eventHandlers = {
+            ready: [],
+            message: [],
+            slot: [],
+            typing: [],
+            presence: [],
+            close: []
+        };
+    }
+
+    /**
+     * Whether sends currently go over the WebSocket
+     */
+    isSocketOpen() {
+        return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * Name of the transport that send() will use
+     */
+    getMode() {
+        return this.isSocketOpen() ? 'websocket' : 'http';
+    }
+
+    /**
+     * Open the WebSocket for a process; resolves false if unavailable or disabled
+     */
+    connect(processId, since = 0) {
+        if (this.config.REALTIME?.TRANSPORT !== 'websocket' || typeof WebSocket === 'undefined') {
+            return Promise.resolve(false);
+        }
+
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const socketUrl = `${protocol}//${window.location.host}${this.config.REALTIME.WEBSOCKET_PATH}/${processId}?since=${since}`;
+
+        return new Promise((resolve) => {
+            let settled = false;
+            let opened = false;
+            const settle = (connected) => {
+                if (!settled) {
+                    settled = true;
+                    resolve(connected);
+                }
+            };
+
+            this.config.log(`Connecting WebSocket transport ${socketUrl}`);
+            const socket = new WebSocket(socketUrl);
+            this.socket = socket;
+
+            const connectTimer = setTimeout(() => {
+                this.config.log('WebSocket transport timed out, using HTTP');
+                socket.close();
+                settle(false);
+            }, this.config.REALTIME.CONNECT_TIMEOUT);
+
+            socket.onopen = () => {
+                opened = true;
+                clearTimeout(connectTimer);
+                this.config.log('WebSocket transport connected');
+                settle(true);
+            };
+
+            socket.onmessage = (event) => {
+                try {
+                    this.handleFrame(JSON.parse(event.data));
+                } catch (error) {
+                    this.config.debug('Ignoring malformed WebSocket frame:', error);
+                }
+            };
+
+            socket.onclose = () => {
+                clearTimeout(connectTimer);
+                settle(false);
+                if (this.socket === socket) {
+                    this.socket = null;
+                    this.failPendingSends('WebSocket closed before confirmation');
+                    // A socket that never opened is reported through connect() instead
+                    if (opened) {
+                        this.emit('close', {});
+                    }
+                }
+            };
+        });
+    }
+
+    /**
+     * Route an incoming frame to acks or event handlers
+     */
+    handleFrame(frame) {
+        if (frame.type === 'ack') {
+            const pending = this.pendingSends.get(frame.id);
+            if (pending) {
+                clearTimeout(pending.timer);
+                this.pendingSends.delete(frame.id);
+                pending.resolve({
+                    ok: frame.ok,
+                    status: frame.status,
+                    statusText: frame.ok ? 'OK' : 'Error',
+                    data: { slot: frame.slot, error: frame.error, retryAfter: frame.retryAfter || null },
+                    error: frame.error,
+                    transport: 'websocket'
+                });
+            }
+            return;
+        }
+
+        if (frame.type === 'error') {
+            this.config.log('WebSocket transport error:', frame.error);
+            return;
+        }
+
+        this.emit(frame.type, frame);
+    }
+
+    /**
+     * Send a chat message over whichever transport is available
+     */
+    async send(messageContent, action = 'chat_message', params = {}) {
+        if (!this.isSocketOpen()) {
+            const result = await this.api.pushMessage(messageContent, action, params);
+            return { ...result, transport: 'http' };
+        }
+
+        const id = `c${Date.now().toString(36)}-${++this.sendCount}`;
+
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                this.pendingSends.delete(id);
+                resolve({ ok: false, unknown: true, status: 0, error: 'Timed out waiting for confirmation', transport: 'websocket' });
+            }, this.config.REALTIME.SEND_TIMEOUT);
+
+            this.pendingSends.set(id, { resolve, timer });
+            this.socket.send(JSON.stringify({
+                type: 'send',
+                id,
+                action,
+                params: {
+                    chat: messageContent,
+                    timestamp: Date.now(),
+                    ...params
+                }
+            }));
+        });
+    }
+
+    /**
+     * Resolve every in-flight socket send as unknown: each was already handed
+     * to the server, which may have pushed it before the socket went away
+     */
+    failPendingSends(error) {
+        this.pendingSends.forEach(({ resolve, timer }) => {
+            clearTimeout(timer);
+            resolve({ ok: false, unknown: true, status: 0, error, transport: 'websocket' });
+        });
+        this.pendingSends.clear();
+    }
+
+    /**
+     * Tell the room whether we're typing
+     */
+    sendTyping(isTyping) {
+        if (this.isSocketOpen()) {
+            this.socket.send(JSON.stringify({ type: 'typing', typing: isTyping }));
+        }
+    }
+
+    /**
+     * Announce our username to the room
+     */
+    sendPresence(username) {
+        if (this.isSocketOpen()) {
+            this.socket.send(JSON.stringify({ type: 'presence', username }));
+        }
+    }
+
+    /**
+     * Close the WebSocket
+     */
+    close() {
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+        this.failPendingSends('Transport closed');
+    }
+
+    /**
+     * Event system for transport frames
+     */
+    on(eventName, handler) {
+        if (this.eventHandlers[eventName]) {
+            this.eventHandlers[eventName].push(handler);
+        }
+    }
+
+    emit(eventName, data) {
+        if (this.eventHandlers[eventName]) {
+            this.eventHandlers[eventName].forEach(handler => {
+                try {
+                    handler(data);
+                } catch (error) {
+                    this.config.debug(`Error in transport handler for ${eventName}:`, error);
+                }
+            });
+        }
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatTransport;
+}
+
+if (typeof window !== 'undefined') {
+    window.ChatTransport = ChatTransport;
+}
@@ -15,19 +15,52 @@ class ChatSystem {
         this.messages = [];
         this.displayedMessageIds = new Set(); // Track which messages are currently displayed
         this.maxDisplayMessages = 150; // Limit displayed messages for performance
+        this.isLoadingOlder = false;
+        this.newerMessagesEvicted = false; // Newest messages dropped from the DOM while reading far back
+        this.isAtBottom = true;
+        this.lastScrollTop = 0;
         this.lastKnownSlot = null;
         this.lastMessageId = 0;
         this.isPolling = false;
         this.pollInterval = null;
+        this.eventSource = null; // Server-Sent Events stream, when available
         
         // Track sent messages to prevent duplicates
         this.sentMessageHashes = new Map(); // content+author -> messageId
         
-        // Chat history system
-        this.chatHistory = new ChatHistory(hyperbeamAPI, this.config.PROCESS_ID);
+        // Chat history system, one ChatHistory and message snapshot per room (process),
+        // all sharing the IndexedDB message cache
+        this.messageStore = new MessageStore(this.config);
+        this.rooms = new Map(); // processId -> { chatHistory, messages, lastKnownSlot }
+        this.roomSwitchId = 0; // Bumped on every switch so stale loads can bail out
+        this.watchedRoomIds = new Set(); // Background rooms checked for new messages
+        this.backgroundInterval = null;
+        this.isCheckingBackgroundRooms = false;
+        this.chatHistory = this.getRoom(this.config.PROCESS_ID).chatHistory;
+        
+        // Send/receive transport (WebSocket when available, HTTP otherwise)
+        this.transport = new ChatTransport(hyperbeamAPI);
+        this.isTyping = false;
+        this.typingTimer = null;
+        
+        // Failed sends waiting to be retried, persisted across reloads
+        this.outbox = new Outbox(this.config);
+        this.outboxTimer = null;
+        this.isFlushingOutbox = false;
+        
+        // Replies: parents fetched for quotes (processId:index -> message) and threads shown expanded
+        this.quotedMessages = new Map();
+        this.expandedThreads = new Set();
+        this.expandedEditHistories = new Set(); // Message ids showing their edit history
+        this.notifiedMentions = new Set(); // Message ids already announced with a 'mentioned' event
+        
+        // Message fields are untrusted: cleaned when read, formatted with an allowlist when shown
+        this.sanitizer = new MessageSanitizer(this.config);
+        this.renderer = new MessageRenderer(this.config, this.sanitizer);
         
         // Execution monitoring
-        this.pendingMessages = new Map(); // Messages waiting for execution
+        this.delivery = new DeliveryStateMachine(this.config);
+        this.pendingMessages = new Map(); // nonce -> sent message waiting for execution (pushed or scheduled)
         this.executionQueue = [];
         
         // UI references (will be set by the main application)
@@ -38,11 +71,38 @@ class ChatSystem {
         this.eventHandlers = {
             messageReceived: [],
             messageSent: [],
+            deliveryStateChanged: [],
             executionComplete: [],
             statusUpdate: [],
+            typing: [],
+            presence: [],
+            scrollPosition: [],
+            roomChanged: [],
+            roomActivity: [],
+            outboxEdit: [],
+            replyRequested: [],
+            editRequested: [],
+            mentioned: [],
             error: []
         };
         
+        this.setupTransportHandlers();
+        
+        // Follow CONFIG.PROCESS_ID changes (room switches)
+        this.processIdChangedHandler = (event) => this.switchRoom(event.detail.newProcessId);
+        if (typeof window !== 'undefined') {
+            window.addEventListener('hyperbeam-process-id-changed', this.processIdChangedHandler);
+        }
+        
+        // Back online: retry queued messages straight away instead of waiting out the backoff
+        this.onlineHandler = () => {
+            this.config.log('📤 OUTBOX: Back online, retrying queued messages');
+            this.outbox.retryAllNow();
+            this.flushOutbox();
+        };
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', this.onlineHandler);
+        }
         
         this.config.log('Chat system initialized');
     }
@@ -53,12 +113,19 @@ class ChatSystem {
     async initialize(messageContainer, statusCallback) {
         this.messageContainer = messageContainer;
         this.statusCallback = statusCallback;
+        this.setupScrollPaging();
+        this.setupOutboxControls();
+        this.setupReactionControls();
+        this.setupThreadControls();
+        this.setupEditControls();
         
         // Get initial slot
         await this.initializeSlotMonitoring();
         
-        // Load existing chat history
+        // Load existing chat history, then anything still waiting in the outbox
         await this.loadChatHistory();
+        this.restoreOutboxMessages();
+        await this.syncMessageUpdates(); // Cached history renders before the reactions and edits tables are fetched
         
         // Start message polling
         this.startMessagePolling();
@@ -67,6 +134,169 @@ class ChatSystem {
     }
 
 
+    /**
+     * Per-room state, created the first time a room is used
+     */
+    getRoom(processId) {
+        if (!this.rooms.has(processId)) {
+            this.rooms.set(processId, {
+                chatHistory: new ChatHistory(this.api, processId, this.messageStore),
+                messages: [],
+                lastKnownSlot: null,
+                watchSlot: null // Last slot seen by the background watcher
+            });
+        }
+        return this.rooms.get(processId);
+    }
+
+    /**
+     * Switch to another room without reloading: keep this room's messages for
+     * later, show the new room's cached messages (or load its history) and
+     * reconnect realtime updates to it
+     */
+    async switchRoom(processId) {
+        const previousProcessId = this.chatHistory.processId;
+        if (processId === previousProcessId) {
+            return;
+        }
+        
+        const switchId = ++this.roomSwitchId;
+        const wasPolling = this.isPolling;
+        this.stopTyping();
+        this.stopMessagePolling();
+        
+        // Snapshot the room we're leaving, trimmed back to the latest messages;
+        // a view scrolled far back is missing its newest messages, so reload it instead
+        const previousRoom = this.getRoom(previousProcessId);
+        this.evictOlderMessages();
+        previousRoom.messages = this.newerMessagesEvicted ? [] : this.messages.slice();
+        this.newerMessagesEvicted = false;
+        this.isAtBottom = true;
+        previousRoom.lastKnownSlot = this.lastKnownSlot;
+        
+        const room = this.getRoom(processId);
+        this.chatHistory = room.chatHistory;
+        this.lastKnownSlot = room.lastKnownSlot;
+        this.sentMessageHashes.clear();
+        this.expandedThreads.clear();
+        this.expandedEditHistories.clear();
+        this.notifiedMentions.clear();
+        
+        this.config.log(`Switched room ${previousProcessId.substring(0, 6)}... → ${processId.substring(0, 6)}...`);
+        this.emit('presence', { users: [], connections: 0 });
+        this.emit('scrollPosition', { atBottom: true });
+        this.emit('roomChanged', { processId, previousProcessId });
+        
+        if (room.messages.length > 0) {
+            this.displayMessages(room.messages);
+            await this.initializeSlotMonitoring();
+            if (switchId !== this.roomSwitchId) return;
+            
+            // Catch up on anything posted while we were away
+            await this.displayFetchedMessages(await this.chatHistory.fetchNewMessages());
+        } else {
+            this.messages = [];
+            this.displayedMessageIds.clear();
+            if (this.messageContainer) {
+                this.messageContainer.innerHTML = '';
+            }
+            await this.initializeSlotMonitoring();
+            if (switchId !== this.roomSwitchId) return;
+            
+            await this.loadChatHistory();
+        }
+        
+        if (switchId !== this.roomSwitchId) return;
+        this.restoreOutboxMessages();
+        await this.syncMessageUpdates();
+        if (switchId !== this.roomSwitchId) return;
+        if (wasPolling) {
+            this.startMessagePolling();
+        }
+        await this.updateStatsDuringPolling();
+    }
+
+    /**
+     * Total messages in a room, e.g. to count unread messages in background rooms
+     */
+    async getRoomMessageCount(processId) {
+        return this.getRoom(processId).chatHistory.getMessageCount();
+    }
+
+    /**
+     * Watch these rooms in the background on a slower cadence than the open room.
+     * The open room is skipped, so the same list can be passed after a switch.
+     */
+    watchRooms(processIds) {
+        this.watchedRoomIds = new Set(processIds);
+        
+        if (!this.backgroundInterval && this.watchedRoomIds.size > 0) {
+            this.config.log(`Watching background rooms every ${this.config.TIMING.BACKGROUND_POLL_INTERVAL}ms`);
+            this.backgroundInterval = setInterval(() => {
+                this.checkBackgroundRooms();
+            }, this.config.TIMING.BACKGROUND_POLL_INTERVAL);
+            this.checkBackgroundRooms();
+        }
+    }
+
+    /**
+     * Stop the background room watchers
+     */
+    stopBackgroundWatchers() {
+        if (this.backgroundInterval) {
+            clearInterval(this.backgroundInterval);
+            this.backgroundInterval = null;
+        }
+    }
+
+    /**
+     * Same slot-triggered check as checkForNewMessages, but only reporting the
+     * message count: nothing is fetched or displayed, and highestMessageId keeps
+     * marking where the user stopped reading
+     */
+    async checkBackgroundRooms() {
+        if (this.isCheckingBackgroundRooms) {
+            return;
+        }
+        this.isCheckingBackgroundRooms = true;
+        
+        try {
+            for (const processId of this.watchedRoomIds) {
+                if (processId === this.chatHistory.processId) {
+                    continue;
+                }
+                
+                const room = this.getRoom(processId);
+                const slot = await room.chatHistory.getCurrentSlot();
+                if (slot === null || slot === room.watchSlot) {
+                    continue;
+                }
+                room.watchSlot = slot;
+                
+                const messageCount = await room.chatHistory.getMessageCount();
+                this.emit('roomActivity', { processId, slot, messageCount });
+            }
+        } catch (error) {
+            this.config.debug('Error checking background rooms:', error);
+        } finally {
+            this.isCheckingBackgroundRooms = false;
+        }
+    }
+
+    /**
+     * Find a message in the open room or in another room's snapshot
+     */
+    findMessage(messageId) {
+        const rooms = [{ messages: this.messages }, ...this.rooms.values()];
+        for (const room of rooms) {
+            const message = room.messages.find(m => m.id === messageId);
+            if (message) {
+                return message;
+            }
+        }
+        return null;
+    }
+
     /**
      * Initialize slot monitoring
      */
@@ -87,7 +317,9 @@ class ChatSystem {
     }
 
     /**
-     * Send a chat message using HyperBEAM direct push
+     * Send a chat message using HyperBEAM direct push. options.replyTo is the
+     * process index of the message being replied to. @mentions of known authors
+     * are sent as their wallet addresses (see getMentionedWallets).
      */
     async sendMessage(messageContent, options = {}) {
         // Comprehensive input validation and sanitization
@@ -110,27 +342,15 @@ class ChatSystem {
             };
         }
         
-        // Additional security: check for suspicious patterns
-        const suspiciousPatterns = [
-            /<script[^>]*>.*?<\/script>/gi,
-            /javascript:/gi,
-            /vbscript:/gi,
-            /on\w+\s*=/gi
-        ];
-        
-        for (const pattern of suspiciousPatterns) {
-            if (pattern.test(messageContent)) {
-                return { success: false, error: 'Message contains potentially harmful content' };
-            }
-        }
+        // No filtering of "suspicious" text here: other clients can push anything to the
+        // process, so safety comes from how messages are displayed (see MessageSanitizer)
 
         const messageId = ++this.lastMessageId;
         const timestamp = Date.now();
         
         // Get username from the input field with sanitization
-        const usernameInput = document.getElementById('username-input');
-        const rawUsername = usernameInput?.value?.trim() || 'Chat User';
-        const username = this.sanitizeUsername(rawUsername);
+        const username = this.getUsername();
+        this.stopTyping();
         
         // Get wallet address for the message
         const walletAddress = this.auth.getWalletAddress();
@@ -142,135 +362,1303 @@ class ChatSystem {
             messageId: messageId
         });
         
+        // Create message object in the queued delivery state
+        const message = {
+            id: messageId,
+            content: messageContent,
+            timestamp: timestamp,
+            author: username,
+            method: 'direct-push',
+            walletAddress: walletAddress,
+            nonce: this.createNonce(), // Stored by the process with the message, so we can find it again
+            replyTo: parseInt(options.replyTo) > 0 ? parseInt(options.replyTo) : null,
+            mentions: this.getMentionedWallets(messageContent)
+        };
+        this.delivery.start(message, { at: timestamp, slot: this.lastKnownSlot });
+        
+        // Add to messages immediately (optimistic update), back at the latest
+        // messages if the view was scrolled far back
+        if (this.newerMessagesEvicted) {
+            await this.jumpToLatest();
+        }
+        this.addMessage(message);
+        
+        // No point trying while the browser knows it's offline; the 'online' event flushes the outbox
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            this.queueMessage(message, 'You are offline');
+            this.updateStatus('Offline: message queued and will be sent when you reconnect', 'error');
+            return { success: false, queued: true, error: 'You are offline' };
+        }
+        
+        return this.deliverMessage(message);
+    }
+
+    /**
+     * Push an optimistic message to the process. Failures go to the outbox
+     * instead of being dropped, so they're retried later. A send whose outcome
+     * is unknown (the socket never acked it) isn't retried, or the process could
+     * store it twice; it's confirmed by nonce like a successful one.
+     */
+    async deliverMessage(message) {
+        const messageId = message.id;
+        const messageContent = message.content;
+        const username = message.author;
+        
         this.config.log(`Sending message ${messageId}: "${messageContent}"`);
         this.updateStatus('Sending message...', '');
 
         try {
-            // Create message object with pending state
-            const message = {
-                id: messageId,
-                content: messageContent,
-                timestamp: timestamp,
-                author: username,
-                status: 'pending',
-                method: 'direct-push',
-                isPending: true,
-                walletAddress: this.auth.getWalletAddress()
-            };
-            
-            // Add to messages immediately (optimistic update) with pending state
-            this.addMessage(message);
-            
-            // Set a timeout to auto-confirm if no confirmation comes back
-            setTimeout(() => {
-                const stillPendingMessage = this.messages.find(m => m.id === messageId && m.isPending);
-                if (stillPendingMessage) {
-                    this.config.debug(`Auto-confirming message ${messageId} after timeout`);
-                    
-                    // Update message properties
-                    stillPendingMessage.status = 'confirmed';
-                    stillPendingMessage.isPending = false;
-                    stillPendingMessage.source = 'auto-confirmed';
-                    
-                    // Update UI element smoothly
-                    if (this.messageContainer) {
-                        const messageEl = this.messageContainer.querySelector(`[data-message-id="${messageId}"]`);
-                        if (messageEl) {
-                            messageEl.classList.remove('pending');
-                            messageEl.classList.add('confirmed');
-                            this.updateMessageElement(messageEl, stillPendingMessage);
-                        }
-                    }
-                }
-            }, 15000); // 15 second timeout
-
-            // Send using direct push method including username and wallet address as tags
-            const result = await this.api.pushMessage(messageContent, 'chat_message', {
+            // Send via the active transport including username and wallet address as tags
+            const result = await this.transport.send(messageContent, 'chat_message', {
                 username: username,
-                wallet_address: this.auth.getWalletAddress()
+                wallet_address: message.walletAddress,
+                nonce: message.nonce,
+                ...(message.replyTo ? { reply_to: message.replyTo } : {}),
+                ...(message.mentions?.length ? { mentions: message.mentions.join(',') } : {})
             });
 
             // Update message status
-            if (result.ok) {
+            if (result.ok || result.unknown) {
+                if (message.outboxId) {
+                    this.outbox.remove(message.outboxId);
+                    delete message.outboxId;
+                }
+                
+                this.setDeliveryState(message, 'pushed', { slot: this.lastKnownSlot });
+                
+                // The push response says which slot the message was scheduled in
+                const assignedSlot = parseInt(result.data?.slot);
+                if (!isNaN(assignedSlot)) {
+                    this.setDeliveryState(message, 'scheduled', { slot: assignedSlot });
+                }
+                
+                // A message the process never shows us within the timeout is unconfirmed, not sent
+                setTimeout(() => this.expireUnconfirmedMessage(messageId), this.config.TIMING.CONFIRMATION_TIMEOUT);
+                
                 // Update sent message count
                 this.updateSentMessageCount();
-                this.updateStatus(`Message sent successfully!`, 'connected');
+                this.updateStatus(result.ok ? `Message sent successfully!` : 'Message sent, waiting for confirmation...', 'connected');
                 
                 this.config.log('💬 CHAT: Message sent successfully, no wallet update needed');
                 
                 // IMMEDIATELY check for computed result with faster timing
-                this.checkForNewMessagesAndReplacePending(messageId, messageContent, username);
+                this.checkForNewMessagesAndReplacePending(messageId, message.nonce);
                 
                 // Also do an immediate check without delay for even faster confirmation
-                this.immediatelyCheckForComputedMessage(messageId, messageContent, username);
+                this.immediatelyCheckForComputedMessage(messageId, message.nonce);
                 
                 this.emit('messageSent', { message, result });
                 
-                return { success: true, method: 'direct-push', response: result };
+                return { success: true, method: 'direct-push', transport: result.transport, response: result };
                 
             } else {
-                const error = result.error || result.statusText || 'Unknown error';
-                this.updateMessageStatus(messageId, 'failed', { error });
-                this.updateStatus(`Send failed: ${error}`, 'error');
-                this.emit('error', { message, error });
+                const { error, retryAfter } = this.describeSendError(result);
+                const entry = this.queueMessage(message, error, { retryAfter, retryable: this.isRetryableSendError(result) });
+                this.updateStatus(entry?.gaveUp ? `Send failed: ${error}` : `Send failed, will retry: ${error}`, 'error');
+                this.emit('error', { message, error, retryAfter });
                 
-                return { success: false, error };
+                return { success: false, queued: true, error, retryAfter };
             }
 
         } catch (error) {
             this.config.log(`Message ${messageId} send error:`, error);
-            this.updateMessageStatus(messageId, 'failed', { error: error.message });
-            this.updateStatus(`Send error: ${error.message}`, 'error');
-            return { success: false, error: error.message };
+            this.queueMessage(message, error.message);
+            this.updateStatus(`Send error, will retry: ${error.message}`, 'error');
+            return { success: false, queued: true, error: error.message };
         }
     }
 
+    /**
+     * Whether retrying a failed push could succeed: network errors, timeouts,
+     * rate limits and node errors can; other rejections won't change
+     */
+    isRetryableSendError(result) {
+        const status = result.status || 0;
+        return status === 0 || status === 408 || status === 429 || status >= 500;
+    }
 
     /**
-     * Start polling for new messages and slot changes
+     * Random id sent as the push's `nonce` param and stored by the process, so
+     * the computed message can be told apart from identical ones
      */
-    startMessagePolling() {
-        if (this.isPolling) {
+    createNonce() {
+        const bytes = new Uint8Array(12);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * The pending message a computed message was sent as, matched by nonce
+     */
+    findMessageByNonce(nonce) {
+        return nonce ? this.messages.find(m => m.nonce === nonce && m.source !== 'chat-history') || null : null;
+    }
+
+    /**
+     * Turn our optimistic message into the computed one: take over its index-based
+     * ID (so polling treats it as displayed) and move it to the computed state
+     */
+    confirmMessage(message, computedMessage, source) {
+        const oldId = message.id;
+        const newId = `msg-${computedMessage.id}`;
+        
+        message.id = newId;
+        message.source = source;
+        message.timestamp = computedMessage.timestamp;
+        message.statusData = null;
+        this.displayedMessageIds.add(newId);
+        
+        const messageEl = this.messageContainer?.querySelector(`[data-message-id="${oldId}"]`);
+        if (messageEl) {
+            messageEl.setAttribute('data-message-id', newId);
+        }
+        
+        this.setDeliveryState(message, 'computed', { slot: this.delivery.getSlot(message, this.lastKnownSlot) });
+        this.refreshThread(message.replyTo);
+        this.config.debug(`Confirmed message ${oldId} -> ${newId} by nonce (${source})`);
+    }
+
+    /**
+     * Called CONFIRMATION_TIMEOUT after a push: one last look for the nonce,
+     * then mark the message unconfirmed instead of assuming it went through
+     */
+    async expireUnconfirmedMessage(messageId) {
+        // The sender may have switched rooms since, so look in every room
+        const message = this.findMessage(messageId);
+        if (!message || !this.delivery.isAwaitingComputation(message)) {
             return;
         }
         
-        this.isPolling = true;
-        this.config.log(`Starting message polling every ${this.config.TIMING.MESSAGE_POLL_INTERVAL}ms`);
+        if (await this.immediatelyCheckForComputedMessage(messageId, message.nonce)) {
+            return;
+        }
         
-        this.pollInterval = setInterval(() => {
-            this.checkForNewMessages();
-        }, this.config.TIMING.MESSAGE_POLL_INTERVAL);
+        if (this.delivery.isAwaitingComputation(message)) {
+            this.config.log(`Message ${messageId} not seen in the process after ${this.config.TIMING.CONFIRMATION_TIMEOUT}ms, marking unconfirmed`);
+            message.statusData = { error: 'Not confirmed by the process yet' };
+            this.setDeliveryState(message, 'unconfirmed', { slot: this.delivery.getSlot(message, this.lastKnownSlot) });
+        }
     }
 
     /**
-     * Stop message polling
+     * Move a sent message to a new delivery state: record it, keep pendingMessages
+     * (messages waiting for the process, by nonce) in step, update the bubble and
+     * emit deliveryStateChanged (plus executionComplete once computed)
      */
-    stopMessagePolling() {
-        if (this.pollInterval) {
-            clearInterval(this.pollInterval);
-            this.pollInterval = null;
+    setDeliveryState(message, state, details = {}) {
+        const from = message.status;
+        const entry = this.delivery.transition(message, state, details);
+        if (!entry) {
+            return false;
         }
-        this.isPolling = false;
-        this.config.log('Message polling stopped');
+        
+        if (this.delivery.isAwaitingComputation(message)) {
+            this.pendingMessages.set(message.nonce, message);
+        } else {
+            this.pendingMessages.delete(message.nonce);
+        }
+        
+        this.refreshMessageElement(message);
+        this.config.debug(`Message ${message.id} delivery: ${from} → ${state}`, entry);
+        this.emit('deliveryStateChanged', { message, from, to: state, at: entry.at, slot: entry.slot });
+        
+        if (state === 'computed') {
+            this.emit('executionComplete', { messageId: message.id, messageData: message, slot: entry.slot });
+        }
+        
+        return true;
     }
 
     /**
-     * Check for new messages and smoothly confirm pending message with computed result
+     * Re-render a message's bubble (if it's on screen) after its state changed
+     */
+    refreshMessageElement(message) {
+        const messageEl = this.messageContainer?.querySelector(`[data-message-id="${message.id}"]`);
+        if (messageEl) {
+            this.applyDeliveryClass(messageEl, message);
+            this.updateMessageElement(messageEl, message);
+        }
+    }
+
+    /**
+     * Visual state of a bubble: in flight (pending), waiting in the outbox
+     * (queued), confirmed, failed or unconfirmed. History messages get none.
+     */
+    applyDeliveryClass(messageEl, message) {
+        messageEl.classList.remove('pending', 'confirmed', 'queued', 'failed', 'unconfirmed');
+        
+        if (!message.delivery) {
+            return;
+        }
+        
+        if (message.status === 'computed') {
+            messageEl.classList.add('confirmed');
+        } else if (message.status === 'queued' && message.outboxId && message.statusData?.error) {
+            messageEl.classList.add('queued');
+        } else if (message.status === 'queued' || this.delivery.isAwaitingComputation(message)) {
+            messageEl.classList.add('pending');
+        } else {
+            messageEl.classList.add(message.status);
+        }
+    }
+
+    /**
+     * Put a failed message in the outbox (or count another failed attempt) and
+     * show it as queued, or as failed once automatic retries have given up
+     */
+    queueMessage(message, error, options = {}) {
+        const entry = message.outboxId && this.outbox.get(message.outboxId)
+            ? this.outbox.recordFailure(message.outboxId, error, options)
+            : this.outbox.add(this.chatHistory.processId, {
+                content: message.content,
+                username: message.author,
+                walletAddress: message.walletAddress,
+                nonce: message.nonce,
+                replyTo: message.replyTo,
+                mentions: message.mentions
+            }, error, options);
+        
+        message.outboxId = entry.id;
+        message.statusData = {
+            error: entry.lastError,
+            retryAfter: options.retryAfter || null,
+            nextAttemptAt: entry.nextAttemptAt
+        };
+        
+        // Still queued while retries are scheduled; failed once they've given up
+        if (!entry.gaveUp || !this.setDeliveryState(message, 'failed', { slot: this.lastKnownSlot, error: entry.lastError })) {
+            this.refreshMessageElement(message);
+        }
+        this.scheduleOutbox();
+        
+        return entry;
+    }
+
+    /**
+     * Show this room's outbox entries that aren't on screen yet (e.g. after a reload)
+     */
+    restoreOutboxMessages() {
+        const processId = this.chatHistory.processId;
+        
+        this.outbox.getForProcess(processId).forEach(entry => {
+            if (this.messages.some(m => m.outboxId === entry.id)) {
+                return;
+            }
+            
+            const message = {
+                id: ++this.lastMessageId,
+                content: entry.content,
+                timestamp: entry.createdAt,
+                author: entry.username,
+                statusData: { error: entry.lastError, nextAttemptAt: entry.nextAttemptAt },
+                method: 'direct-push',
+                walletAddress: entry.walletAddress,
+                nonce: entry.nonce || this.createNonce(),
+                replyTo: entry.replyTo || null,
+                mentions: entry.mentions || [],
+                outboxId: entry.id
+            };
+            this.delivery.start(message, { at: entry.createdAt });
+            if (entry.gaveUp) {
+                this.delivery.transition(message, 'failed', { error: entry.lastError });
+            }
+            this.addMessage(message);
+        });
+        
+        this.scheduleOutbox();
+    }
+
+    /**
+     * Wake up when this room's next queued message is due
+     */
+    scheduleOutbox() {
+        clearTimeout(this.outboxTimer);
+        this.outboxTimer = null;
+        
+        const nextAttemptAt = this.outbox.getNextAttemptAt(this.chatHistory.processId);
+        if (nextAttemptAt === null) {
+            return;
+        }
+        
+        this.outboxTimer = setTimeout(() => this.flushOutbox(), Math.max(0, nextAttemptAt - Date.now()));
+    }
+
+    /**
+     * Send this room's due outbox messages, oldest first, skipping any whose
+     * nonce already shows up in the latest messages
      */
-    async checkForNewMessagesAndReplacePending(pendingMessageId, messageContent, username) {
+    async flushOutbox() {
+        if (this.isFlushingOutbox) {
+            return;
+        }
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            return; // The 'online' handler flushes again
+        }
+        
+        const processId = this.chatHistory.processId;
+        this.isFlushingOutbox = true;
+        
         try {
-            // Wait a brief moment for the message to be processed
-            await new Promise(resolve => setTimeout(resolve, 500));
+            for (const entry of this.outbox.getDue(processId)) {
+                if (this.chatHistory.processId !== processId) {
+                    break; // Switched rooms mid-flush; that room's entries wait until it's open again
+                }
+                
+                const message = this.messages.find(m => m.outboxId === entry.id);
+                if (!message) {
+                    continue;
+                }
+                
+                // A timeout or gateway error may have hidden a push that landed;
+                // pushing it again would store the message twice
+                if (await this.immediatelyCheckForComputedMessage(message.id, message.nonce)) {
+                    this.config.log(`📤 OUTBOX: Message ${message.id} was already computed, not retrying`);
+                    this.outbox.remove(entry.id);
+                    delete message.outboxId;
+                    this.refreshMessageElement(message);
+                    continue;
+                }
+                
+                this.config.log(`📤 OUTBOX: Retrying message ${message.id} (attempt ${entry.attempts + 1})`);
+                message.statusData = null;
+                this.refreshMessageElement(message);
+                await this.deliverMessage(message);
+            }
+        } finally {
+            this.isFlushingOutbox = false;
+            this.scheduleOutbox();
+        }
+    }
+
+    /**
+     * "Retry now" on a queued or failed message
+     */
+    retryOutboxMessage(outboxId) {
+        if (!this.outbox.resetEntry(outboxId)) {
+            return;
+        }
+        
+        const message = this.messages.find(m => m.outboxId === outboxId);
+        if (message?.status === 'failed') {
+            this.setDeliveryState(message, 'queued', { slot: this.lastKnownSlot });
+        }
+        this.flushOutbox();
+    }
+
+    /**
+     * "Edit" on a queued or failed message: take it out of the outbox and hand
+     * its text back for the input box
+     */
+    editOutboxMessage(outboxId) {
+        const entry = this.discardOutboxMessage(outboxId);
+        if (entry) {
+            this.emit('outboxEdit', { content: entry.content, replyTo: entry.replyTo || null });
+        }
+        return entry;
+    }
+
+    /**
+     * "Discard" on a queued or failed message
+     */
+    discardOutboxMessage(outboxId) {
+        const entry = this.outbox.remove(outboxId);
+        const message = this.messages.find(m => m.outboxId === outboxId);
+        
+        if (message) {
+            this.messages = this.messages.filter(m => m !== message);
+            const messageEl = this.messageContainer?.querySelector(`[data-message-id="${message.id}"]`);
+            if (messageEl) {
+                this.removeMessageElements([messageEl]);
+            }
+        }
+        this.scheduleOutbox();
+        
+        return entry;
+    }
+
+    /**
+     * Bring displayed messages up to date with the process's reactions and edits tables
+     */
+    async syncMessageUpdates() {
+        const chatHistory = this.chatHistory;
+        await Promise.all([chatHistory.refreshReactions(), chatHistory.refreshEdits()]);
+        if (chatHistory !== this.chatHistory) {
+            return; // Switched rooms meanwhile
+        }
+        
+        this.messages.forEach(message => {
+            const messageIndex = this.getMessageIndex(message);
+            if (messageIndex === null) {
+                return;
+            }
             
-            // Check current slot and get latest messages
-            const currentSlot = await this.api.getCurrentSlot();
-            const latestMessages = await this.chatHistory.getLatestMessages(3);
+            let changed = false;
+            const reactions = chatHistory.getReactions(messageIndex);
+            if (JSON.stringify(reactions) !== JSON.stringify(message.reactions || {})) {
+                message.reactions = reactions;
+                changed = true;
+            }
             
-            // Look for our message in the latest results
-            const computedMessage = latestMessages.find(msg => 
-                msg.content === messageContent && 
-                (msg.tags?.username === username || msg.tags?.Username === username || msg.username === username)
-            );
+            // Our own pending edit stays on screen until pushMessageUpdate settles it
+            const edited = chatHistory.withEdits(message, messageIndex);
+            if (!message.pendingEdit && (edited.content !== message.content || !!edited.deleted !== !!message.deleted)) {
+                Object.assign(message, edited);
+                changed = true;
+                this.refreshThread(message.replyTo);
+            }
+            
+            if (changed) {
+                this.refreshMessageElement(message);
+            }
+        });
+    }
+
+    /**
+     * Process message index of a displayed message (msg-N), or null if it hasn't got one yet
+     */
+    getMessageIndex(message) {
+        const match = typeof message.id === 'string' && message.id.match(/^msg-(\d+)$/);
+        return match ? parseInt(match[1]) : null;
+    }
+
+    /**
+     * Add our reaction to a message, or take it back if we already reacted with
+     * that emoji. Shown straight away; after CONFIRMATION_TIMEOUT the reactions
+     * table has the final word.
+     */
+    async toggleReaction(messageId, emoji) {
+        const chatHistory = this.chatHistory;
+        const message = this.messages.find(m => m.id === messageId);
+        const messageIndex = message ? this.getMessageIndex(message) : null;
+        const walletAddress = this.auth.getWalletAddress();
+        const previous = message?.reactions || {};
+        // Picker emoji, or one someone else already used on this message
+        const knownEmoji = this.config.MESSAGES.REACTION_EMOJI.includes(emoji) || !!previous[emoji];
+        if (messageIndex === null || !walletAddress || !knownEmoji) {
+            return { success: false, error: 'Cannot react to this message' };
+        }
+        
+        const reactors = previous[emoji] || [];
+        const remove = reactors.includes(walletAddress);
+        const updated = remove ? reactors.filter(wallet => wallet !== walletAddress) : [...reactors, walletAddress];
+        
+        const optimistic = { ...previous, [emoji]: updated };
+        if (updated.length === 0) {
+            delete optimistic[emoji];
+        }
+        message.reactions = optimistic;
+        this.refreshMessageElement(message);
+        
+        this.config.log(`${remove ? 'Removing' : 'Adding'} reaction ${emoji} on message ${messageIndex}`);
+        const result = await this.transport.send('', 'reaction', {
+            index: messageIndex,
+            emoji: emoji,
+            remove: remove ? 'true' : 'false',
+            username: this.getUsername(),
+            wallet_address: walletAddress
+        });
+        
+        // An unknown outcome is left to the next reactions refresh
+        if (!result.ok && !result.unknown) {
+            const { error, retryAfter } = this.describeSendError(result);
+            message.reactions = previous;
+            this.refreshMessageElement(message);
+            this.updateStatus(`Reaction failed: ${error}`, 'error');
+            this.emit('error', { message, error, retryAfter });
+            return { success: false, error };
+        }
+        
+        // Unless another toggle replaced it meanwhile, settle on the freshly fetched table
+        setTimeout(async () => {
+            await chatHistory.refreshReactions();
+            if (message.reactions === optimistic) {
+                message.reactions = chatHistory.getReactions(messageIndex);
+                this.refreshMessageElement(message);
+            }
+        }, this.config.TIMING.CONFIRMATION_TIMEOUT);
+        
+        return { success: true, removed: remove };
+    }
+
+    /**
+     * Replace the text of one of our messages. Like the process, only the
+     * message's own wallet may edit it, and deleted messages can't be.
+     */
+    async editMessage(messageId, content) {
+        content = typeof content === 'string' ? content.trim() : '';
+        if (!content) {
+            return { success: false, error: 'Message cannot be empty' };
+        }
+        if (content.length > this.config.MESSAGES.MAX_MESSAGE_LENGTH) {
+            return { success: false, error: `Message too long. Max ${this.config.MESSAGES.MAX_MESSAGE_LENGTH} characters.` };
+        }
+        
+        const message = this.messages.find(m => m.id === messageId);
+        if (!this.canEditMessage(message)) {
+            return { success: false, error: 'You can only edit your own messages' };
+        }
+        if (content === message.content) {
+            return { success: true, unchanged: true };
+        }
+        
+        const now = Date.now();
+        const revisions = message.revisions?.length > 0
+            ? message.revisions
+            : [{ content: message.content, timestamp: message.timestamp }];
+        return this.pushMessageUpdate(message, 'edit_message', content, {
+            content: content,
+            edited: true,
+            editedAt: now,
+            revisions: [...revisions, { content, timestamp: now }]
+        });
+    }
+
+    /**
+     * Replace one of our messages with a "message deleted" tombstone
+     */
+    async deleteMessage(messageId) {
+        const message = this.messages.find(m => m.id === messageId);
+        if (!this.canEditMessage(message)) {
+            return { success: false, error: 'You can only delete your own messages' };
+        }
+        
+        return this.pushMessageUpdate(message, 'delete_message', '', {
+            content: '',
+            deleted: true,
+            deletedAt: Date.now(),
+            edited: false,
+            revisions: []
+        });
+    }
+
+    /**
+     * Ours by wallet (what the process checks), computed and not deleted
+     */
+    canEditMessage(message) {
+        const walletAddress = this.auth.getWalletAddress();
+        return !!message && this.getMessageIndex(message) !== null && !message.deleted &&
+            !!walletAddress && message.walletAddress === walletAddress;
+    }
+
+    /**
+     * Show an edit or deletion straight away and push it. It's reverted if the
+     * push fails (not if its outcome is unknown); after CONFIRMATION_TIMEOUT the
+     * edits table, fetched again, has the final word (e.g. if the process refused it).
+     */
+    async pushMessageUpdate(message, action, content, update) {
+        const chatHistory = this.chatHistory;
+        const messageIndex = this.getMessageIndex(message);
+        const previous = {
+            content: message.content,
+            edited: message.edited || false,
+            editedAt: message.editedAt || null,
+            revisions: message.revisions || [],
+            deleted: message.deleted || false,
+            deletedAt: message.deletedAt || null
+        };
+        
+        Object.assign(message, update, { pendingEdit: true });
+        this.refreshMessageElement(message);
+        
+        this.config.log(`Sending ${action} for message ${messageIndex}`);
+        const result = await this.transport.send(content, action, {
+            index: messageIndex,
+            username: this.getUsername(),
+            wallet_address: this.auth.getWalletAddress()
+        });
+        
+        if (!result.ok && !result.unknown) {
+            const { error, retryAfter } = this.describeSendError(result);
+            Object.assign(message, previous, { pendingEdit: false });
+            this.refreshMessageElement(message);
+            this.updateStatus(`${action === 'edit_message' ? 'Edit' : 'Delete'} failed: ${error}`, 'error');
+            this.emit('error', { message, error, retryAfter });
+            return { success: false, error };
+        }
+        
+        setTimeout(async () => {
+            await chatHistory.refreshEdits();
+            Object.assign(message, chatHistory.withEdits({ ...message, ...previous }, messageIndex), { pendingEdit: false });
+            this.refreshMessageElement(message);
+        }, this.config.TIMING.CONFIRMATION_TIMEOUT);
+        
+        return { success: true };
+    }
+
+    /**
+     * Handle clicks on the edit/delete buttons of our messages and on "(edited)" markers
+     */
+    setupEditControls() {
+        if (!this.messageContainer) {
+            return;
+        }
+        
+        this.messageContainer.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-edit-action]');
+            if (!button) {
+                return;
+            }
+            
+            const messageId = button.closest('[data-message-id]').getAttribute('data-message-id');
+            const message = this.messages.find(m => m.id === messageId);
+            if (!message) {
+                return;
+            }
+            
+            switch (button.getAttribute('data-edit-action')) {
+                case 'edit':
+                    this.emit('editRequested', { messageId, content: message.content });
+                    break;
+                case 'delete':
+                    if (typeof window === 'undefined' || window.confirm('Delete this message?')) {
+                        this.deleteMessage(messageId);
+                    }
+                    break;
+                case 'history':
+                    if (!this.expandedEditHistories.delete(messageId)) {
+                        this.expandedEditHistories.add(messageId);
+                    }
+                    this.refreshMessageElement(message);
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Every version of an edited message, oldest first
+     */
+    renderRevisions(message) {
+        const revisionsEl = document.createElement('span');
+        revisionsEl.className = 'message-revisions';
+        
+        message.revisions.forEach((revision, index) => {
+            const revisionEl = document.createElement('span');
+            revisionEl.className = 'message-revision';
+            const time = revision.timestamp
+                ? new Date(revision.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+                : '';
+            const label = index === 0 ? 'original' : index === message.revisions.length - 1 ? 'current' : `edit ${index}`;
+            revisionEl.textContent = `${time} (${label}): ${revision.content}`;
+            revisionsEl.appendChild(revisionEl);
+        });
+        
+        return revisionsEl;
+    }
+
+    /**
+     * Handle clicks on reaction chips and the reaction picker
+     */
+    setupReactionControls() {
+        if (!this.messageContainer) {
+            return;
+        }
+        
+        this.messageContainer.addEventListener('click', (event) => {
+            const target = event.target.closest('[data-reaction-emoji], [data-reaction-picker]');
+            if (!target) {
+                return;
+            }
+            
+            const messageEl = target.closest('[data-message-id]');
+            if (target.hasAttribute('data-reaction-picker')) {
+                messageEl.classList.toggle('reaction-picker-open');
+                return;
+            }
+            
+            messageEl.classList.remove('reaction-picker-open');
+            this.toggleReaction(messageEl.getAttribute('data-message-id'), target.getAttribute('data-reaction-emoji'));
+        });
+    }
+
+    /**
+     * Reaction chips (emoji and count, highlighted if we reacted) plus a picker
+     */
+    renderReactions(message) {
+        const reactions = message.reactions || {};
+        const walletAddress = this.auth.getWalletAddress();
+        const reactionsEl = document.createElement('span');
+        reactionsEl.className = 'message-reactions';
+        
+        const addButton = (className, emoji, label) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = className;
+            button.textContent = label;
+            button.setAttribute('data-reaction-emoji', emoji);
+            reactionsEl.appendChild(button);
+            return button;
+        };
+        
+        Object.entries(reactions).forEach(([emoji, reactors]) => {
+            const chip = addButton('reaction-chip', emoji, `${emoji} ${reactors.length}`);
+            chip.classList.toggle('mine', !!walletAddress && reactors.includes(walletAddress));
+            chip.title = `${reactors.length} reaction${reactors.length === 1 ? '' : 's'}`;
+        });
+        
+        const pickerToggle = document.createElement('button');
+        pickerToggle.type = 'button';
+        pickerToggle.className = 'reaction-add';
+        pickerToggle.textContent = '+';
+        pickerToggle.title = 'Add reaction';
+        pickerToggle.setAttribute('data-reaction-picker', '');
+        reactionsEl.appendChild(pickerToggle);
+        
+        const picker = document.createElement('span');
+        picker.className = 'reaction-picker';
+        this.config.MESSAGES.REACTION_EMOJI.forEach(emoji => {
+            const option = document.createElement('button');
+            option.type = 'button';
+            option.className = 'reaction-option';
+            option.textContent = emoji;
+            option.setAttribute('data-reaction-emoji', emoji);
+            picker.appendChild(option);
+        });
+        reactionsEl.appendChild(picker);
+        
+        return reactionsEl;
+    }
+
+    /**
+     * Handle clicks on reply buttons, quotes and thread toggles
+     */
+    setupThreadControls() {
+        if (!this.messageContainer) {
+            return;
+        }
+        
+        this.messageContainer.addEventListener('click', (event) => {
+            const target = event.target.closest('[data-reply-to], [data-quote-index], [data-thread-toggle]');
+            if (!target) {
+                return;
+            }
+            
+            if (target.hasAttribute('data-reply-to')) {
+                const message = this.messages.find(m => m.id === `msg-${target.getAttribute('data-reply-to')}`);
+                if (message) {
+                    this.emit('replyRequested', {
+                        index: this.getMessageIndex(message),
+                        author: message.author,
+                        content: message.content
+                    });
+                }
+            } else if (target.hasAttribute('data-quote-index')) {
+                this.scrollToMessage(parseInt(target.getAttribute('data-quote-index')));
+            } else {
+                const messageIndex = parseInt(target.getAttribute('data-thread-toggle'));
+                if (!this.expandedThreads.delete(messageIndex)) {
+                    this.expandedThreads.add(messageIndex);
+                }
+                this.refreshThread(messageIndex);
+            }
+        });
+    }
+
+    /**
+     * The message a reply points at: on screen, seen before, or fetched (once)
+     * in the background, re-rendering its replies when it arrives
+     */
+    getQuotedMessage(messageIndex) {
+        const displayed = this.messages.find(m => m.id === `msg-${messageIndex}`);
+        if (displayed) {
+            return displayed;
+        }
+        
+        const key = `${this.chatHistory.processId}:${messageIndex}`;
+        if (!this.quotedMessages.has(key)) {
+            this.quotedMessages.set(key, null);
+            const chatHistory = this.chatHistory;
+            chatHistory.fetchMessageRange(messageIndex, messageIndex).then(([parent]) => {
+                if (!parent) {
+                    return;
+                }
+                this.quotedMessages.set(key, { author: parent.username, content: parent.content });
+                if (chatHistory === this.chatHistory) {
+                    this.messages.filter(m => m.replyTo === messageIndex).forEach(m => this.refreshMessageElement(m));
+                }
+            }).catch(error => this.config.debug(`Failed to fetch quoted message ${messageIndex}:`, error));
+        }
+        const quoted = this.quotedMessages.get(key);
+        return quoted && this.chatHistory.withEdits(quoted, messageIndex);
+    }
+
+    /**
+     * Quoted preview of a reply's parent; clicking it scrolls to the parent
+     */
+    renderQuote(message) {
+        const parent = this.getQuotedMessage(message.replyTo);
+        const quoteEl = document.createElement('button');
+        quoteEl.type = 'button';
+        quoteEl.className = 'message-quote';
+        quoteEl.setAttribute('data-quote-index', message.replyTo);
+        quoteEl.title = 'Show the original message';
+        if (!parent) {
+            quoteEl.textContent = `↪ Message #${message.replyTo}`;
+        } else {
+            quoteEl.textContent = `↪ ${parent.author}: ${parent.deleted ? 'message deleted' : this.truncate(parent.content, 80)}`;
+        }
+        return quoteEl;
+    }
+
+    /**
+     * "N replies" toggle under a message, with the list of replies when expanded
+     */
+    renderThread(messageIndex) {
+        const replies = this.chatHistory.getReplies(messageIndex);
+        if (replies.length === 0) {
+            return null;
+        }
+        
+        const expanded = this.expandedThreads.has(messageIndex);
+        const threadEl = document.createElement('span');
+        threadEl.className = 'message-thread';
+        
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'message-thread-toggle';
+        toggle.textContent = `${expanded ? '▾' : '▸'} ${replies.length} ${replies.length === 1 ? 'reply' : 'replies'}`;
+        toggle.setAttribute('data-thread-toggle', messageIndex);
+        threadEl.appendChild(toggle);
+        
+        if (expanded) {
+            replies.map(reply => this.chatHistory.withEdits(reply)).forEach(reply => {
+                const replyEl = document.createElement('button');
+                replyEl.type = 'button';
+                replyEl.className = 'message-thread-reply';
+                replyEl.setAttribute('data-quote-index', reply.id);
+                replyEl.textContent = `${reply.username}: ${reply.deleted ? 'message deleted' : this.truncate(reply.content, 120)}`;
+                threadEl.appendChild(replyEl);
+            });
+        }
+        
+        return threadEl;
+    }
+
+    /**
+     * Re-render a displayed message's thread (e.g. after a new reply to it)
+     */
+    refreshThread(messageIndex) {
+        const parent = messageIndex ? this.messages.find(m => m.id === `msg-${messageIndex}`) : null;
+        if (parent) {
+            this.refreshMessageElement(parent);
+        }
+    }
+
+    /**
+     * Scroll to a message and highlight it. A message up to a page older than
+     * the view is paged in; one further away (or one evicted from the view)
+     * replaces the view with the pages around it (see showMessagesAround).
+     */
+    async scrollToMessage(messageIndex) {
+        const selector = `[data-message-id="msg-${messageIndex}"]`;
+        let messageEl = this.messageContainer?.querySelector(selector);
+        const pageSize = this.config.MESSAGES.HISTORY_PAGE_SIZE;
+        
+        while (!messageEl && this.chatHistory.hasOlderMessages() && messageIndex < this.chatHistory.lowestMessageId &&
+            messageIndex >= this.chatHistory.lowestMessageId - pageSize) {
+            const lowestBefore = this.chatHistory.lowestMessageId;
+            await this.loadOlderMessages();
+            if (this.chatHistory.lowestMessageId === lowestBefore) {
+                break; // Another load was already running, or the page failed
+            }
+            messageEl = this.messageContainer.querySelector(selector);
+        }
+        
+        if (!messageEl && this.messageContainer && await this.showMessagesAround(messageIndex)) {
+            messageEl = this.messageContainer.querySelector(selector);
+        }
+        
+        if (!messageEl) {
+            this.updateStatus(`Message #${messageIndex} isn't available`, 'error');
+            return false;
+        }
+        
+        messageEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        messageEl.classList.add('message-highlight');
+        setTimeout(() => messageEl.classList.remove('message-highlight'), 2000);
+        return true;
+    }
+
+    /**
+     * Replace the view with a message and a page of messages either side of it.
+     * Older pages still load on scrolling up; if newer messages exist past the
+     * window, the view is treated as scrolled back, so "jump to latest" reloads them.
+     */
+    async showMessagesAround(messageIndex) {
+        const switchId = this.roomSwitchId;
+        const target = await this.chatHistory.fetchIndividualMessage(messageIndex);
+        if (!target || switchId !== this.roomSwitchId) {
+            return false;
+        }
+        
+        const pageSize = this.config.MESSAGES.HISTORY_PAGE_SIZE;
+        const highestMessageId = Math.max(this.chatHistory.highestMessageId, messageIndex);
+        const startId = Math.max(1, messageIndex - pageSize);
+        const endId = Math.min(highestMessageId, messageIndex + pageSize);
+        const historyMessages = await this.chatHistory.fetchMessageRange(startId, endId);
+        if (switchId !== this.roomSwitchId) {
+            return false;
+        }
+        
+        this.messages = [];
+        this.displayedMessageIds.clear();
+        const preparedMessages = [];
+        for (const historyMessage of historyMessages) {
+            const preparedMessage = await this.prepareHistoryMessage(historyMessage);
+            if (preparedMessage) {
+                preparedMessages.push(preparedMessage);
+            }
+        }
+        
+        // Like displayMessages, but without scrolling to the bottom
+        const fragment = document.createDocumentFragment();
+        preparedMessages.forEach(message => {
+            const messageEl = document.createElement('div');
+            messageEl.className = 'message';
+            messageEl.setAttribute('data-message-id', message.id);
+            this.applyDeliveryClass(messageEl, message);
+            this.updateMessageElement(messageEl, message);
+            fragment.appendChild(messageEl);
+            this.displayedMessageIds.add(message.id);
+        });
+        this.messages = preparedMessages;
+        this.messageContainer.replaceChildren(fragment);
+        this.updateAllMessageGrouping();
+        
+        this.chatHistory.highestMessageId = highestMessageId;
+        this.chatHistory.lowestMessageId = startId;
+        this.newerMessagesEvicted = endId < highestMessageId;
+        this.isAtBottom = false;
+        this.emit('scrollPosition', { atBottom: !this.newerMessagesEvicted && this.isNearBottom() });
+        
+        this.config.debug(`Showing messages ${startId}-${endId} around #${messageIndex}`);
+        return true;
+    }
+
+    /**
+     * Search this room's messages (see MessageSearch.search). The first search
+     * also indexes the room's local cache. Fields are cleaned for display, and
+     * isMatch(word) says whether a word of a result matched the query.
+     */
+    async searchMessages(query, filters = {}) {
+        const chatHistory = this.chatHistory;
+        await chatHistory.loadSearchIndex();
+        
+        const { results, total } = chatHistory.searchIndex.search(query, filters, this.config.MESSAGES.MAX_SEARCH_RESULTS);
+        const terms = chatHistory.searchIndex.tokenize(query);
+        return {
+            total,
+            isMatch: (word) => chatHistory.searchIndex.matchesWord(word, terms),
+            results: results.map(message => ({
+                index: parseInt(message.id),
+                author: this.sanitizer.cleanUsername(message.username),
+                walletAddress: this.sanitizer.cleanWalletAddress(message.walletAddress),
+                content: this.sanitizer.cleanText(message.content),
+                timestamp: message.timestamp,
+                slot: message.slot || null
+            }))
+        };
+    }
+
+    truncate(text, maxLength) {
+        return text.length > maxLength ? `${text.substring(0, maxLength - 1)}…` : text;
+    }
+
+    /**
+     * Username -> wallet address for the authors of the loaded messages that
+     * have a wallet; a username used by several wallets maps to the latest
+     */
+    getKnownAuthors() {
+        const authors = new Map();
+        this.messages.forEach(message => {
+            if (message.author && this.sanitizer.cleanWalletAddress(message.walletAddress)) {
+                authors.delete(message.author); // Re-insert so the most recent author comes last
+                authors.set(message.author, message.walletAddress);
+            }
+        });
+        return authors;
+    }
+
+    /**
+     * Known authors (other than us) whose username starts with prefix, most
+     * recent first: [{ username, walletAddress }]
+     */
+    getMentionSuggestions(prefix, limit = 5) {
+        const ownWallet = this.auth.getWalletAddress();
+        const lowerPrefix = prefix.toLowerCase();
+        return Array.from(this.getKnownAuthors())
+            .reverse()
+            .filter(([username, walletAddress]) => walletAddress !== ownWallet && username.toLowerCase().startsWith(lowerPrefix))
+            .slice(0, limit)
+            .map(([username, walletAddress]) => ({ username, walletAddress }));
+    }
+
+    /**
+     * Wallet addresses of the known authors @mentioned in content. Usernames can
+     * contain spaces, so the longest one matching after each @ wins.
+     */
+    getMentionedWallets(content) {
+        const authors = this.getKnownAuthors();
+        const usernames = Array.from(authors.keys()).sort((a, b) => b.length - a.length);
+        const lowerContent = content.toLowerCase();
+        const wallets = new Set();
+        
+        let at = lowerContent.indexOf('@');
+        while (at !== -1 && wallets.size < this.config.MESSAGES.MAX_MENTIONS) {
+            // Not part of a word (e.g. an email address), and the name must end at a word boundary
+            if (at === 0 || !/\w/.test(content.charAt(at - 1))) {
+                const username = usernames.find(name =>
+                    lowerContent.startsWith(name.toLowerCase(), at + 1) &&
+                    !/\w/.test(content.charAt(at + 1 + name.length))
+                );
+                if (username) {
+                    wallets.add(authors.get(username));
+                }
+            }
+            at = lowerContent.indexOf('@', at + 1);
+        }
+        
+        return Array.from(wallets);
+    }
+
+    /**
+     * Whether someone else's message mentions our wallet
+     */
+    isMentioned(message) {
+        const ownWallet = this.auth.getWalletAddress();
+        return Boolean(ownWallet && !message.deleted && message.walletAddress !== ownWallet &&
+            message.mentions?.includes(ownWallet));
+    }
+
+    /**
+     * Handle clicks on the retry/edit/discard controls of queued messages
+     */
+    setupOutboxControls() {
+        if (!this.messageContainer) {
+            return;
+        }
+        
+        this.messageContainer.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-outbox-action]');
+            if (!button) {
+                return;
+            }
+            
+            const outboxId = button.getAttribute('data-outbox-id');
+            switch (button.getAttribute('data-outbox-action')) {
+                case 'retry':
+                    this.retryOutboxMessage(outboxId);
+                    break;
+                case 'edit':
+                    this.editOutboxMessage(outboxId);
+                    break;
+                case 'discard':
+                    this.discardOutboxMessage(outboxId);
+                    break;
+            }
+        });
+    }
+
+
+    /**
+     * Turn a failed send result into a readable error, with a retry hint when rate limited
+     */
+    describeSendError(result) {
+        const data = result.data && typeof result.data === 'object' ? result.data : {};
+        const retryAfter = data.retryAfter || parseInt(result.headers?.['retry-after']) || null;
+        let error = data.error || result.error || result.statusText || 'Unknown error';
+        
+        if (retryAfter) {
+            error = `${error}. Try again in ${retryAfter}s`;
+        }
+        
+        return { error, retryAfter };
+    }
+
+    /**
+     * Start receiving new messages and slot changes
+     * Prefers the WebSocket, then the server's event stream, then polling
+     */
+    startMessagePolling() {
+        if (this.isPolling) {
+            return;
+        }
+        
+        this.isPolling = true;
+        this.connectRealtime();
+    }
+
+    /**
+     * Connect the best available realtime channel
+     */
+    async connectRealtime() {
+        const connected = await this.transport.connect(this.config.PROCESS_ID, this.chatHistory.highestMessageId);
+        
+        // Polling may have been stopped while the socket was connecting
+        if (!this.isPolling) {
+            this.transport.close();
+            return;
+        }
+        
+        if (connected) {
+            this.transport.sendPresence(this.getUsername());
+            return;
+        }
+        
+        this.startFallbackUpdates();
+    }
+
+    /**
+     * Receive updates without the WebSocket: event stream if possible, otherwise polling
+     */
+    startFallbackUpdates() {
+        if (this.config.REALTIME?.USE_EVENT_STREAM && typeof EventSource !== 'undefined') {
+            this.connectEventStream();
+            return;
+        }
+        
+        this.startIntervalPolling();
+    }
+
+    /**
+     * Route WebSocket frames into the same handlers as the event stream
+     */
+    setupTransportHandlers() {
+        this.transport.on('message', (frame) => this.handleStreamedMessage(frame));
+        this.transport.on('slot', (frame) => this.handleStreamedSlot(frame));
+        this.transport.on('typing', (frame) => this.emit('typing', frame));
+        this.transport.on('presence', (frame) => this.emit('presence', frame));
+        this.transport.on('close', () => {
+            if (this.isPolling) {
+                this.config.log('WebSocket transport closed, falling back to HTTP');
+                this.emit('presence', { users: [], connections: 0 });
+                this.startFallbackUpdates();
+            }
+        });
+    }
+
+    /**
+     * Poll for new messages on an interval
+     */
+    startIntervalPolling() {
+        if (this.pollInterval) {
+            return;
+        }
+        
+        this.config.log(`Starting message polling every ${this.config.TIMING.MESSAGE_POLL_INTERVAL}ms`);
+        
+        this.pollInterval = setInterval(() => {
+            this.checkForNewMessages();
+        }, this.config.TIMING.MESSAGE_POLL_INTERVAL);
+    }
+
+    /**
+     * Stop message polling and close the event stream
+     */
+    stopMessagePolling() {
+        if (this.pollInterval) {
+            clearInterval(this.pollInterval);
+            this.pollInterval = null;
+        }
+        this.closeEventStream();
+        this.transport.close();
+        this.isPolling = false;
+        this.config.log('Message polling stopped');
+    }
+
+    /**
+     * Subscribe to /api/events/:processId, falling back to polling if it never connects
+     */
+    connectEventStream() {
+        const streamUrl = `${this.config.REALTIME.EVENT_STREAM_PATH}/${this.config.PROCESS_ID}?since=${this.chatHistory.highestMessageId}`;
+        let isReady = false;
+        
+        this.config.log(`Connecting to event stream ${streamUrl}`);
+        const eventSource = new EventSource(streamUrl);
+        this.eventSource = eventSource;
+        
+        eventSource.addEventListener('ready', (event) => {
+            isReady = true;
+            const data = JSON.parse(event.data);
+            this.config.log(`Event stream connected (slot ${data.slot}, ${data.messageCount} messages)`);
+        });
+        
+        eventSource.addEventListener('message', (event) => {
+            this.handleStreamedMessage(JSON.parse(event.data));
+        });
+        
+        eventSource.addEventListener('slot', (event) => {
+            this.handleStreamedSlot(JSON.parse(event.data));
+        });
+        
+        eventSource.onerror = () => {
+            // EventSource reconnects on its own once established; a stream that never
+            // became ready or was closed for good means the server can't provide one
+            if (!isReady || eventSource.readyState === EventSource.CLOSED) {
+                this.config.log('Event stream unavailable, falling back to polling');
+                this.closeEventStream();
+                if (this.isPolling) {
+                    this.startIntervalPolling();
+                }
+            }
+        };
+    }
+
+    /**
+     * Close the event stream if open
+     */
+    closeEventStream() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
+
+    /**
+     * Display a message pushed by the event stream
+     */
+    async handleStreamedMessage(data) {
+        try {
+            const historyMessage = this.chatHistory.normalizeMessage(data.message, data.index);
+            this.chatHistory.recordStreamedMessage(data.index, historyMessage);
+            await this.displayFetchedMessages([historyMessage]);
+        } catch (error) {
+            this.config.log('Error handling streamed message:', error);
+        }
+    }
+
+    /**
+     * Track slot advancement pushed by the event stream
+     */
+    async handleStreamedSlot(data) {
+        if (data.slot === null || data.slot <= this.lastKnownSlot) {
+            return;
+        }
+        
+        this.config.log(`Slot advanced: ${this.lastKnownSlot} → ${data.slot}`);
+        this.lastKnownSlot = data.slot;
+        
+        // Update any pending messages that might have executed
+        this.checkPendingMessages(data.slot);
+        
+        // Reactions and edits don't come through the stream, so check for them on every slot
+        await this.syncMessageUpdates();
+        
+        // Update statistics
+        await this.updateStatsDuringPolling();
+    }
+
+    /**
+     * Check for new messages and smoothly confirm pending message with computed result
+     */
+    async checkForNewMessagesAndReplacePending(pendingMessageId, nonce) {
+        try {
+            // Wait a brief moment for the message to be processed
+            await new Promise(resolve => setTimeout(resolve, 500));
+            
+            const latestMessages = await this.chatHistory.getLatestMessages(3, true);
+            
+            // Look for our message's nonce in the latest results
+            const computedMessage = latestMessages.find(msg => nonce && msg.nonce === nonce);
             
             if (computedMessage) {
                 this.config.debug(`Found computed message for pending ${pendingMessageId}:`, computedMessage);
@@ -278,39 +1666,12 @@ class ChatSystem {
                 // Update the existing pending message in-place to confirmed state
                 const pendingMessage = this.messages.find(m => m.id === pendingMessageId);
                 if (pendingMessage) {
-                    // Generate the new ID that matches what polling system expects
-                    const newId = `history-${computedMessage.slot}-${computedMessage.reference}`;
-                    
-                    // Update message properties with slot information
-                    pendingMessage.id = newId; // Critical: update ID to prevent duplicates
-                    pendingMessage.status = 'confirmed';
-                    pendingMessage.isPending = false;
-                    pendingMessage.slot = computedMessage.slot;
-                    pendingMessage.reference = computedMessage.reference;
-                    pendingMessage.source = 'chat-history-confirmed';
-                    
-                    // Update UI element smoothly
-                    if (this.messageContainer) {
-                        const messageEl = this.messageContainer.querySelector(`[data-message-id="${pendingMessageId}"]`);
-                        if (messageEl) {
-                            // Update the data attribute to match new ID
-                            messageEl.setAttribute('data-message-id', newId);
-                            
-                            // Remove pending state and add confirmed state
-                            messageEl.classList.remove('pending');
-                            messageEl.classList.add('confirmed');
-                            
-                            // Update the message element content if needed
-                            this.updateMessageElement(messageEl, pendingMessage);
-                        }
-                    }
-                    
-                    this.config.debug(`Smoothly confirmed pending message ${pendingMessageId} -> ${newId} with computed result`);
+                    this.confirmMessage(pendingMessage, computedMessage, 'chat-history-confirmed');
                 } else {
                     this.config.debug(`Could not find pending message ${pendingMessageId} to confirm`);
                 }
             } else {
-                this.config.debug(`No computed message found yet for pending ${pendingMessageId}, will auto-confirm on timeout`);
+                this.config.debug(`No computed message found yet for pending ${pendingMessageId}, polling will confirm it by nonce`);
             }
             
         } catch (error) {
@@ -342,55 +1703,15 @@ class ChatSystem {
                     // Use the bandwidth-efficient individual message fetching
                     const fetchedNewMessages = await this.chatHistory.fetchNewMessages();
                     
-                    // Process new messages if any were found
-                    if (fetchedNewMessages.length > 0) {
-                        const processedNewMessages = [];
-                        for (const historyMessage of fetchedNewMessages) {
-                            // Create a consistent message ID
-                            const messageId = historyMessage.id ? 
-                                `msg-${historyMessage.id}` : 
-                                `msg-${historyMessage.timestamp}`;
-                            
-                            // Check if this message is already displayed (most efficient check)
-                            if (!this.displayedMessageIds.has(messageId)) {
-                                // Also check for content-based duplicates as fallback
-                                const existingMessage = this.messages.find(m => 
-                                    m.content === historyMessage.content && 
-                                    m.author === historyMessage.username &&
-                                    Math.abs(m.timestamp - historyMessage.timestamp) < 1000
-                                );
-                                
-                                if (!existingMessage) {
-                                    const preparedMessage = await this.prepareHistoryMessage(historyMessage);
-                                    if (preparedMessage) {
-                                        // Override the ID to ensure consistency
-                                        preparedMessage.id = messageId;
-                                        processedNewMessages.push(preparedMessage);
-                                    }
-                                }
-                            }
-                        }
-                        
-                        if (processedNewMessages.length > 0) {
-                            this.config.debug(`Adding ${processedNewMessages.length} new messages to display`);
-                            
-                            // Sort new messages by timestamp before adding
-                            processedNewMessages.sort((a, b) => {
-                                if (a.timestamp !== b.timestamp) {
-                                    return a.timestamp - b.timestamp;
-                                }
-                                return 0;
-                            });
-                            
-                            // Use efficient addition method instead of full re-render
-                            this.addNewMessagesOnly(processedNewMessages);
-                        }
-                    }
+                    await this.displayFetchedMessages(fetchedNewMessages);
                 }
                 
                 // Update any pending messages that might have executed
                 this.checkPendingMessages(currentSlot);
                 
+                // The slot may have been a reaction or edit rather than a message
+                await this.syncMessageUpdates();
+                
                 // Update statistics
                 await this.updateStatsDuringPolling();
             }
@@ -400,6 +1721,68 @@ class ChatSystem {
         }
     }
 
+    /**
+     * Add fetched history messages that aren't displayed yet
+     */
+    async displayFetchedMessages(fetchedMessages) {
+        // Process new messages if any were found
+        if (fetchedMessages.length > 0) {
+            const processedNewMessages = [];
+            for (const historyMessage of fetchedMessages) {
+                // Create a consistent message ID
+                const messageId = historyMessage.id ? 
+                    `msg-${historyMessage.id}` : 
+                    `msg-${historyMessage.timestamp}`;
+                
+                // Check if this message is already displayed (most efficient check)
+                if (!this.displayedMessageIds.has(messageId)) {
+                    // Our own message coming back: confirm the optimistic copy instead of adding another
+                    const sentMessage = this.findMessageByNonce(historyMessage.nonce);
+                    if (sentMessage) {
+                        if (sentMessage.status !== 'computed') {
+                            this.confirmMessage(sentMessage, historyMessage, 'chat-history-confirmed');
+                        }
+                        continue;
+                    }
+                    
+                    // Messages without a nonce (older process code) fall back to content matching
+                    const existingMessage = !historyMessage.nonce && this.messages.find(m => 
+                        m.content === historyMessage.content && 
+                        m.author === historyMessage.username &&
+                        Math.abs(m.timestamp - historyMessage.timestamp) < 1000
+                    );
+                    
+                    if (!existingMessage) {
+                        const preparedMessage = await this.prepareHistoryMessage(historyMessage);
+                        if (preparedMessage) {
+                            // Override the ID to ensure consistency
+                            preparedMessage.id = messageId;
+                            processedNewMessages.push(preparedMessage);
+                        }
+                    }
+                    
+                    // A new reply changes its parent's reply count
+                    this.refreshThread(historyMessage.replyTo);
+                }
+            }
+            
+            if (processedNewMessages.length > 0) {
+                this.config.debug(`Adding ${processedNewMessages.length} new messages to display`);
+                
+                // Sort new messages by timestamp before adding
+                processedNewMessages.sort((a, b) => {
+                    if (a.timestamp !== b.timestamp) {
+                        return a.timestamp - b.timestamp;
+                    }
+                    return 0;
+                });
+                
+                // Use efficient addition method instead of full re-render
+                this.addNewMessagesOnly(processedNewMessages);
+            }
+        }
+    }
+
     /**
      * Check a specific slot for executed messages
      */
@@ -485,6 +1868,10 @@ class ChatSystem {
             messageWalletAddress = historyMessage.tags.Wallet_Address;
         }
         
+        // Whoever pushed it chose these fields; keep them to plain text of the expected shape
+        username = this.sanitizer.cleanUsername(username);
+        messageWalletAddress = this.sanitizer.cleanWalletAddress(messageWalletAddress);
+        
         // Get current user info for comparison
         const usernameInput = document.getElementById('username-input');
         const currentUsername = usernameInput?.value?.trim() || 'Chat User';
@@ -538,14 +1925,23 @@ class ChatSystem {
             
         const processMessage = {
             id: messageId,
-            content: historyMessage.content,
+            content: this.sanitizer.cleanText(historyMessage.content),
             timestamp: historyMessage.timestamp,
             author: username,
-            status: 'received',
+            status: 'computed', // Already in /now/messages; no delivery record
             slot: historyMessage.slot || null,
             reference: historyMessage.reference || null,
             source: 'chat-history',
-            walletAddress: messageWalletAddress
+            walletAddress: messageWalletAddress,
+            nonce: historyMessage.nonce || null,
+            replyTo: historyMessage.replyTo || null,
+            mentions: (historyMessage.mentions || []).map(wallet => this.sanitizer.cleanWalletAddress(wallet)).filter(Boolean),
+            reactions: historyMessage.reactions || {},
+            edited: historyMessage.edited || false,
+            editedAt: historyMessage.editedAt || null,
+            revisions: (historyMessage.revisions || []).map(revision => ({ ...revision, content: this.sanitizer.cleanText(revision.content) })),
+            deleted: historyMessage.deleted || false,
+            deletedAt: historyMessage.deletedAt || null
         };
 
         return processMessage;
@@ -585,12 +1981,8 @@ class ChatSystem {
                 messageEl.className = 'message';
                 messageEl.setAttribute('data-message-id', message.id);
                 
-                // Add pending/confirmed state classes
-                if (message.isPending || message.status === 'pending') {
-                    messageEl.classList.add('pending');
-                } else if (message.status === 'confirmed') {
-                    messageEl.classList.add('confirmed');
-                }
+                // Add delivery state classes
+                this.applyDeliveryClass(messageEl, message);
                 
                 this.updateMessageElement(messageEl, message);
                 fragment.appendChild(messageEl);
@@ -625,24 +2017,26 @@ class ChatSystem {
             return;
         }
         
-        // Add to our messages array
-        this.messages.push(...trulyNewMessages);
+        // Announce new mentions of us, even ones held back below
+        trulyNewMessages.forEach(message => {
+            if (this.isMentioned(message) && !this.notifiedMentions.has(message.id)) {
+                this.notifiedMentions.add(message.id);
+                this.emit('mentioned', { message, index: this.getMessageIndex(message) });
+            }
+        });
         
-        // Limit total messages to maintain performance
-        if (this.messages.length > this.maxDisplayMessages) {
-            const excess = this.messages.length - this.maxDisplayMessages;
-            const removedMessages = this.messages.splice(0, excess);
-            
-            // Remove IDs of messages we're no longer displaying
-            removedMessages.forEach(msg => {
-                if (msg.id) this.displayedMessageIds.delete(msg.id);
-            });
-            
-            // Re-render if we removed messages (to maintain DOM consistency)
-            this.displayMessages(this.messages);
+        // The view ends before the newest messages; they'll show on "jump to latest"
+        if (this.newerMessagesEvicted) {
+            this.config.debug(`Holding ${trulyNewMessages.length} new messages until jump to latest`);
             return;
         }
         
+        // Only follow new messages if the reader is already at the bottom
+        const wasAtBottom = this.isNearBottom();
+        
+        // Add to our messages array
+        this.messages.push(...trulyNewMessages);
+        
         // Add new message IDs to tracking
         trulyNewMessages.forEach(msg => {
             if (msg.id) this.displayedMessageIds.add(msg.id);
@@ -657,12 +2051,8 @@ class ChatSystem {
                 messageEl.className = 'message';
                 messageEl.setAttribute('data-message-id', message.id);
                 
-                // Add pending/confirmed state classes
-                if (message.isPending || message.status === 'pending') {
-                    messageEl.classList.add('pending');
-                } else if (message.status === 'confirmed') {
-                    messageEl.classList.add('confirmed');
-                }
+                // Add delivery state classes
+                this.applyDeliveryClass(messageEl, message);
                 
                 this.updateMessageElement(messageEl, message);
                 fragment.appendChild(messageEl);
@@ -674,8 +2064,11 @@ class ChatSystem {
             // Update grouping for new messages
             this.updateAllMessageGrouping();
             
-            // Scroll to bottom
-            this.scrollToBottom(true, 500);
+            // Limit displayed messages to maintain performance, then scroll to bottom
+            if (wasAtBottom) {
+                this.evictOlderMessages();
+                this.scrollToBottom(true, 500);
+            }
         }
         
         this.config.debug(`Added ${trulyNewMessages.length} new messages (${this.displayedMessageIds.size} total tracked)`);
@@ -710,12 +2103,8 @@ class ChatSystem {
                 messageEl.className = 'message message-stagger';
                 messageEl.setAttribute('data-message-id', message.id);
                 
-                // Add pending/confirmed state classes
-                if (message.isPending || message.status === 'pending') {
-                    messageEl.classList.add('pending');
-                } else if (message.status === 'confirmed') {
-                    messageEl.classList.add('confirmed');
-                }
+                // Add delivery state classes
+                this.applyDeliveryClass(messageEl, message);
                 
                 this.updateMessageElement(messageEl, message);
                 fragment.appendChild(messageEl);
@@ -800,15 +2189,11 @@ class ChatSystem {
      * Check pending messages for execution completion
      */
     checkPendingMessages(currentSlot) {
-        for (const [messageId, messageData] of this.pendingMessages) {
-            if (messageData.waitingForExecution) {
-                // If slot has advanced beyond when we sent the message, consider it processed
-                // but don't change the status from "sent" to maintain iMessage-style simplicity
-                const sendSlot = messageData.sendResult?.initialSlot;
-                if (sendSlot && currentSlot > sendSlot) {
-                    this.pendingMessages.delete(messageId);
-                    this.emit('executionComplete', { messageId, messageData, slot: currentSlot });
-                }
+        for (const message of this.pendingMessages.values()) {
+            // Push responses without a slot: the first slot after the push is the one it got
+            const pushSlot = this.delivery.getSlot(message);
+            if (message.status === 'pushed' && pushSlot !== null && currentSlot > pushSlot) {
+                this.setDeliveryState(message, 'scheduled', { slot: currentSlot });
             }
         }
     }
@@ -816,7 +2201,8 @@ class ChatSystem {
     // REMOVED: createMessageHash function - no longer needed
 
     /**
-     * Add a message to the chat
+     * Add a message to the chat. this.messages mirrors the message elements in
+     * the DOM, so it's trimmed along with them.
      */
     addMessage(message) {
         // Prevent duplicate messages
@@ -824,54 +2210,28 @@ class ChatSystem {
             return;
         }
         
-        this.messages.push(message);
-        
-        // Trim messages if we have too many
-        if (this.messages.length > this.config.MESSAGES.MAX_MESSAGES_TO_STORE) {
-            this.messages = this.messages.slice(-this.config.MESSAGES.MAX_MESSAGES_TO_STORE);
+        // The view ends before the newest messages, so this one can't be appended
+        if (this.newerMessagesEvicted) {
+            this.config.debug(`Holding message ${message.id} until jump to latest`);
+            return;
         }
         
+        this.messages.push(message);
+        
         // Update UI
         if (this.messageContainer) {
             this.renderMessage(message);
+            this.evictOlderMessages();
             this.scrollToBottom();
+        } else if (this.messages.length > this.maxDisplayMessages) {
+            const excess = this.messages.length - this.maxDisplayMessages;
+            const dropped = new Set(this.messages.filter(m => !this.isPendingSend(m)).slice(0, excess));
+            this.messages = this.messages.filter(m => !dropped.has(m));
         }
         
         this.config.debug('Message added:', message);
     }
 
-    /**
-     * Update message status
-     */
-    updateMessageStatus(messageId, status, data = {}) {
-        const message = this.messages.find(m => m.id === messageId);
-        if (message) {
-            const oldStatus = message.status;
-            message.status = status;
-            message.statusData = data;
-            
-            // Update pending state
-            if (status === 'confirmed') {
-                message.isPending = false;
-            }
-            
-            // Update UI if message is visible
-            if (this.messageContainer) {
-                const messageEl = this.messageContainer.querySelector(`[data-message-id="${messageId}"]`);
-                if (messageEl) {
-                    this.updateMessageElement(messageEl, message);
-                    // Add smooth transition classes
-                    if (oldStatus === 'pending' && status === 'confirmed') {
-                        messageEl.classList.remove('pending');
-                        messageEl.classList.add('confirmed');
-                    }
-                }
-            }
-            
-            this.config.debug(`Message ${messageId} status updated to: ${status}`);
-        }
-    }
-
     /**
      * Render a message in the UI
      */
@@ -882,12 +2242,8 @@ class ChatSystem {
         messageEl.className = 'message message-new';
         messageEl.setAttribute('data-message-id', message.id);
         
-        // Add pending/confirmed state classes
-        if (message.isPending || message.status === 'pending') {
-            messageEl.classList.add('pending');
-        } else if (message.status === 'confirmed') {
-            messageEl.classList.add('confirmed');
-        }
+        // Add delivery state classes
+        this.applyDeliveryClass(messageEl, message);
         
         this.updateMessageElement(messageEl, message);
         this.messageContainer.appendChild(messageEl);
@@ -996,6 +2352,7 @@ class ChatSystem {
         
         messageEl.classList.toggle('own-message', isOwnMessage);
         messageEl.classList.toggle('process-message', !isOwnMessage);
+        messageEl.classList.toggle('mentioned', this.isMentioned(message));
         
         // Get username, fallback to defaults
         let username = message.author || (isOwnMessage ? 'You' : 'System');
@@ -1008,12 +2365,110 @@ class ChatSystem {
         // Remove all grouping logic for minimal style
         messageEl.classList.remove('grouped', 'last-in-group');
         
-        // Format: username • timestamp: content (no status text - we use visual states)
-        messageEl.innerHTML = `
-            <span class="message-header">
-                <span class="message-username">${this.escapeHtml(username)}</span><span class="message-separator">•</span><span class="message-timestamp">${timestamp}</span><span class="message-colon">:</span>
-            </span><span class="message-content">${this.escapeHtml(message.content)}</span>
-        `;
+        // Format: username • timestamp: content (no status text - we use visual states).
+        // Built from text nodes, never HTML, so nothing in a message is parsed as markup.
+        messageEl.replaceChildren();
+        const headerEl = document.createElement('span');
+        headerEl.className = 'message-header';
+        [['message-username', username], ['message-separator', '•'], ['message-timestamp', timestamp], ['message-colon', ':']]
+            .forEach(([className, text]) => {
+                const partEl = document.createElement('span');
+                partEl.className = className;
+                partEl.textContent = text;
+                headerEl.appendChild(partEl);
+            });
+        messageEl.appendChild(headerEl);
+        
+        // Formatted by MessageRenderer and held to the sanitizer's allowlist; the raw text is what was sent
+        const contentEl = document.createElement('span');
+        contentEl.className = 'message-content';
+        contentEl.appendChild(this.sanitizer.sanitizeFragment(this.renderer.render(message.content)));
+        messageEl.appendChild(contentEl);
+        
+        // Deleted messages keep their place as a tombstone; edited ones link to their history
+        if (message.deleted) {
+            contentEl.classList.add('message-deleted');
+            contentEl.textContent = 'message deleted';
+        } else if (message.edited) {
+            const editedButton = document.createElement('button');
+            editedButton.type = 'button';
+            editedButton.className = 'message-edited';
+            editedButton.textContent = '(edited)';
+            editedButton.title = 'Show edit history';
+            editedButton.setAttribute('data-edit-action', 'history');
+            messageEl.appendChild(editedButton);
+            
+            if (this.expandedEditHistories.has(message.id)) {
+                messageEl.appendChild(this.renderRevisions(message));
+            }
+        }
+        
+        // Replies quote their parent above the message
+        if (message.replyTo) {
+            messageEl.insertBefore(this.renderQuote(message), messageEl.firstChild);
+        }
+        
+        // Failed sends say why (e.g. rate limited, with when to retry)
+        if (['failed', 'queued', 'unconfirmed'].includes(message.status) && message.statusData?.error) {
+            const errorEl = document.createElement('span');
+            errorEl.className = 'message-error';
+            errorEl.textContent = message.status === 'queued'
+                ? `${message.statusData.error}. Retrying automatically`
+                : message.statusData.error;
+            messageEl.appendChild(errorEl);
+        }
+        
+        // Reactions, replies and (on our own messages) edit/delete, once the message
+        // has a process index to point at
+        const messageIndex = this.getMessageIndex(message);
+        if (messageIndex !== null) {
+            if (!message.deleted) {
+                const reactionsEl = this.renderReactions(message);
+                const addTool = (className, label, title, attribute, value) => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = className;
+                    button.textContent = label;
+                    button.title = title;
+                    button.setAttribute(attribute, value);
+                    reactionsEl.appendChild(button);
+                };
+                addTool('message-reply', '↩', 'Reply', 'data-reply-to', messageIndex);
+                if (this.canEditMessage(message)) {
+                    addTool('message-tool', 'Edit', 'Edit message', 'data-edit-action', 'edit');
+                    addTool('message-tool', 'Delete', 'Delete message', 'data-edit-action', 'delete');
+                }
+                messageEl.appendChild(reactionsEl);
+            }
+            
+            const threadEl = this.renderThread(messageIndex);
+            if (threadEl) {
+                messageEl.appendChild(threadEl);
+            }
+        }
+        
+        // Delivery timings for our own messages (see DeliveryStateMachine.describe)
+        if (message.delivery) {
+            messageEl.title = this.delivery.describe(message);
+        } else {
+            messageEl.removeAttribute('title');
+        }
+        
+        // Outbox messages can be retried, edited or discarded (see setupOutboxControls)
+        if (message.outboxId && message.statusData?.error && (message.status === 'failed' || message.status === 'queued')) {
+            const actionsEl = document.createElement('span');
+            actionsEl.className = 'message-actions';
+            [['retry', 'Retry now'], ['edit', 'Edit'], ['discard', 'Discard']].forEach(([action, label]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'message-action';
+                button.textContent = label;
+                button.setAttribute('data-outbox-action', action);
+                button.setAttribute('data-outbox-id', message.outboxId);
+                actionsEl.appendChild(button);
+            });
+            messageEl.appendChild(actionsEl);
+        }
     }
 
     // REMOVED: getStatusText, getStatusClass, applyMessageGrouping - unused with current minimal UI
@@ -1069,6 +2524,215 @@ class ChatSystem {
         return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
     }
 
+    /**
+     * Load older messages when the reader scrolls up to the top, and report
+     * whether the view is at the bottom (for the "jump to latest" control)
+     */
+    setupScrollPaging() {
+        if (!this.messageContainer) {
+            return;
+        }
+        
+        this.messageContainer.addEventListener('scroll', () => {
+            const scrollTop = this.messageContainer.scrollTop;
+            const scrollingUp = scrollTop < this.lastScrollTop;
+            this.lastScrollTop = scrollTop;
+            
+            // Only on the way up, so the initial scroll down from the top doesn't page
+            if (scrollingUp && scrollTop < 200) {
+                this.loadOlderMessages();
+            }
+            
+            const atBottom = this.isNearBottom();
+            if (atBottom !== this.isAtBottom) {
+                this.isAtBottom = atBottom;
+                if (atBottom && !this.newerMessagesEvicted) {
+                    this.evictOlderMessages();
+                }
+                this.emit('scrollPosition', { atBottom: atBottom && !this.newerMessagesEvicted });
+            }
+        }, { passive: true });
+    }
+
+    /**
+     * Whether the view is scrolled to (or nearly to) the bottom
+     */
+    isNearBottom() {
+        const container = this.messageContainer;
+        if (!container) {
+            return true;
+        }
+        return container.scrollHeight - container.scrollTop - container.clientHeight < 80;
+    }
+
+    /**
+     * Fetch the page before the oldest loaded message and prepend it
+     */
+    async loadOlderMessages() {
+        if (this.isLoadingOlder || !this.messageContainer || !this.chatHistory.hasOlderMessages()) {
+            return;
+        }
+        
+        this.isLoadingOlder = true;
+        const switchId = this.roomSwitchId;
+        
+        try {
+            const olderMessages = await this.chatHistory.getOlderMessages(this.config.MESSAGES.HISTORY_PAGE_SIZE);
+            if (switchId !== this.roomSwitchId) return;
+            
+            const preparedMessages = [];
+            for (const historyMessage of olderMessages) {
+                const preparedMessage = await this.prepareHistoryMessage(historyMessage);
+                if (preparedMessage && !this.displayedMessageIds.has(preparedMessage.id)) {
+                    preparedMessages.push(preparedMessage);
+                }
+            }
+            preparedMessages.sort((a, b) => a.timestamp - b.timestamp);
+            
+            if (preparedMessages.length > 0) {
+                this.prependMessages(preparedMessages);
+            }
+            this.config.debug(`Loaded ${preparedMessages.length} older messages (oldest index ${this.chatHistory.lowestMessageId})`);
+        } catch (error) {
+            this.config.log('Error loading older messages:', error);
+        } finally {
+            this.isLoadingOlder = false;
+        }
+    }
+
+    /**
+     * Insert messages above the current ones without moving what the reader sees
+     */
+    prependMessages(messages) {
+        const container = this.messageContainer;
+        const previousScrollHeight = container.scrollHeight;
+        const previousScrollTop = container.scrollTop;
+        
+        const fragment = document.createDocumentFragment();
+        messages.forEach(message => {
+            const messageEl = document.createElement('div');
+            messageEl.className = 'message';
+            messageEl.setAttribute('data-message-id', message.id);
+            this.updateMessageElement(messageEl, message);
+            fragment.appendChild(messageEl);
+            this.displayedMessageIds.add(message.id);
+        });
+        
+        container.insertBefore(fragment, container.firstChild);
+        this.messages.unshift(...messages);
+        this.updateAllMessageGrouping();
+        
+        // Keep the same messages in view
+        container.scrollTop = previousScrollTop + (container.scrollHeight - previousScrollHeight);
+        this.lastScrollTop = container.scrollTop;
+        
+        this.evictNewerMessages();
+    }
+
+    /**
+     * Drop the newest messages from the DOM while reading far back
+     */
+    evictNewerMessages() {
+        const maxLoaded = this.config.MESSAGES.MAX_LOADED_MESSAGES;
+        const messageEls = this.messageContainer.querySelectorAll('.message[data-message-id]');
+        if (messageEls.length <= maxLoaded) {
+            return;
+        }
+        
+        const removedIds = this.removeMessageElements(this.getEvictableElements(Array.from(messageEls).slice(maxLoaded)));
+        this.config.debug(`Evicted ${removedIds.size} newer messages from the DOM`);
+        
+        if (!this.newerMessagesEvicted) {
+            this.newerMessagesEvicted = true;
+            this.emit('scrollPosition', { atBottom: false });
+        }
+    }
+
+    /**
+     * Trim the view back to the latest maxDisplayMessages once the reader is at the bottom
+     */
+    evictOlderMessages() {
+        if (!this.messageContainer) {
+            return;
+        }
+        
+        const messageEls = this.messageContainer.querySelectorAll('.message[data-message-id]');
+        const excess = messageEls.length - this.maxDisplayMessages;
+        if (excess <= 0) {
+            return;
+        }
+        
+        const removedIds = this.removeMessageElements(this.getEvictableElements(Array.from(messageEls)).slice(0, excess));
+        
+        // Older pages now start again from the oldest message still shown
+        const indexes = this.messages
+            .map(message => /^msg-(\d+)$/.exec(message.id))
+            .filter(match => match && parseInt(match[1]) <= this.chatHistory.highestMessageId)
+            .map(match => parseInt(match[1]));
+        if (indexes.length > 0) {
+            this.chatHistory.lowestMessageId = Math.min(...indexes);
+        }
+        
+        this.config.debug(`Evicted ${removedIds.size} older messages from the DOM`);
+    }
+
+    /**
+     * Our own sends that aren't computed yet: the outbox and the confirmation
+     * check find them in this.messages, so they are never evicted
+     */
+    isPendingSend(message) {
+        return Boolean(message.outboxId) || (Boolean(message.delivery) && message.status !== 'computed');
+    }
+
+    /**
+     * The message elements that can be evicted, skipping pending sends
+     */
+    getEvictableElements(messageEls) {
+        const pendingIds = new Set(this.messages.filter(m => this.isPendingSend(m)).map(m => String(m.id)));
+        return messageEls.filter(messageEl => !pendingIds.has(messageEl.getAttribute('data-message-id')));
+    }
+
+    /**
+     * Remove message elements and forget their messages; returns the removed IDs
+     */
+    removeMessageElements(messageEls) {
+        const removedIds = new Set();
+        messageEls.forEach(messageEl => {
+            const messageId = messageEl.getAttribute('data-message-id');
+            removedIds.add(messageId);
+            this.displayedMessageIds.delete(messageId);
+            messageEl.remove();
+        });
+        this.messages = this.messages.filter(message => !removedIds.has(String(message.id)));
+        return removedIds;
+    }
+
+    /**
+     * Scroll to the newest message, reloading the latest page if it was evicted
+     */
+    async jumpToLatest() {
+        if (this.newerMessagesEvicted) {
+            // Pushed sends still waiting to be computed go back after the latest page
+            const pending = this.messages.filter(m => this.isPendingSend(m) && !m.outboxId);
+            this.newerMessagesEvicted = false;
+            this.messages = [];
+            this.displayedMessageIds.clear();
+            if (this.messageContainer) {
+                this.messageContainer.innerHTML = '';
+            }
+            await this.loadChatHistory();
+            pending
+                .filter(message => !this.messages.some(m => m.nonce && m.nonce === message.nonce))
+                .forEach(message => this.addMessage(message));
+            this.restoreOutboxMessages();
+        } else if (this.messageContainer) {
+            this.animateScroll(this.messageContainer.scrollHeight, 500);
+        }
+        
+        this.isAtBottom = true;
+        this.emit('scrollPosition', { atBottom: true });
+    }
+
     /**
      * Update status display
      */
@@ -1080,14 +2744,7 @@ class ChatSystem {
         this.emit('statusUpdate', { message, type });
     }
 
-    /**
-     * Escape HTML to prevent XSS
-     */
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
+    // REMOVED: escapeHtml - bubbles are built from text nodes (see MessageSanitizer)
 
     /**
      * Get chat history from current messages
@@ -1101,6 +2758,11 @@ class ChatSystem {
      */
     async loadChatHistory() {
         try {
+            // Render the local cache straight away when it can just be extended
+            if (await this.loadCachedHistory()) {
+                return;
+            }
+            
             // Show loading skeleton (without the loading text artifact)
             this.showLoadingSkeleton();
             this.updateStatus('Loading chat history...', '');
@@ -1116,29 +2778,8 @@ class ChatSystem {
                 return;
             }
             
-            // Step 2: Process and prepare ALL messages without displaying them
-            const processedMessages = [];
-            const chronologicalMessages = historyMessages.slice().reverse();
-            
-            for (const historyMessage of chronologicalMessages) {
-                const processedMessage = await this.prepareHistoryMessage(historyMessage);
-                if (processedMessage) {
-                    processedMessages.push(processedMessage);
-                }
-            }
-            
-            // Step 3: Sort all processed messages
-            processedMessages.sort((a, b) => {
-                // Sort by timestamp primarily
-                if (a.timestamp !== b.timestamp) {
-                    return a.timestamp - b.timestamp;
-                }
-                // If timestamps are same, sort by slot then reference
-                if (a.slot !== b.slot) {
-                    return a.slot - b.slot;
-                }
-                return parseInt(a.reference || '0') - parseInt(b.reference || '0');
-            });
+            // Step 2 and 3: Process, prepare and sort ALL messages without displaying them
+            const processedMessages = await this.prepareHistoryMessages(historyMessages.slice().reverse());
             
             // Step 4: Hide loading and display messages
             await this.hideLoadingSkeleton();
@@ -1156,6 +2797,77 @@ class ChatSystem {
         }
     }
     
+    /**
+     * Prepare history messages for display, sorted oldest first
+     */
+    async prepareHistoryMessages(historyMessages) {
+        const processedMessages = [];
+        
+        for (const historyMessage of historyMessages) {
+            const processedMessage = await this.prepareHistoryMessage(historyMessage);
+            if (processedMessage) {
+                processedMessages.push(processedMessage);
+            }
+        }
+        
+        processedMessages.sort((a, b) => {
+            // Sort by timestamp primarily
+            if (a.timestamp !== b.timestamp) {
+                return a.timestamp - b.timestamp;
+            }
+            // If timestamps are same, sort by slot then reference
+            if (a.slot !== b.slot) {
+                return a.slot - b.slot;
+            }
+            return parseInt(a.reference || '0') - parseInt(b.reference || '0');
+        });
+        
+        return processedMessages;
+    }
+
+    /**
+     * Show history from the IndexedDB cache, then fetch only the newer messages.
+     * Returns false (showing nothing) when there's no usable cache.
+     */
+    async loadCachedHistory() {
+        const cachedMessages = await this.chatHistory.getCachedHistory(this.maxDisplayMessages);
+        if (cachedMessages.length === 0) {
+            return false;
+        }
+        
+        const processedMessages = await this.prepareHistoryMessages(cachedMessages);
+        this.displayMessages(processedMessages);
+        this.updateStatus(`Loaded ${processedMessages.length} cached messages`, 'connected');
+        
+        if (!(await this.chatHistory.canResumeFromCache(this.maxDisplayMessages))) {
+            this.config.log('Local cache is stale, loading history from the node');
+            this.messages = [];
+            this.displayedMessageIds.clear();
+            if (this.messageContainer) {
+                this.messageContainer.innerHTML = '';
+            }
+            return false;
+        }
+        
+        await this.displayFetchedMessages(await this.chatHistory.fetchNewMessages());
+        await this.updateStatsDuringPolling();
+        return true;
+    }
+
+    /**
+     * Forget all locally cached messages and reload the open room from the node
+     */
+    async clearLocalCache() {
+        await this.messageStore.clear();
+        this.rooms.forEach((room, processId) => {
+            room.chatHistory.resetSearchIndex();
+            if (processId !== this.chatHistory.processId) {
+                room.messages = [];
+            }
+        });
+        await this.refreshChatHistory();
+    }
+
     /**
      * Refresh chat history
      */
@@ -1280,39 +2992,21 @@ class ChatSystem {
     /**
      * Immediately check for computed message (no delay)
      */
-    async immediatelyCheckForComputedMessage(pendingMessageId, messageContent, username) {
+    async immediatelyCheckForComputedMessage(pendingMessageId, nonce) {
         try {
             // Check immediately without any delay - use efficient individual message fetching
             const latestMessages = await this.chatHistory.getLatestMessages(5, true);
             
-            // Look for our message in the latest results
-            const computedMessage = latestMessages.find(msg => 
-                msg.content === messageContent && 
-                (msg.username === username)
-            );
+            // Look for our message's nonce in the latest results
+            const computedMessage = latestMessages.find(msg => nonce && msg.nonce === nonce);
             
             if (computedMessage) {
                 this.config.debug(`IMMEDIATE: Found computed message for pending ${pendingMessageId}`);
                 
                 // Update the existing pending message in-place to confirmed state
                 const pendingMessage = this.messages.find(m => m.id === pendingMessageId);
-                if (pendingMessage && pendingMessage.isPending) {
-                    // Update message properties
-                    pendingMessage.status = 'confirmed';
-                    pendingMessage.isPending = false;
-                    pendingMessage.source = 'immediate-confirmed';
-                    
-                    // Update UI element immediately
-                    if (this.messageContainer) {
-                        const messageEl = this.messageContainer.querySelector(`[data-message-id="${pendingMessageId}"]`);
-                        if (messageEl) {
-                            messageEl.classList.remove('pending');
-                            messageEl.classList.add('confirmed');
-                            this.updateMessageElement(messageEl, pendingMessage);
-                        }
-                    }
-                    
-                    this.config.debug(`IMMEDIATE: Confirmed pending message ${pendingMessageId} immediately`);
+                if (pendingMessage && this.delivery.canTransition(pendingMessage.status, 'computed')) {
+                    this.confirmMessage(pendingMessage, computedMessage, 'immediate-confirmed');
                     return true;
                 }
             }
@@ -1408,6 +3102,51 @@ class ChatSystem {
         return {};
     }
 
+    /**
+     * Current username from the input field, sanitized
+     */
+    getUsername() {
+        const usernameInput = typeof document !== 'undefined' ? document.getElementById('username-input') : null;
+        return this.sanitizeUsername(usernameInput?.value?.trim() || 'Chat User');
+    }
+
+    /**
+     * Announce the current username to the room (WebSocket only)
+     */
+    announcePresence() {
+        this.transport.sendPresence(this.getUsername());
+    }
+
+    /**
+     * Report typing activity; stops automatically after TYPING_TIMEOUT
+     */
+    notifyTyping() {
+        if (this.transport.getMode() !== 'websocket') {
+            return;
+        }
+        
+        if (!this.isTyping) {
+            this.isTyping = true;
+            this.transport.sendTyping(true);
+        }
+        
+        clearTimeout(this.typingTimer);
+        this.typingTimer = setTimeout(() => this.stopTyping(), this.config.REALTIME.TYPING_TIMEOUT);
+    }
+
+    /**
+     * Clear our typing state
+     */
+    stopTyping() {
+        clearTimeout(this.typingTimer);
+        this.typingTimer = null;
+        
+        if (this.isTyping) {
+            this.isTyping = false;
+            this.transport.sendTyping(false);
+        }
+    }
+
     /**
      * Sanitize username input to prevent XSS and ensure clean display
      */
@@ -1437,7 +3176,14 @@ class ChatSystem {
      */
     destroy() {
         this.stopMessagePolling();
+        this.stopBackgroundWatchers();
+        clearTimeout(this.outboxTimer);
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('hyperbeam-process-id-changed', this.processIdChangedHandler);
+            window.removeEventListener('online', this.onlineHandler);
+        }
         this.messages = [];
+        this.rooms.clear();
         this.pendingMessages.clear();
         this.eventHandlers = {};
         this.config.log('Chat system destroyed');
@@ -0,0 +1,132 @@
+/**
+ * Message Delivery States
+ *
+ * Lifecycle of a message we send:
+ *
+ *   queued ──> pushed ──> scheduled ──> computed
+ *    │   ▲        │           │            ▲
+ *    ▼   │        └───────────┴──> unconfirmed
+ *   failed
+ *
+ * - queued: written locally, not accepted by the node yet (in flight or waiting in the outbox)
+ * - pushed: the node accepted the push
+ * - scheduled: the push has a slot (from the push response, or the first slot seen after it)
+ * - computed: the process returned it from /now/messages, matched by nonce
+ * - failed: rejected, or automatic retries gave up; a manual retry queues it again
+ * - unconfirmed: pushed but not seen in the process within TIMING.CONFIRMATION_TIMEOUT
+ *
+ * A queued, failed or unconfirmed message can still turn out to be computed (a
+ * push that timed out but landed, or a slow process). Messages loaded from
+ * history are computed from the start and have no delivery record.
+ *
+ * The state is kept in message.status; every transition appends
+ * { state, at, slot, error } to message.delivery.history.
+ */
+
+class DeliveryStateMachine {
+    constructor(config) {
+        this.config = config;
+        this.transitions = {
+            queued: ['pushed', 'computed', 'failed'],
+            pushed: ['scheduled', 'computed', 'unconfirmed'],
+            scheduled: ['computed', 'unconfirmed'],
+            unconfirmed: ['computed'],
+            failed: ['queued', 'computed'],
+            computed: []
+        };
+        this.labels = {
+            queued: 'Queued',
+            pushed: 'Pushed',
+            scheduled: 'Scheduled',
+            computed: 'Computed',
+            failed: 'Failed',
+            unconfirmed: 'Unconfirmed'
+        };
+    }
+
+    /**
+     * Put a new message in the queued state
+     */
+    start(message, { at = Date.now(), slot = null } = {}) {
+        message.status = 'queued';
+        message.delivery = { history: [{ state: 'queued', at, slot }] };
+        return message.delivery.history[0];
+    }
+
+    canTransition(from, to) {
+        return (this.transitions[from] || []).includes(to);
+    }
+
+    /**
+     * Move a message to another state; returns the history entry, or null
+     * (and leaves the message alone) if the transition isn't allowed
+     */
+    transition(message, to, { slot = null, error = null } = {}) {
+        if (!message.delivery || !this.canTransition(message.status, to)) {
+            this.config.debug(`Ignoring delivery transition ${message.status} → ${to} for message ${message.id}`);
+            return null;
+        }
+
+        const entry = { state: to, at: Date.now(), slot };
+        if (error) {
+            entry.error = error;
+        }
+
+        message.status = to;
+        message.delivery.history.push(entry);
+        return entry;
+    }
+
+    /**
+     * Pushed or scheduled: waiting for the process to return it
+     */
+    isAwaitingComputation(message) {
+        return message.status === 'pushed' || message.status === 'scheduled';
+    }
+
+    /**
+     * Most recent slot recorded for a message, or the current slot if that's later
+     */
+    getSlot(message, currentSlot = null) {
+        const withSlot = (message.delivery?.history || []).filter(entry => entry.slot !== null && entry.slot !== undefined);
+        const recorded = withSlot.length > 0 ? withSlot[withSlot.length - 1].slot : null;
+        if (recorded === null || currentSlot === null) {
+            return recorded !== null ? recorded : currentSlot;
+        }
+        return Math.max(recorded, currentSlot);
+    }
+
+    /**
+     * Tooltip text: one line per transition with its time relative to the first
+     *
+     *   Queued 14:02:03 (slot 41)
+     *   Pushed +0.21s (slot 41)
+     *   Scheduled +0.21s (slot 42)
+     *   Computed +1.48s (slot 42)
+     */
+    describe(message) {
+        const history = message.delivery?.history || [];
+        if (history.length === 0) {
+            return '';
+        }
+
+        const start = history[0].at;
+        return history.map((entry, index) => {
+            const time = index === 0
+                ? new Date(entry.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })
+                : `+${((entry.at - start) / 1000).toFixed(2)}s`;
+            const slot = entry.slot !== null && entry.slot !== undefined ? ` (slot ${entry.slot})` : '';
+            const error = entry.error ? `: ${entry.error}` : '';
+            return `${this.labels[entry.state] || entry.state} ${time}${slot}${error}`;
+        }).join('\n');
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeliveryStateMachine;
+}
+
+if (typeof window !== 'undefined') {
+    window.DeliveryStateMachine = DeliveryStateMachine;
+}
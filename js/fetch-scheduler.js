@@ -0,0 +1,86 @@
+/**
+ * Fetch Scheduler
+ *
+ * Runs many small requests (e.g. one per message index) with a bounded number
+ * in flight, retries the ones that fail with exponential backoff, and hands
+ * back the results in the order the items were given regardless of which
+ * request finished first.
+ *
+ * A task signals a retryable failure by throwing; returning null means the
+ * item doesn't exist and isn't retried.
+ */
+
+class FetchScheduler {
+    /**
+     * @param {Object} options - { concurrency, maxRetries, retryBaseDelay, log }
+     */
+    constructor(options = {}) {
+        this.concurrency = Math.max(1, options.concurrency || 6);
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+        this.retryBaseDelay = options.retryBaseDelay || 250;
+        this.log = options.log || ((...args) => console.log('[Fetch]', ...args));
+
+        this.stats = {
+            tasks: 0,
+            retries: 0,
+            failures: 0
+        };
+    }
+
+    /**
+     * Run task(item) for every item; resolves to results in item order, with
+     * null for items that were missing or still failing after all retries
+     */
+    async map(items, task) {
+        const results = new Array(items.length).fill(null);
+        let nextIndex = 0;
+
+        const worker = async () => {
+            while (nextIndex < items.length) {
+                const index = nextIndex++;
+                results[index] = await this.runWithRetry(items[index], task);
+            }
+        };
+
+        const workers = Array.from({ length: Math.min(this.concurrency, items.length) }, worker);
+        await Promise.all(workers);
+
+        return results;
+    }
+
+    /**
+     * Run one task, retrying thrown errors with backoff and jitter
+     */
+    async runWithRetry(item, task) {
+        this.stats.tasks++;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await task(item);
+            } catch (error) {
+                if (attempt >= this.maxRetries) {
+                    this.stats.failures++;
+                    this.log(`Giving up on ${item} after ${attempt + 1} attempts: ${error.message}`);
+                    return null;
+                }
+
+                this.stats.retries++;
+                const delay = this.retryBaseDelay * Math.pow(2, attempt) * (0.75 + Math.random() * 0.5);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    getStats() {
+        return { ...this.stats, concurrency: this.concurrency };
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FetchScheduler;
+}
+
+if (typeof window !== 'undefined') {
+    window.FetchScheduler = FetchScheduler;
+}
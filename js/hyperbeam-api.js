@@ -12,7 +12,7 @@ class HyperBEAMAPI {
         this.authHeaders = new Map();
         this.requestCount = 0;
         this.lastSlot = null;
-        this.currentNodeIndex = 0; // Track which node we're using
+        this.currentUpstream = null; // Node that served the last proxied response (x-upstream-node)
         
         // Performance tracking
         this.performanceMetrics = {
@@ -27,27 +27,13 @@ class HyperBEAMAPI {
     }
 
     /**
-     * Get current node URL with fallback support
+     * Get current node URL - always the proxy, which handles node failover
      */
     getCurrentNodeUrl() {
-        if (this.currentNodeIndex === 0) {
-            return this.config.HYPERBEAM_NODE;
-        } else {
-            const backupIndex = this.currentNodeIndex - 1;
-            return this.config.BACKUP_NODES[backupIndex] || this.config.HYPERBEAM_NODE;
-        }
+        return this.config.HYPERBEAM_NODE;
     }
 
-    /**
-     * Try next backup node
-     */
-    switchToNextNode() {
-        const totalNodes = 1 + (this.config.BACKUP_NODES?.length || 0);
-        this.currentNodeIndex = (this.currentNodeIndex + 1) % totalNodes;
-        const newNodeUrl = this.getCurrentNodeUrl();
-        this.config.log(`Switched to backup node: ${newNodeUrl}`);
-        return newNodeUrl;
-    }
+    // REMOVED: switchToNextNode - failover between nodes now happens in the server.js proxy
 
     /**
      * Core HTTP request method with comprehensive error handling
@@ -104,6 +90,13 @@ class HyperBEAMAPI {
             // Handle cookies from response
             this.extractAndStoreCookies(response);
 
+            // Remember which upstream node the proxy routed us to
+            const upstreamNode = response.headers.get('x-upstream-node');
+            if (upstreamNode && upstreamNode !== this.currentUpstream) {
+                this.config.debug(`[${requestId}] Served by upstream node: ${upstreamNode}`);
+                this.currentUpstream = upstreamNode;
+            }
+
             // Update performance metrics
             this.updatePerformanceMetrics(responseTime, response.ok);
 
@@ -0,0 +1,163 @@
+/**
+ * HyperBEAM Chat Message Renderer
+ *
+ * Turns message text into formatted DOM: fenced code blocks, `inline code`,
+ * **bold**, *italic* / _italic_ and auto-linked http(s) URLs. The output is
+ * built with createElement/textContent from a fixed set of elements (pre,
+ * code, strong, em, a, br), never by parsing HTML, so markup typed into a
+ * message always shows up as text. Links only ever get an http(s) href
+ * (MessageSanitizer.safeUrl), and ChatSystem still runs the result through
+ * MessageSanitizer.sanitizeFragment before it reaches the page.
+ *
+ * The text sent to the process is unchanged; formatting happens on display.
+ */
+
+class MessageRenderer {
+    constructor(config, sanitizer) {
+        this.config = config;
+        this.sanitizer = sanitizer;
+        this.maxDepth = 4; // Nesting limit for bold/italic inside each other
+        this.fencePattern = /```(?:([\w+-]{1,20})\n)?([\s\S]*?)```/g;
+        // Inline code, bold, italic (* or _, not inside words, so the character
+        // before is captured rather than looked behind at) and bare URLs
+        this.inlinePattern = /`([^`\n]+)`|\*\*(?!\s)([^\n]+?)\*\*|(^|[^\w*])\*(?![\s*])([^*\n]+?)\*(?![\w*])|(^|[^\w_])_(?![\s_])([^_\n]+?)_(?![\w_])|(https?:\/\/[^\s<>"'`]+)/g;
+    }
+
+    /**
+     * Render message text as a DocumentFragment
+     */
+    render(text) {
+        const fragment = document.createDocumentFragment();
+        if (typeof text !== 'string' || text === '') {
+            return fragment;
+        }
+
+        let lastIndex = 0;
+        this.fencePattern.lastIndex = 0;
+        let match;
+        while ((match = this.fencePattern.exec(text)) !== null) {
+            this.appendInline(fragment, text.substring(lastIndex, match.index), 0);
+            fragment.appendChild(this.createCodeBlock(match[2], match[1]));
+            lastIndex = match.index + match[0].length;
+        }
+        this.appendInline(fragment, text.substring(lastIndex), 0);
+
+        return fragment;
+    }
+
+    /**
+     * <pre><code> with the code as text; the language (if given) only goes in a data attribute
+     */
+    createCodeBlock(code, language) {
+        const pre = document.createElement('pre');
+        pre.className = 'message-code-block';
+        const codeEl = document.createElement('code');
+        codeEl.textContent = code.replace(/^\n|\n$/g, '');
+        if (language) {
+            codeEl.setAttribute('data-language', language);
+        }
+        pre.appendChild(codeEl);
+        return pre;
+    }
+
+    /**
+     * Append text with inline formatting; bold/italic contents are formatted
+     * recursively up to maxDepth, after which they're plain text
+     */
+    appendInline(parent, text, depth) {
+        if (!text) {
+            return;
+        }
+        if (depth >= this.maxDepth) {
+            this.appendText(parent, text);
+            return;
+        }
+
+        // Own RegExp per call: the recursion below would clobber a shared lastIndex
+        const pattern = new RegExp(this.inlinePattern.source, 'g');
+        let lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            this.appendText(parent, text.substring(lastIndex, match.index));
+            lastIndex = match.index + match[0].length;
+
+            const [, code, bold, starPrefix, starItalic, underscorePrefix, underscoreItalic, url] = match;
+            this.appendText(parent, starPrefix || underscorePrefix || '');
+            if (code !== undefined) {
+                const codeEl = document.createElement('code');
+                codeEl.className = 'message-code';
+                codeEl.textContent = code;
+                parent.appendChild(codeEl);
+            } else if (bold !== undefined || starItalic !== undefined || underscoreItalic !== undefined) {
+                const el = document.createElement(bold !== undefined ? 'strong' : 'em');
+                this.appendInline(el, bold !== undefined ? bold : (starItalic !== undefined ? starItalic : underscoreItalic), depth + 1);
+                parent.appendChild(el);
+            } else {
+                // Trailing punctuation usually ends the sentence, not the URL
+                const trimmed = this.trimUrl(url);
+                parent.appendChild(this.createLink(trimmed));
+                lastIndex -= url.length - trimmed.length;
+            }
+        }
+        this.appendText(parent, text.substring(lastIndex));
+    }
+
+    /**
+     * Text node(s), with line breaks kept as <br>
+     */
+    appendText(parent, text) {
+        if (!text) {
+            return;
+        }
+        text.split('\n').forEach((line, index) => {
+            if (index > 0) {
+                parent.appendChild(document.createElement('br'));
+            }
+            if (line) {
+                parent.appendChild(document.createTextNode(line));
+            }
+        });
+    }
+
+    trimUrl(url) {
+        let trimmed = url;
+        let previous;
+        do {
+            previous = trimmed;
+            trimmed = trimmed.replace(/[.,;:!?'"]+$/, '');
+            // Keep a closing parenthesis only if the URL opened one, e.g. wiki links
+            if (trimmed.endsWith(')') && (trimmed.match(/\(/g) || []).length < (trimmed.match(/\)/g) || []).length) {
+                trimmed = trimmed.slice(0, -1);
+            }
+        } while (trimmed !== previous);
+        return trimmed;
+    }
+
+    /**
+     * Link to an http(s) URL, opened in a new tab without access to this one;
+     * anything that doesn't parse as http(s) stays text
+     */
+    createLink(url) {
+        const href = this.sanitizer.safeUrl(url);
+        if (!href) {
+            return document.createTextNode(url);
+        }
+
+        const link = document.createElement('a');
+        link.href = href;
+        link.textContent = url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.className = 'message-link';
+        return link;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessageRenderer;
+}
+
+if (typeof window !== 'undefined') {
+    window.MessageRenderer = MessageRenderer;
+}
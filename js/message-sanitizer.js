@@ -0,0 +1,161 @@
+/**
+ * HyperBEAM Chat Message Sanitizer
+ *
+ * Anyone can push to the process, so message fields are untrusted no matter
+ * which client sent them. Instead of rejecting "suspicious" text on send,
+ * we make every field safe where it's displayed:
+ *
+ * - cleanText / cleanUsername / cleanWalletAddress normalize fields read from
+ *   the process (ChatSystem.prepareHistoryMessage): control and bidi override
+ *   characters are dropped, values that must have a fixed shape are checked.
+ * - Text only ever reaches the DOM through textContent or MessageRenderer,
+ *   whose output is passed through sanitizeFragment: an allowlist of elements
+ *   and attributes, with http(s)-only links.
+ * - findUnsafe lists anything executable in a rendered element;
+ *   test/xss-corpus.test.js runs it over every render path.
+ */
+
+class MessageSanitizer {
+    constructor(config) {
+        this.config = config;
+
+        // Elements MessageRenderer may produce, and the attributes each may keep
+        this.allowedElements = {
+            PRE: ['class'],
+            CODE: ['class', 'data-language'],
+            STRONG: [],
+            EM: [],
+            A: ['href', 'target', 'rel', 'class'],
+            BR: []
+        };
+
+        // Never expected anywhere in a message bubble
+        this.unsafeElements = new Set([
+            'SCRIPT', 'IFRAME', 'FRAME', 'FRAMESET', 'OBJECT', 'EMBED', 'APPLET', 'IMG', 'SVG',
+            'MATH', 'STYLE', 'LINK', 'META', 'BASE', 'FORM', 'INPUT', 'TEXTAREA', 'SELECT',
+            'VIDEO', 'AUDIO', 'SOURCE', 'TEMPLATE', 'NOSCRIPT', 'PORTAL'
+        ]);
+        this.urlAttributes = ['href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'background'];
+    }
+
+    /**
+     * String with control characters (other than newline and tab) and bidi
+     * overrides removed, optionally cut to maxLength
+     */
+    cleanText(value, maxLength = null) {
+        if (typeof value !== 'string') {
+            value = value === null || value === undefined ? '' : String(value);
+        }
+
+        let text = value.replace(/[\u0000-\u0008\u000B-\u001F\u007F-\u009F\u202A-\u202E\u2066-\u2069]/g, '');
+        if (maxLength && text.length > maxLength) {
+            text = text.substring(0, maxLength);
+        }
+        return text;
+    }
+
+    /**
+     * Single-line display name of at most 50 characters
+     */
+    cleanUsername(value) {
+        const username = this.cleanText(value).replace(/\s+/g, ' ').trim().substring(0, 50);
+        return username || 'Chat User';
+    }
+
+    /**
+     * A 43-character Arweave address, or null
+     */
+    cleanWalletAddress(value) {
+        return typeof value === 'string' && /^[a-zA-Z0-9_-]{43}$/.test(value) ? value : null;
+    }
+
+    /**
+     * Normalized http(s) URL, or null for anything else (javascript:, data:, ...)
+     */
+    safeUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Enforce the allowlist on rendered message content, in place: unknown
+     * elements become their text, unknown attributes are dropped, links
+     * without a safe href become text and always open without an opener
+     */
+    sanitizeFragment(root) {
+        Array.from(root.childNodes).forEach(node => {
+            if (node.nodeType === 3) {
+                return; // Text
+            }
+            if (node.nodeType !== 1) {
+                node.remove(); // Comments, processing instructions
+                return;
+            }
+
+            const allowed = this.allowedElements[node.nodeName];
+            const href = node.nodeName === 'A' ? this.safeUrl(node.getAttribute('href')) : null;
+            if (!allowed || (node.nodeName === 'A' && !href)) {
+                node.replaceWith(document.createTextNode(node.textContent));
+                return;
+            }
+
+            Array.from(node.attributes).forEach(attribute => {
+                if (!allowed.includes(attribute.name)) {
+                    node.removeAttribute(attribute.name);
+                }
+            });
+            if (node.nodeName === 'A') {
+                node.setAttribute('href', href);
+                node.setAttribute('target', '_blank');
+                node.setAttribute('rel', 'noopener noreferrer');
+            }
+
+            this.sanitizeFragment(node);
+        });
+
+        return root;
+    }
+
+    /**
+     * Descriptions of anything in an element that could run script or load
+     * content: unsafe elements, event handler or style attributes, URL
+     * attributes that aren't http(s) and new-tab links that keep an opener.
+     * Empty when the element is safe.
+     */
+    findUnsafe(root) {
+        const problems = [];
+        root.querySelectorAll('*').forEach(element => {
+            const name = element.nodeName.toUpperCase();
+            if (this.unsafeElements.has(name)) {
+                problems.push(`<${name.toLowerCase()}> element`);
+            }
+
+            Array.from(element.attributes).forEach(attribute => {
+                const attributeName = attribute.name.toLowerCase();
+                if (attributeName.startsWith('on') || attributeName === 'style' || attributeName === 'srcdoc') {
+                    problems.push(`${attributeName} attribute on <${name.toLowerCase()}>`);
+                } else if (this.urlAttributes.includes(attributeName) && !this.safeUrl(attribute.value)) {
+                    problems.push(`${attributeName}="${attribute.value}" on <${name.toLowerCase()}>`);
+                }
+            });
+
+            if (element.getAttribute('target') === '_blank' && !/\bnoopener\b/.test(element.getAttribute('rel') || '')) {
+                problems.push(`target=_blank without rel=noopener on <${name.toLowerCase()}>`);
+            }
+        });
+        return problems;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessageSanitizer;
+}
+
+if (typeof window !== 'undefined') {
+    window.MessageSanitizer = MessageSanitizer;
+}
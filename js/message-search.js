@@ -0,0 +1,176 @@
+/**
+ * HyperBEAM Chat Message Search
+ *
+ * Client-side full-text search over one room's messages, so searching never
+ * touches the node. Each ChatHistory keeps a MessageSearch that's given every
+ * message it fetches, plus the room's whole local cache the first time the
+ * search panel is used (ChatHistory.loadSearchIndex).
+ *
+ * The index is inverted: every word maps to the indexes of the messages that
+ * contain it. Each query word matches as a prefix, so results follow typing,
+ * and a message must match all of them. Author, wallet address, date and slot
+ * filters then narrow the matches down. Messages are indexed with their edits
+ * applied; deleted ones are left out.
+ */
+
+class MessageSearch {
+    constructor() {
+        this.documents = new Map(); // message index -> { message, terms }
+        this.postings = new Map(); // word -> Set of message indexes
+    }
+
+    get size() {
+        return this.documents.size;
+    }
+
+    /**
+     * Lowercased words (runs of letters and digits in any script), with accents
+     * dropped so "cafe" finds "café"
+     */
+    tokenize(text) {
+        if (typeof text !== 'string') {
+            return [];
+        }
+        return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    }
+
+    /**
+     * Whether a word starts with one of the query's terms (for highlighting results)
+     */
+    matchesWord(word, terms) {
+        const [token] = this.tokenize(word);
+        return Boolean(token) && terms.some(term => token.startsWith(term));
+    }
+
+    /**
+     * Index messages (ChatHistory format, id = message index), replacing what
+     * was indexed for the same index before
+     */
+    add(messages) {
+        messages.forEach(message => {
+            const messageIndex = parseInt(message.id);
+            if (!messageIndex) {
+                return;
+            }
+
+            this.remove(messageIndex);
+            if (message.deleted) {
+                return;
+            }
+
+            const terms = new Set(this.tokenize(message.content));
+            terms.forEach(term => {
+                if (!this.postings.has(term)) {
+                    this.postings.set(term, new Set());
+                }
+                this.postings.get(term).add(messageIndex);
+            });
+            this.documents.set(messageIndex, { message, terms });
+        });
+    }
+
+    remove(messageIndex) {
+        const entry = this.documents.get(messageIndex);
+        if (!entry) {
+            return;
+        }
+
+        entry.terms.forEach(term => {
+            const indexes = this.postings.get(term);
+            indexes.delete(messageIndex);
+            if (indexes.size === 0) {
+                this.postings.delete(term);
+            }
+        });
+        this.documents.delete(messageIndex);
+    }
+
+    /**
+     * The indexed copy of a message, or null
+     */
+    get(messageIndex) {
+        return this.documents.get(messageIndex)?.message || null;
+    }
+
+    clear() {
+        this.documents.clear();
+        this.postings.clear();
+    }
+
+    /**
+     * Messages containing every word of query (as word prefixes) that pass the
+     * filters, newest first: { results, total }. An empty query matches every
+     * message, so filters can be used on their own.
+     *
+     * filters: { author, walletAddress, from, to, fromSlot, toSlot }. author
+     * matches part of the username, walletAddress the start of the address,
+     * from/to are timestamps in ms and the slot bounds are inclusive.
+     */
+    search(query, filters = {}, limit = 50) {
+        let candidates = null;
+        for (const term of new Set(this.tokenize(query))) {
+            const matches = this.matchTerm(term);
+            candidates = candidates ? new Set(Array.from(candidates).filter(messageIndex => matches.has(messageIndex))) : matches;
+            if (candidates.size === 0) {
+                break;
+            }
+        }
+
+        const matching = Array.from(candidates || this.documents.keys())
+            .filter(messageIndex => this.matchesFilters(this.documents.get(messageIndex).message, filters))
+            .sort((a, b) => b - a);
+
+        return {
+            results: matching.slice(0, limit).map(messageIndex => this.documents.get(messageIndex).message),
+            total: matching.length
+        };
+    }
+
+    /**
+     * Indexes of messages with a word starting with term
+     */
+    matchTerm(term) {
+        const matches = new Set();
+        this.postings.forEach((indexes, word) => {
+            if (word.startsWith(term)) {
+                indexes.forEach(messageIndex => matches.add(messageIndex));
+            }
+        });
+        return matches;
+    }
+
+    matchesFilters(message, filters) {
+        const author = filters.author?.trim().toLowerCase();
+        if (author && !(message.username || '').toLowerCase().includes(author)) {
+            return false;
+        }
+
+        const walletAddress = filters.walletAddress?.trim();
+        if (walletAddress && !(message.walletAddress || '').startsWith(walletAddress)) {
+            return false;
+        }
+
+        if ((filters.from && message.timestamp < filters.from) || (filters.to && message.timestamp > filters.to)) {
+            return false;
+        }
+
+        // Messages stored before the process recorded slots can't match a slot range
+        const hasSlotRange = Number.isFinite(filters.fromSlot) || Number.isFinite(filters.toSlot);
+        if (hasSlotRange && (!message.slot ||
+            (Number.isFinite(filters.fromSlot) && message.slot < filters.fromSlot) ||
+            (Number.isFinite(filters.toSlot) && message.slot > filters.toSlot))) {
+            return false;
+        }
+
+        return true;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessageSearch;
+}
+
+if (typeof window !== 'undefined') {
+    window.MessageSearch = MessageSearch;
+}
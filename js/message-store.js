@@ -0,0 +1,220 @@
+/**
+ * HyperBEAM Chat Message Store
+ *
+ * IndexedDB cache of chat messages keyed by [processId, index], so history
+ * renders from disk on the next page load and only new indexes are fetched.
+ * This is safe because the AO `messages` array is append-only: message N of a
+ * process never changes once written.
+ *
+ * Eviction: each room keeps at most LOCAL_CACHE.MAX_MESSAGES_PER_ROOM of its
+ * newest messages, and rooms not opened for LOCAL_CACHE.MAX_AGE_DAYS are
+ * dropped. Without IndexedDB (or when disabled) every method is a no-op.
+ */
+
+class MessageStore {
+    constructor(config) {
+        this.config = config;
+        this.dbName = 'hyperbeam-chat';
+        this.dbVersion = 1;
+        this.settings = config.LOCAL_CACHE || {};
+        this.enabled = this.settings.ENABLED !== false && typeof indexedDB !== 'undefined';
+        this.db = null;
+        this.ready = this.enabled ? this.open() : Promise.resolve(null);
+    }
+
+    /**
+     * Open the database, creating the object stores on first use
+     */
+    open() {
+        return new Promise((resolve) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('messages')) {
+                    db.createObjectStore('messages', { keyPath: ['processId', 'index'] });
+                }
+                if (!db.objectStoreNames.contains('rooms')) {
+                    db.createObjectStore('rooms', { keyPath: 'processId' });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                this.config.log('Local message cache opened');
+                this.pruneStaleRooms();
+                resolve(this.db);
+            };
+
+            request.onerror = () => {
+                this.config.log('Local message cache unavailable:', request.error);
+                this.enabled = false;
+                resolve(null);
+            };
+        });
+    }
+
+    /**
+     * Run fn(stores) in a transaction; resolves with fn's result once committed
+     */
+    async transaction(storeNames, mode, fn) {
+        const db = await this.ready;
+        if (!db) {
+            return null;
+        }
+
+        return new Promise((resolve) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = Object.fromEntries(storeNames.map(name => [name, tx.objectStore(name)]));
+            let result = null;
+
+            Promise.resolve(fn(stores)).then(value => { result = value; });
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => {
+                this.config.debug('Local cache transaction failed:', tx.error);
+                resolve(null);
+            };
+            tx.onabort = tx.onerror;
+        });
+    }
+
+    /**
+     * Promise for a single IDBRequest
+     */
+    promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    range(processId, from, to) {
+        return IDBKeyRange.bound([processId, from], [processId, to]);
+    }
+
+    /**
+     * Cached messages for indexes from..to, as a Map of index -> message
+     */
+    async getRange(processId, from, to) {
+        const records = await this.transaction(['messages'], 'readonly', ({ messages }) =>
+            this.promisify(messages.getAll(this.range(processId, from, to))));
+
+        return new Map((records || []).map(record => [record.index, record.message]));
+    }
+
+    /**
+     * Highest cached index for a process, or 0
+     */
+    async getHighestIndex(processId) {
+        const key = await this.transaction(['messages'], 'readonly', ({ messages }) =>
+            new Promise((resolve) => {
+                const request = messages.openKeyCursor(this.range(processId, 1, Infinity), 'prev');
+                request.onsuccess = () => resolve(request.result ? request.result.key[1] : 0);
+                request.onerror = () => resolve(0);
+            }));
+
+        return key || 0;
+    }
+
+    /**
+     * Store messages ({ index, message }) and note that the room was used
+     */
+    async putMessages(processId, entries) {
+        if (entries.length === 0) {
+            return;
+        }
+
+        const storedAt = Date.now();
+        await this.transaction(['messages', 'rooms'], 'readwrite', ({ messages, rooms }) => {
+            entries.forEach(({ index, message }) => messages.put({ processId, index, message, storedAt }));
+            rooms.put({ processId, lastAccess: storedAt });
+        });
+
+        await this.prune(processId);
+    }
+
+    /**
+     * Mark a room as used so it isn't evicted as stale
+     */
+    async touch(processId) {
+        await this.transaction(['rooms'], 'readwrite', ({ rooms }) => {
+            rooms.put({ processId, lastAccess: Date.now() });
+        });
+    }
+
+    /**
+     * Keep only the newest MAX_MESSAGES_PER_ROOM messages of a room
+     */
+    async prune(processId) {
+        const maxMessages = this.settings.MAX_MESSAGES_PER_ROOM || 5000;
+        const highestIndex = await this.getHighestIndex(processId);
+        const cutoff = highestIndex - maxMessages;
+
+        if (cutoff < 1) {
+            return;
+        }
+
+        await this.transaction(['messages'], 'readwrite', ({ messages }) => {
+            messages.delete(this.range(processId, 0, cutoff));
+        });
+    }
+
+    /**
+     * Drop rooms that haven't been opened for MAX_AGE_DAYS
+     */
+    async pruneStaleRooms() {
+        const maxAge = (this.settings.MAX_AGE_DAYS || 30) * 24 * 60 * 60 * 1000;
+        const rooms = await this.transaction(['rooms'], 'readonly', ({ rooms }) => this.promisify(rooms.getAll()));
+        const stale = (rooms || []).filter(room => Date.now() - room.lastAccess > maxAge);
+
+        for (const room of stale) {
+            await this.clearProcess(room.processId);
+            this.config.log(`Evicted cached messages for ${room.processId.substring(0, 6)}... (not opened for ${this.settings.MAX_AGE_DAYS || 30} days)`);
+        }
+    }
+
+    /**
+     * Forget everything cached for one process (e.g. after it was reset)
+     */
+    async clearProcess(processId) {
+        await this.transaction(['messages', 'rooms'], 'readwrite', ({ messages, rooms }) => {
+            messages.delete(this.range(processId, 0, Infinity));
+            rooms.delete(processId);
+        });
+    }
+
+    /**
+     * Forget every cached message
+     */
+    async clear() {
+        await this.transaction(['messages', 'rooms'], 'readwrite', ({ messages, rooms }) => {
+            messages.clear();
+            rooms.clear();
+        });
+        this.config.log('Local message cache cleared');
+    }
+
+    /**
+     * Message count per cached room
+     */
+    async getStats() {
+        const rooms = await this.transaction(['rooms'], 'readonly', ({ rooms }) => this.promisify(rooms.getAll()));
+        const stats = { enabled: this.enabled, rooms: {} };
+
+        for (const room of rooms || []) {
+            stats.rooms[room.processId] = await this.transaction(['messages'], 'readonly', ({ messages }) =>
+                this.promisify(messages.count(this.range(room.processId, 0, Infinity))));
+        }
+
+        return stats;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessageStore;
+}
+
+if (typeof window !== 'undefined') {
+    window.MessageStore = MessageStore;
+}
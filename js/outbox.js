@@ -0,0 +1,170 @@
+/**
+ * HyperBEAM Chat Outbox
+ *
+ * Messages that couldn't be pushed (offline, network errors, rate limits,
+ * node errors) wait here and are retried with exponential backoff. The queue
+ * lives in localStorage so nothing typed is lost on reload; entries belong to
+ * one room (process) and are only sent while that room is open.
+ *
+ * Entries that fail in a way retrying won't fix (e.g. a 4xx rejection), or
+ * that run out of attempts, stay in the outbox as given up until the user
+ * retries, edits or discards them.
+ */
+
+class Outbox {
+    constructor(config) {
+        this.config = config;
+        this.storageKey = 'hyperbeam-outbox';
+        this.settings = config.OUTBOX || {};
+        this.entries = []; // [{ id, processId, content, username, walletAddress, nonce, replyTo, mentions, createdAt, attempts, nextAttemptAt, lastError, gaveUp }]
+
+        this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            this.entries = saved.filter(entry => entry && entry.id && entry.processId && typeof entry.content === 'string');
+        } catch (error) {
+            this.config.debug('Failed to load outbox:', error);
+            this.entries = [];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            this.config.debug('Failed to save outbox:', error);
+        }
+    }
+
+    /**
+     * Queue a message; it's first retried after one backoff step
+     */
+    add(processId, { content, username, walletAddress, nonce, replyTo = null, mentions = [] }, error, options = {}) {
+        const entry = {
+            id: `o${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+            processId,
+            content,
+            username,
+            walletAddress,
+            nonce, // Kept across retries so a push that did land is still recognised
+            replyTo,
+            mentions,
+            createdAt: Date.now(),
+            attempts: 0,
+            nextAttemptAt: null,
+            lastError: null,
+            gaveUp: false
+        };
+        this.entries.push(entry);
+
+        return this.recordFailure(entry.id, error, options);
+    }
+
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    getForProcess(processId) {
+        return this.entries.filter(entry => entry.processId === processId);
+    }
+
+    /**
+     * Count a failed attempt and schedule the next one. options.retryAfter (seconds,
+     * from a 429) overrides the backoff; options.retryable false gives up right away.
+     */
+    recordFailure(id, error, options = {}) {
+        const entry = this.get(id);
+        if (!entry) {
+            return null;
+        }
+
+        const maxAttempts = this.settings.MAX_ATTEMPTS || 8;
+        entry.attempts++;
+        entry.lastError = error || 'Send failed';
+        entry.gaveUp = options.retryable === false || entry.attempts >= maxAttempts;
+        entry.nextAttemptAt = entry.gaveUp ? null : Date.now() + this.getRetryDelay(entry.attempts, options.retryAfter);
+        this.save();
+
+        return entry;
+    }
+
+    /**
+     * Backoff before attempt n + 1: base * 2^(n - 1) with jitter, capped at MAX_RETRY_DELAY
+     */
+    getRetryDelay(attempts, retryAfter = null) {
+        if (retryAfter) {
+            return retryAfter * 1000;
+        }
+
+        const base = this.settings.RETRY_BASE_DELAY || 2000;
+        const max = this.settings.MAX_RETRY_DELAY || 60000;
+        const delay = base * Math.pow(2, Math.max(0, attempts - 1)) * (0.75 + Math.random() * 0.5);
+        return Math.min(delay, max);
+    }
+
+    /**
+     * Entries of a room whose next automatic attempt is due
+     */
+    getDue(processId, now = Date.now()) {
+        return this.getForProcess(processId).filter(entry => !entry.gaveUp && entry.nextAttemptAt <= now);
+    }
+
+    /**
+     * When the next automatic attempt for a room is due, or null if none is scheduled
+     */
+    getNextAttemptAt(processId) {
+        const times = this.getForProcess(processId)
+            .filter(entry => !entry.gaveUp)
+            .map(entry => entry.nextAttemptAt);
+        return times.length > 0 ? Math.min(...times) : null;
+    }
+
+    /**
+     * Make every waiting entry due now (e.g. when the browser comes back online)
+     */
+    retryAllNow() {
+        const now = Date.now();
+        this.entries.forEach(entry => {
+            if (!entry.gaveUp) {
+                entry.nextAttemptAt = now;
+            }
+        });
+        this.save();
+    }
+
+    /**
+     * Manual retry: un-give-up an entry and make it due now
+     */
+    resetEntry(id) {
+        const entry = this.get(id);
+        if (entry) {
+            entry.gaveUp = false;
+            entry.nextAttemptAt = Date.now();
+            this.save();
+        }
+        return entry;
+    }
+
+    remove(id) {
+        const index = this.entries.findIndex(entry => entry.id === id);
+        if (index === -1) {
+            return null;
+        }
+
+        const [entry] = this.entries.splice(index, 1);
+        this.save();
+        return entry;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Outbox;
+}
+
+if (typeof window !== 'undefined') {
+    window.Outbox = Outbox;
+}
@@ -0,0 +1,24 @@
+/**
+ * HyperBEAM Push Path
+ *
+ * Builds the `/push` path for a process message. CONFIG.ENDPOINTS uses it for
+ * HTTP pushes and server/chat-socket.js for pushes relayed from the WebSocket,
+ * so both transports send the same URL. Params go in the path as key=value
+ * pairs, percent-encoded so a "/", "&", "#" or "?" in a message can't end it early.
+ */
+
+function buildPushPath(processId, action, params = {}) {
+    const queryParams = Object.entries(params)
+        .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+        .join('&');
+    return `/${processId}/push&action=${encodeURIComponent(action)}&${queryParams}&!/serialize~json@1.0`;
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = buildPushPath;
+}
+
+if (typeof window !== 'undefined') {
+    window.buildPushPath = buildPushPath;
+}
@@ -0,0 +1,241 @@
+/**
+ * HyperBEAM Chat Rooms
+ *
+ * Keeps the list of chat rooms (one AO process each), which room is open, and
+ * how many messages each background room has that haven't been read. Rooms,
+ * read positions and the last-open room are remembered in localStorage.
+ * Switching rooms goes through CONFIG.PROCESS_ID, whose setter fires
+ * `hyperbeam-process-id-changed` for ChatSystem to follow.
+ */
+
+class RoomManager {
+    constructor(config) {
+        this.config = config;
+        this.storageKey = 'hyperbeam-rooms';
+        this.activeStorageKey = 'hyperbeam-active-room';
+        this.rooms = []; // [{ processId, name, lastReadIndex, unread }]
+        this.activeRoomId = null;
+
+        // Event handlers
+        this.eventHandlers = {
+            change: []
+        };
+
+        this.load();
+    }
+
+    /**
+     * Load saved rooms, making sure the configured process is always one of them
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            this.rooms = saved
+                .filter(room => room && this.isValidProcessId(room.processId))
+                .map(room => ({
+                    processId: room.processId,
+                    name: this.sanitizeName(room.name, room.processId),
+                    lastReadIndex: Number.isInteger(room.lastReadIndex) ? room.lastReadIndex : null,
+                    unread: 0
+                }));
+        } catch (error) {
+            this.config.debug('Failed to load saved rooms:', error);
+            this.rooms = [];
+        }
+
+        if (!this.getRoom(this.config.PROCESS_ID)) {
+            this.rooms.unshift({
+                processId: this.config.PROCESS_ID,
+                name: 'Main Room',
+                lastReadIndex: null,
+                unread: 0
+            });
+        }
+
+        const lastActive = localStorage.getItem(this.activeStorageKey);
+        this.activeRoomId = this.getRoom(lastActive) ? lastActive : this.config.PROCESS_ID;
+    }
+
+    /**
+     * Persist rooms and read positions (unread counts are recomputed on load)
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.rooms.map(room => ({
+                processId: room.processId,
+                name: room.name,
+                lastReadIndex: room.lastReadIndex
+            }))));
+            localStorage.setItem(this.activeStorageKey, this.activeRoomId);
+        } catch (error) {
+            this.config.debug('Failed to save rooms:', error);
+        }
+    }
+
+    /**
+     * Point CONFIG at the last-open room; call before the chat system starts
+     */
+    restoreActiveRoom() {
+        if (this.activeRoomId !== this.config.PROCESS_ID) {
+            const result = this.config.updateProcessId(this.activeRoomId);
+            if (!result.success) {
+                this.activeRoomId = this.config.PROCESS_ID;
+            }
+        }
+        return this.activeRoomId;
+    }
+
+    getRooms() {
+        return this.rooms.slice();
+    }
+
+    getRoom(processId) {
+        return this.rooms.find(room => room.processId === processId) || null;
+    }
+
+    getActiveRoom() {
+        return this.getRoom(this.activeRoomId);
+    }
+
+    /**
+     * Add a room; returns { success, room } or { success: false, error }
+     */
+    addRoom(processId, name) {
+        processId = (processId || '').trim();
+
+        if (!this.isValidProcessId(processId)) {
+            return { success: false, error: 'Process ID must be 43 letters, numbers, underscores or hyphens' };
+        }
+        if (this.getRoom(processId)) {
+            return { success: false, error: 'That room is already in the list' };
+        }
+
+        const room = {
+            processId,
+            name: this.sanitizeName(name, processId),
+            lastReadIndex: null,
+            unread: 0
+        };
+        this.rooms.push(room);
+        this.save();
+        this.emit('change', { rooms: this.getRooms() });
+
+        return { success: true, room };
+    }
+
+    /**
+     * Remove a background room; the open room can't be removed
+     */
+    removeRoom(processId) {
+        if (processId === this.activeRoomId) {
+            return { success: false, error: 'Switch to another room before removing this one' };
+        }
+
+        const index = this.rooms.findIndex(room => room.processId === processId);
+        if (index === -1) {
+            return { success: false, error: 'Room not found' };
+        }
+
+        this.rooms.splice(index, 1);
+        this.save();
+        this.emit('change', { rooms: this.getRooms() });
+
+        return { success: true };
+    }
+
+    /**
+     * Record the newly opened room and clear its unread count
+     */
+    setActive(processId) {
+        if (!this.getRoom(processId)) {
+            return;
+        }
+
+        this.activeRoomId = processId;
+        this.getRoom(processId).unread = 0;
+        this.save();
+        this.emit('change', { rooms: this.getRooms() });
+    }
+
+    /**
+     * Everything up to messageIndex has been seen
+     */
+    markRead(processId, messageIndex) {
+        const room = this.getRoom(processId);
+        if (!room || !Number.isInteger(messageIndex)) {
+            return;
+        }
+
+        // Nothing loaded yet (0) tells us nothing about what was read
+        if (messageIndex > 0) {
+            room.lastReadIndex = Math.max(room.lastReadIndex || 0, messageIndex);
+        }
+        room.unread = 0;
+        this.save();
+    }
+
+    /**
+     * Update a background room's unread count from its current message count
+     */
+    updateMessageCount(processId, messageCount) {
+        const room = this.getRoom(processId);
+        // A failed count request also reports 0, so only trust real counts
+        if (!room || !Number.isInteger(messageCount) || messageCount < 1) {
+            return;
+        }
+
+        // A room seen for the first time starts with nothing unread
+        if (room.lastReadIndex === null) {
+            room.lastReadIndex = messageCount;
+            this.save();
+        }
+
+        const unread = processId === this.activeRoomId ? 0 : Math.max(0, messageCount - room.lastReadIndex);
+        if (unread !== room.unread) {
+            room.unread = unread;
+            this.emit('change', { rooms: this.getRooms() });
+        }
+    }
+
+    isValidProcessId(processId) {
+        return typeof processId === 'string' && /^[a-zA-Z0-9_-]{43}$/.test(processId);
+    }
+
+    /**
+     * Trimmed display name, defaulting to the start of the process ID
+     */
+    sanitizeName(name, processId) {
+        const trimmed = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ').substring(0, 40) : '';
+        return trimmed || `Room ${processId.substring(0, 6)}`;
+    }
+
+    /**
+     * Event system for room list changes
+     */
+    on(eventName, handler) {
+        if (this.eventHandlers[eventName]) {
+            this.eventHandlers[eventName].push(handler);
+        }
+    }
+
+    emit(eventName, data) {
+        if (this.eventHandlers[eventName]) {
+            this.eventHandlers[eventName].forEach(handler => {
+                try {
+                    handler(data);
+                } catch (error) {
+                    this.config.debug(`Error in room handler for ${eventName}:`, error);
+                }
+            });
+        }
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RoomManager;
+}
+
+if (typeof window !== 'undefined') {
+    window.RoomManager = RoomManager;
+}
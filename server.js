@@ -3,10 +3,33 @@
  * Serves static files and proxies requests to HyperBEAM node to avoid CORS issues
  */
 
+const MockHyperBEAMNode = require('./server/mock-node');
+const UpstreamPool = require('./server/upstream-pool');
+const ResponseCache = require('./server/response-cache');
+const ChatEventHub = require('./server/event-hub');
+const ChatSocketHub = require('./server/chat-socket');
+const ServerMetrics = require('./server/metrics');
+const PushRateLimiter = require('./server/rate-limiter');
+const CorsPolicy = require('./server/cors');
+const StaticAssets = require('./server/static-assets');
+const RuntimeConfig = require('./server/runtime-config');
+
+// Split a comma-separated CLI or environment value
+function splitList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// First numeric setting that is set (flag, then env var), keeping 0 as a valid value
+function numberSetting(flagValue, envValue, fallback) {
+    if (flagValue !== undefined) return flagValue;
+    if (envValue !== undefined && envValue !== '' && !isNaN(parseInt(envValue))) return parseInt(envValue);
+    return fallback;
+}
+
 // Parse command line arguments
 function parseArgs() {
     const args = process.argv.slice(2);
-    const parsed = {};
+    const parsed = { upstreams: [], corsOrigins: [], settings: {} };
     
     for (let i = 0; i < args.length; i++) {
         if (args[i] === '--port' || args[i] === '-p') {
@@ -15,6 +38,86 @@ function parseArgs() {
                 parsed.port = parseInt(portValue);
                 i++; // Skip next argument as it's the port value
             }
+        } else if (args[i] === '--upstream' || args[i] === '-u') {
+            // Repeatable, and also accepts a comma-separated list
+            const upstreamValue = args[i + 1];
+            if (upstreamValue) {
+                parsed.upstreams.push(...splitList(upstreamValue));
+                i++;
+            }
+        } else if (args[i] === '--health-interval') {
+            const intervalValue = args[i + 1];
+            if (intervalValue && !isNaN(parseInt(intervalValue))) {
+                parsed.healthInterval = parseInt(intervalValue);
+                i++;
+            }
+        } else if (args[i] === '--cache-dir') {
+            const dirValue = args[i + 1];
+            if (dirValue) {
+                parsed.cacheDir = dirValue;
+                i++;
+            }
+        } else if (args[i] === '--cache-size') {
+            const sizeValue = args[i + 1];
+            if (sizeValue && !isNaN(parseInt(sizeValue))) {
+                parsed.cacheSize = parseInt(sizeValue);
+                i++;
+            }
+        } else if (args[i] === '--no-cache') {
+            parsed.noCache = true;
+        } else if (args[i] === '--event-poll-interval') {
+            const intervalValue = args[i + 1];
+            if (intervalValue && !isNaN(parseInt(intervalValue))) {
+                parsed.eventPollInterval = parseInt(intervalValue);
+                i++;
+            }
+        } else if (['--push-limit-ip', '--push-limit-wallet', '--push-burst', '--push-max-bytes'].includes(args[i])) {
+            // --push-limit-ip -> pushLimitIp, etc.
+            const limitValue = args[i + 1];
+            if (limitValue && !isNaN(parseInt(limitValue))) {
+                const key = args[i].substring(2).replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+                parsed[key] = parseInt(limitValue);
+                i++;
+            }
+        } else if (args[i] === '--cors-origin') {
+            // Repeatable, and also accepts a comma-separated list
+            const originValue = args[i + 1];
+            if (originValue) {
+                parsed.corsOrigins.push(...splitList(originValue));
+                i++;
+            }
+        } else if (args[i] === '--forward-headers' || args[i] === '--block-headers') {
+            const headersValue = args[i + 1];
+            if (headersValue) {
+                parsed[args[i] === '--forward-headers' ? 'forwardHeaders' : 'blockHeaders'] = splitList(headersValue);
+                i++;
+            }
+        } else if (args[i] === '--config') {
+            const fileValue = args[i + 1];
+            if (fileValue) {
+                parsed.configFile = fileValue;
+                i++;
+            }
+        } else if (args[i] === '--set') {
+            // Repeatable: --set timing.messagePollInterval=3000
+            const settingValue = args[i + 1] || '';
+            const separator = settingValue.indexOf('=');
+            if (separator > 0) {
+                parsed.settings[settingValue.substring(0, separator)] = settingValue.substring(separator + 1);
+                i++;
+            }
+        } else if (args[i] === '--process-id') {
+            const processIdValue = args[i + 1];
+            if (processIdValue) {
+                parsed.settings.processId = processIdValue;
+                i++;
+            }
+        } else if (args[i] === '--dev') {
+            parsed.dev = true;
+        } else if (args[i] === '--no-access-log') {
+            parsed.noAccessLog = true;
+        } else if (args[i] === '--mock') {
+            parsed.mock = true;
         }
     }
     
@@ -24,150 +127,442 @@ function parseArgs() {
 const args = parseArgs();
 const BASE_PORT = args.port || Number(process.env.PORT) || 4321;
 const MAX_TRIES = 10;
+const HYPERBEAM_PORT = 8734;
+const USE_MOCK_NODE = args.mock || process.env.HYPERBEAM_MOCK === '1';
+
+// Settings served to the browser at /api/config (flags, env, config file, defaults)
+let runtimeConfig;
+try {
+    runtimeConfig = new RuntimeConfig({ flags: args.settings, configFile: args.configFile }).load();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+// Upstream nodes: --upstream flags, then HYPERBEAM_UPSTREAMS, then the local node; backup nodes go last
+const PRIMARY_UPSTREAMS = args.upstreams.length > 0
+    ? args.upstreams
+    : splitList(process.env.HYPERBEAM_UPSTREAMS).length > 0
+        ? splitList(process.env.HYPERBEAM_UPSTREAMS)
+        : [`http://localhost:${HYPERBEAM_PORT}`];
+const UPSTREAMS = Array.from(new Set([...PRIMARY_UPSTREAMS, ...runtimeConfig.get('backupNodes')]));
+const HEALTH_CHECK_INTERVAL = args.healthInterval || Number(process.env.HYPERBEAM_HEALTH_INTERVAL) || 30000;
+
+// Access logs and counters for /metrics and /api/status
+const metrics = new ServerMetrics({
+    accessLog: !args.noAccessLog && process.env.HYPERBEAM_ACCESS_LOG !== '0'
+});
+
+const upstreamPool = new UpstreamPool(UPSTREAMS, {
+    healthCheckInterval: HEALTH_CHECK_INTERVAL,
+    onRequest: (attempt) => metrics.recordUpstream(attempt)
+});
+
+// Response cache for immutable reads (in-memory, optionally persisted to disk)
+const CACHE_ENABLED = !args.noCache && process.env.HYPERBEAM_CACHE !== '0';
+const responseCache = CACHE_ENABLED
+    ? new ResponseCache({
+        cacheDir: args.cacheDir || process.env.HYPERBEAM_CACHE_DIR || null,
+        maxEntries: args.cacheSize || Number(process.env.HYPERBEAM_CACHE_SIZE) || 5000
+    })
+    : null;
+
+// Token-bucket limits on /push, per client IP and per wallet
+const pushLimiter = new PushRateLimiter({
+    ipPerMinute: numberSetting(args.pushLimitIp, process.env.HYPERBEAM_PUSH_LIMIT_IP, 30),
+    walletPerMinute: numberSetting(args.pushLimitWallet, process.env.HYPERBEAM_PUSH_LIMIT_WALLET, 20),
+    burst: numberSetting(args.pushBurst, process.env.HYPERBEAM_PUSH_BURST, 10),
+    maxBytes: numberSetting(args.pushMaxBytes, process.env.HYPERBEAM_PUSH_MAX_BYTES, 8192)
+});
+
+// Origin allowlist and header filtering for browser requests
+const cors = new CorsPolicy({
+    allowedOrigins: args.corsOrigins.length > 0 ? args.corsOrigins : splitList(process.env.HYPERBEAM_CORS_ORIGINS),
+    forwardHeaders: args.forwardHeaders || (process.env.HYPERBEAM_FORWARD_HEADERS ? splitList(process.env.HYPERBEAM_FORWARD_HEADERS) : undefined),
+    blockedHeaders: args.blockHeaders || splitList(process.env.HYPERBEAM_BLOCK_HEADERS)
+});
+
+// Proxied paths that use the wallet's secret; pushes are matched by PushRateLimiter.isPush
+const SECRET_PATH_PATTERN = /^\/~secret@1\.0\//;
+
+// Single server-side poller per process, fanned out to browsers over SSE
+const eventHub = new ChatEventHub(fetchHyperBEAM, {
+    pollInterval: args.eventPollInterval || Number(process.env.HYPERBEAM_EVENT_POLL_INTERVAL) || 2000
+});
+
+// Bidirectional chat transport sharing the event hub's watchers
+const socketHub = new ChatSocketHub(fetchHyperBEAM, eventHub, {
+    checkPush: (data, requestPath, body) => pushLimiter.check({ ip: data.ip, cookie: data.cookie, requestPath, body })
+});
+
+// Production build from `bun run build`; dev mode (or no build) serves the source files
+const DEV_MODE = args.dev || process.env.HYPERBEAM_DEV === '1';
+const staticAssets = new StaticAssets('./dist');
+const USE_BUILD = !DEV_MODE && staticAssets.load();
 
 let server;
 let selectedPort = BASE_PORT;
 
+/**
+ * Start the in-memory stand-in node on the HyperBEAM port
+ */
+function startMockNode() {
+    const mockNode = new MockHyperBEAMNode();
+
+    Bun.serve({
+        port: HYPERBEAM_PORT,
+        hostname: '127.0.0.1',
+        fetch: (req) => mockNode.handle(req)
+    });
+
+    return mockNode;
+}
+
+/**
+ * An upstream response's headers, without the encoding and length headers:
+ * fetch has already decoded the body, so they no longer describe it
+ */
+function upstreamResponseHeaders(response) {
+    const headers = new Headers(response.headers);
+    headers.delete('content-encoding');
+    headers.delete('content-length');
+    return headers;
+}
+
+/**
+ * Fetch a HyperBEAM path with a fully buffered body, going through the cache
+ * Returns { status, statusText, headers, body, node, latency, cache }
+ */
+async function fetchHyperBEAM(requestPath, init = { method: 'GET' }) {
+    const cached = responseCache ? responseCache.get(requestPath, init.method) : null;
+    if (cached) {
+        return {
+            status: cached.status,
+            statusText: 'OK',
+            headers: { 'Content-Type': cached.contentType },
+            body: cached.body,
+            node: cached.node,
+            latency: null,
+            cache: 'HIT'
+        };
+    }
+
+    const { response, node, latency } = await upstreamPool.forward(requestPath, init);
+    const body = await response.text();
+    let cache = null;
+
+    if (responseCache) {
+        if (response.ok && responseCache.isObserved(requestPath)) {
+            responseCache.observe(requestPath, body);
+        }
+        if (responseCache.set(requestPath, {
+            status: response.status,
+            contentType: response.headers.get('content-type') || 'application/json',
+            body: body,
+            node: node.url
+        }, init.method)) {
+            cache = 'MISS';
+        }
+    }
+
+    const headers = upstreamResponseHeaders(response);
+
+    return {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+        body,
+        node: node.url,
+        latency,
+        cache
+    };
+}
+
+/**
+ * Proxy a /api/hyperbeam/* request upstream, answering cacheable reads from the cache
+ */
+async function proxyToHyperBEAM(req, url, context = {}) {
+    const hyperbeamPath = url.pathname.replace('/api/hyperbeam', '');
+    const requestPath = `${hyperbeamPath}${url.search}`;
+    const corsHeaders = cors.getHeaders(req);
+
+    try {
+        // Unlisted origins may read, but never push or touch wallet secrets
+        if (!cors.isAllowed(req) && (PushRateLimiter.isPush(requestPath) || SECRET_PATH_PATTERN.test(requestPath))) {
+            return new Response(JSON.stringify({ error: 'Origin not allowed' }), {
+                status: 403,
+                headers: {
+                    ...corsHeaders,
+                    'Content-Type': 'application/json'
+                }
+            });
+        }
+
+        // Body is read once so it can be replayed on failover
+        const init = {
+            method: req.method,
+            headers: cors.filterRequestHeaders(req),
+            body: req.method !== 'GET' && req.method !== 'HEAD' ? await req.text() : undefined
+        };
+
+        // Rate limit and size check pushes before they reach the process
+        const rejection = pushLimiter.check({
+            ip: context.ip,
+            cookie: init.headers.cookie,
+            requestPath,
+            body: init.body
+        });
+        if (rejection) {
+            return new Response(JSON.stringify({
+                error: rejection.error,
+                reason: rejection.reason,
+                retryAfter: rejection.retryAfter
+            }), {
+                status: rejection.status,
+                headers: {
+                    ...corsHeaders,
+                    'Content-Type': 'application/json',
+                    ...(rejection.retryAfter ? { 'Retry-After': String(rejection.retryAfter) } : {})
+                }
+            });
+        }
+
+        // Cacheable and slot-bearing reads are buffered so the cache can inspect them
+        if (responseCache && (responseCache.classify(requestPath, init.method) || responseCache.isObserved(requestPath))) {
+            const result = await fetchHyperBEAM(requestPath, init);
+            context.upstream = {
+                node: result.node,
+                status: result.cache === 'HIT' ? null : result.status,
+                latency: result.latency,
+                cache: result.cache
+            };
+            return new Response(result.body, {
+                status: result.status,
+                statusText: result.statusText,
+                headers: cors.filterResponseHeaders(req, result.headers, {
+                    ...corsHeaders,
+                    'x-upstream-node': result.node,
+                    ...(result.cache ? { 'x-cache': result.cache } : {})
+                })
+            });
+        }
+
+        const { response, node, latency } = await upstreamPool.forward(requestPath, init);
+        context.upstream = { node: node.url, status: response.status, latency, cache: null };
+
+        // Proxy the response with CORS headers
+        return new Response(response.body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: cors.filterResponseHeaders(req, upstreamResponseHeaders(response), {
+                ...corsHeaders,
+                'x-upstream-node': node.url
+            })
+        });
+    } catch (error) {
+        console.error(`[Proxy Error] ${error.message}`);
+        return new Response(
+            JSON.stringify({ error: 'Proxy request failed', details: error.message }),
+            {
+                status: 500,
+                headers: {
+                    ...corsHeaders,
+                    'Content-Type': 'application/json'
+                }
+            }
+        );
+    }
+}
+
+/**
+ * Route a request to the proxy, realtime, status or static file handlers
+ */
+async function handleRequest(req, server, url, context) {
+    // Preflights are answered here and never reach HyperBEAM
+    if (req.method === 'OPTIONS') {
+        return cors.preflight(req);
+    }
+
+    // Proxy requests to HyperBEAM node
+    if (url.pathname.startsWith('/api/hyperbeam/')) {
+        return proxyToHyperBEAM(req, url, context);
+    }
+
+    // Server-Sent Events stream of new chat messages
+    const eventsMatch = url.pathname.match(/^\/api\/events\/([^/]+)$/);
+    if (eventsMatch) {
+        const processId = eventsMatch[1];
+        if (!eventHub.isValidProcessId(processId)) {
+            return new Response(JSON.stringify({ error: 'Invalid process ID' }), {
+                status: 400,
+                headers: {
+                    ...cors.getHeaders(req),
+                    'Content-Type': 'application/json'
+                }
+            });
+        }
+
+        // Keep the stream open past the idle timeout; heartbeats keep proxies happy
+        server.timeout(req, 0);
+
+        const lastEventId = req.headers.get('last-event-id') || url.searchParams.get('since');
+        const since = lastEventId && !isNaN(parseInt(lastEventId)) ? parseInt(lastEventId) : null;
+        return eventHub.subscribe(processId, since, cors.getHeaders(req));
+    }
+
+    // WebSocket chat transport (send, receive, typing, presence)
+    const socketMatch = url.pathname.match(/^\/api\/ws\/([^/]+)$/);
+    if (socketMatch) {
+        const processId = socketMatch[1];
+        if (!eventHub.isValidProcessId(processId)) {
+            return new Response(JSON.stringify({ error: 'Invalid process ID' }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+
+        // The socket pushes with the caller's cookie, so only credentialed origins may open one
+        if (!cors.allowsCredentials(req)) {
+            return new Response(JSON.stringify({ error: 'Origin not allowed' }), {
+                status: 403,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+
+        const sinceParam = url.searchParams.get('since');
+        const since = sinceParam && !isNaN(parseInt(sinceParam)) ? parseInt(sinceParam) : null;
+        if (socketHub.upgrade(req, server, processId, since)) {
+            return;
+        }
+
+        return new Response('Expected a WebSocket upgrade', { status: 426 });
+    }
+
+    // Prometheus metrics
+    if (url.pathname === '/metrics') {
+        return new Response(metrics.renderPrometheus({
+            upstreams: upstreamPool.getStatus(),
+            cache: responseCache ? responseCache.getStats() : null,
+            rateLimits: pushLimiter.getStats(),
+            eventStreams: eventHub.getStatus(),
+            webSockets: socketHub.getStatus()
+        }), {
+            headers: { 'Content-Type': 'text/plain; version=0.0.4' }
+        });
+    }
+
+    // Live session overview: upstream health, request rates, errors, process IDs
+    if (url.pathname === '/api/status') {
+        const upstreams = upstreamPool.getStatus();
+        const summary = metrics.getSummary();
+        const upstreamCounts = summary.upstreams;
+
+        return new Response(JSON.stringify({
+            status: upstreams.some(node => node.healthy) ? 'ok' : 'degraded',
+            processId: runtimeConfig.get('processId'),
+            mock: USE_MOCK_NODE,
+            uptime: summary.uptime,
+            startedAt: summary.startedAt,
+            requests: summary.requests,
+            upstreams: upstreams.map(node => ({
+                ...node,
+                ...(upstreamCounts[node.url] || { requests: 0, errors: 0 })
+            })),
+            activeProcesses: summary.activeProcesses,
+            cache: responseCache ? responseCache.getStats() : { enabled: false },
+            rateLimits: pushLimiter.getStats(),
+            realtime: {
+                eventStreams: eventHub.getStatus(),
+                webSockets: socketHub.getStatus()
+            }
+        }, null, 2), {
+            headers: {
+                ...cors.getHeaders(req),
+                'Content-Type': 'application/json'
+            }
+        });
+    }
+
+    // Cache hit/miss counters
+    if (url.pathname === '/api/cache/stats') {
+        return new Response(
+            JSON.stringify(responseCache ? responseCache.getStats() : { enabled: false }),
+            {
+                headers: {
+                    ...cors.getHeaders(req),
+                    'Content-Type': 'application/json'
+                }
+            }
+        );
+    }
+
+    // Runtime settings the browser hydrates CONFIG from
+    if (url.pathname === '/api/config') {
+        return new Response(JSON.stringify(runtimeConfig), {
+            headers: {
+                ...cors.getHeaders(req),
+                'Content-Type': 'application/json',
+                'Cache-Control': 'no-cache'
+            }
+        });
+    }
+
+    // Production build: hashed, compressed assets with ETags
+    if (USE_BUILD) {
+        const response = (req.method === 'GET' || req.method === 'HEAD')
+            ? staticAssets.serve(req, url.pathname, cors.getHeaders(req))
+            : null;
+        return response || new Response('File not found', {
+            status: 404,
+            headers: cors.getHeaders(req)
+        });
+    }
+
+    // Serve static files
+    const filePath = url.pathname === '/' ? '/index.html' : url.pathname;
+
+    try {
+        const file = Bun.file(`.${filePath}`);
+
+        if (await file.exists()) {
+            return new Response(file, {
+                headers: cors.getHeaders(req)
+            });
+        }
+
+        return new Response('File not found', {
+            status: 404,
+            headers: cors.getHeaders(req)
+        });
+    } catch (error) {
+        console.error(`[Server Error] ${error.message}`);
+        return new Response('Internal server error', {
+            status: 500,
+            headers: cors.getHeaders(req)
+        });
+    }
+}
+
 function startServer() {
     for (let i = 0; i < MAX_TRIES; i += 1) {
         const tryPort = BASE_PORT + i;
         try {
             selectedPort = tryPort;
-            const allowedOrigin = '*'; // Allow access from any device on network
 
             server = Bun.serve({
                 port: tryPort,
                 hostname: '0.0.0.0',
-                async fetch(req) {
+                websocket: socketHub.websocket,
+                async fetch(req, server) {
+                    const startTime = performance.now();
                     const url = new URL(req.url);
+                    const context = {
+                        ip: server.requestIP(req)?.address || null,
+                        upstream: null // filled in by the proxy: { node, status, latency, cache }
+                    };
 
-                    // Proxy requests to HyperBEAM node
-                    if (url.pathname.startsWith('/api/hyperbeam/')) {
-                        const hyperbeamPath = url.pathname.replace('/api/hyperbeam', '');
-                        const hyperbeamUrl = `http://localhost:8734${hyperbeamPath}${url.search}`;
-
-                        console.log(`[Proxy] ${req.method} ${hyperbeamUrl}`);
-
-                        try {
-                            const response = await fetch(hyperbeamUrl, {
-                                method: req.method,
-                                headers: {
-                                    ...Object.fromEntries(req.headers.entries()),
-                                    // Remove host header to avoid confusion
-                                    'host': 'localhost:8734'
-                                },
-                                body: req.method !== 'GET' && req.method !== 'HEAD' ? await req.text() : undefined
-                            });
-
-                            // Create response with CORS headers
-                            const corsHeaders = {
-                                'Access-Control-Allow-Origin': allowedOrigin,
-                                'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-                                'Access-Control-Allow-Headers': 'Content-Type, Authorization, Cookie',
-                                'Access-Control-Allow-Credentials': 'true'
-                            };
-
-                            // Handle preflight requests
-                            if (req.method === 'OPTIONS') {
-                                return new Response(null, {
-                                    status: 200,
-                                    headers: corsHeaders
-                                });
-                            }
-
-                            // Proxy the response with CORS headers
-                            const responseHeaders = {
-                                ...corsHeaders,
-                                ...Object.fromEntries(response.headers.entries())
-                            };
-
-                            return new Response(response.body, {
-                                status: response.status,
-                                statusText: response.statusText,
-                                headers: responseHeaders
-                            });
-                        } catch (error) {
-                            console.error(`[Proxy Error] ${error.message}`);
-                            return new Response(
-                                JSON.stringify({ error: 'Proxy request failed', details: error.message }),
-                                {
-                                    status: 500,
-                                    headers: {
-                                        'Content-Type': 'application/json',
-                                        'Access-Control-Allow-Origin': allowedOrigin
-                                    }
-                                }
-                            );
-                        }
-                    }
-
-                    // Handle config.js dynamically to inject environment variables
-                    if (url.pathname === '/config.js') {
-                        try {
-                            const configFile = Bun.file('./config.js');
-                            let configContent = await configFile.text();
-                            
-                            // Inject environment variable if provided
-                            const envProcessId = process.env.HYPERBEAM_PROCESS_ID;
-                            if (envProcessId) {
-                                console.log(`[Config] Using HYPERBEAM_PROCESS_ID from environment: ${envProcessId}`);
-                                // Replace the default process ID with the environment variable
-                                configContent = configContent.replace(
-                                    /(_processId:\s*')[^']+(')/,
-                                    `$1${envProcessId}$2`
-                                );
-                            }
-                            
-                            return new Response(configContent, {
-                                headers: {
-                                    'Content-Type': 'application/javascript',
-                                    'Access-Control-Allow-Origin': '*',
-                                    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-                                    'Access-Control-Allow-Headers': 'Content-Type'
-                                }
-                            });
-                        } catch (error) {
-                            console.error(`[Config Error] ${error.message}`);
-                            return new Response('Config file error', {
-                                status: 500,
-                                headers: {
-                                    'Access-Control-Allow-Origin': '*'
-                                }
-                            });
-                        }
-                    }
-
-                    // Serve static files
-                    const filePath = url.pathname === '/' ? '/index.html' : url.pathname;
-
-                    try {
-                        const file = Bun.file(`.${filePath}`);
-
-                        if (await file.exists()) {
-                            return new Response(file, {
-                                headers: {
-                                    'Access-Control-Allow-Origin': '*',
-                                    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-                                    'Access-Control-Allow-Headers': 'Content-Type'
-                                }
-                            });
-                        }
-
-                        return new Response('File not found', {
-                            status: 404,
-                            headers: {
-                                'Access-Control-Allow-Origin': '*'
-                            }
-                        });
-                    } catch (error) {
-                        console.error(`[Server Error] ${error.message}`);
-                        return new Response('Internal server error', {
-                            status: 500,
-                            headers: {
-                                'Access-Control-Allow-Origin': '*'
-                            }
-                        });
-                    }
+                    const response = await handleRequest(req, server, url, context);
+                    return metrics.measure(req, url, response, startTime, context);
                 }
             });
 
@@ -189,11 +584,33 @@ function startServer() {
     }
 }
 
+if (USE_MOCK_NODE) {
+    startMockNode();
+}
+
 startServer();
+upstreamPool.start();
 
 console.log(`🚀 HyperBEAM Chat server running on port ${selectedPort}`);
 console.log(`🏠 Local access: http://localhost:${selectedPort}`);
 console.log(`🌐 Network access: http://[YOUR-IP]:${selectedPort}`);
-console.log(`📡 Proxying HyperBEAM requests from /api/hyperbeam/* to http://localhost:8734/*`);
-console.log(`🔄 CORS enabled for network access (allowed origin: *)`);
+console.log(`📡 Proxying HyperBEAM requests from /api/hyperbeam/* to ${UPSTREAMS.join(', ')} (failover in order)`);
+if (USE_MOCK_NODE) {
+    console.log(`🧪 Mock HyperBEAM node running on http://localhost:${HYPERBEAM_PORT} (in-memory, data resets on restart)`);
+}
+console.log(`📣 Streaming new chat messages at /api/events/:processId (poll every ${eventHub.pollInterval}ms)`);
+console.log(`🔌 WebSocket chat transport at /api/ws/:processId`);
+console.log(`🚦 Push limits: ${pushLimiter.ipPerMinute}/min per IP, ${pushLimiter.walletPerMinute}/min per wallet, burst ${pushLimiter.burst}, max ${pushLimiter.maxBytes} bytes (0 = off)`);
+console.log(`📊 Status at /api/status, Prometheus metrics at /metrics${metrics.accessLog ? ', JSON access logs on stdout' : ''}`);
+if (responseCache) {
+    console.log(`🗄️  Caching immutable HyperBEAM reads${responseCache.cacheDir ? ` (persisted to ${responseCache.cacheDir})` : ' (in-memory)'}; stats at /api/cache/stats`);
+}
+console.log(`🔒 CORS: ${cors.describe()}`);
+const overrides = runtimeConfig.describeOverrides();
+console.log(`⚙️  Runtime config at /api/config${runtimeConfig.configFile ? ` (file: ${runtimeConfig.configFile})` : ''}${overrides.length > 0 ? `; overrides: ${overrides.join(', ')}` : ''}`);
+if (USE_BUILD) {
+    console.log(`📦 Serving production build from dist/ (built ${staticAssets.manifest.builtAt}, brotli/gzip, ETags)`);
+} else {
+    console.log(`🛠️  Serving source files${DEV_MODE ? ' (dev mode)' : ' (no build found, run `bun run build`)'}`);
+}
 console.log(`💡 To find your IP address, run: ifconfig | grep "inet "`);
\ No newline at end of file
@@ -0,0 +1,324 @@
+/**
+ * Chat WebSocket Hub
+ *
+ * Bidirectional transport for /api/ws/:processId. Clients send chat messages
+ * as JSON frames that are relayed to the process push endpoint and answered
+ * with an `ack` carrying the client's message id. New messages and slot
+ * advances come from the shared ChatEventHub watchers, and typing/presence
+ * frames are relayed between sockets on the same process, at most
+ * SIGNAL_PER_MINUTE per connection.
+ *
+ * Pushes are signed with the cookie sent on the upgrade request; Set-Cookie
+ * headers on push responses update it, so a rotated wallet secret is used for
+ * the socket's later pushes.
+ *
+ * Client → server frames:
+ *   { type: 'send', id, action?, params: { chat, username, ... }, body? }
+ *   { type: 'typing', typing: true|false }
+ *   { type: 'presence', username }
+ *
+ * Server → client frames:
+ *   { type: 'ack', id, ok, status, slot, error, retryAfter }
+ *   { type: 'ready' | 'slot' | 'message', ... }   (see event-hub.js)
+ *   { type: 'typing', username, typing }
+ *   { type: 'presence', users: [username, ...] }
+ *   { type: 'error', error }
+ */
+
+const buildPushPath = require('../js/push-path');
+
+const ACTION_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const MAX_FRAME_SIZE = 16 * 1024;
+const SIGNAL_PER_MINUTE = 60;
+const SIGNAL_BURST = 10;
+
+class ChatSocketHub {
+    /**
+     * @param {Function} fetchPath - async (path, init) => { status, body } against HyperBEAM
+     * @param {ChatEventHub} eventHub - shared process watchers
+     */
+    constructor(fetchPath, eventHub, options = {}) {
+        this.fetchPath = fetchPath;
+        this.eventHub = eventHub;
+        this.rooms = new Map(); // processId -> Set of sockets
+        this.checkPush = options.checkPush || null; // (ws.data, path, body) => rejection or null
+        this.log = options.log || ((...args) => console.log('[WebSocket]', ...args));
+
+        // Handlers object for Bun.serve({ websocket })
+        this.websocket = {
+            open: (ws) => this.handleOpen(ws),
+            message: (ws, raw) => this.handleMessage(ws, raw),
+            close: (ws) => this.handleClose(ws)
+        };
+    }
+
+    /**
+     * Upgrade an HTTP request, keeping the cookie so pushes are signed as the caller
+     * Returns true when the upgrade succeeded
+     */
+    upgrade(req, server, processId, since = null) {
+        return server.upgrade(req, {
+            data: {
+                processId,
+                since,
+                ip: server.requestIP(req)?.address || null,
+                cookie: req.headers.get('cookie') || '',
+                username: null,
+                subscriber: null,
+                signals: null // Typing/presence token bucket
+            }
+        });
+    }
+
+    /**
+     * Join the process room and start receiving its events
+     */
+    handleOpen(ws) {
+        const { processId, since } = ws.data;
+
+        if (!this.rooms.has(processId)) {
+            this.rooms.set(processId, new Set());
+        }
+        this.rooms.get(processId).add(ws);
+
+        ws.data.subscriber = this.eventHub.listen(processId, (event, data, id) => {
+            this.sendFrame(ws, { type: event, id, ...data });
+        }, since);
+
+        this.sendPresence(processId);
+    }
+
+    /**
+     * Dispatch a client frame by type
+     */
+    async handleMessage(ws, raw) {
+        if (raw.length > MAX_FRAME_SIZE) {
+            this.sendFrame(ws, { type: 'error', error: 'Frame too large' });
+            return;
+        }
+
+        let frame;
+        try {
+            frame = JSON.parse(String(raw));
+        } catch (error) {
+            this.sendFrame(ws, { type: 'error', error: 'Frames must be JSON' });
+            return;
+        }
+
+        switch (frame.type) {
+            case 'send':
+                await this.handleSend(ws, frame);
+                break;
+
+            case 'typing':
+                if (!this.takeSignalToken(ws)) break;
+                this.broadcast(ws.data.processId, {
+                    type: 'typing',
+                    username: ws.data.username || 'Chat User',
+                    typing: !!frame.typing
+                }, ws);
+                break;
+
+            case 'presence':
+                if (!this.takeSignalToken(ws)) break;
+                ws.data.username = typeof frame.username === 'string'
+                    ? frame.username.substring(0, 50)
+                    : null;
+                this.sendPresence(ws.data.processId);
+                break;
+
+            default:
+                this.sendFrame(ws, { type: 'error', error: `Unknown frame type: ${frame.type}` });
+        }
+    }
+
+    /**
+     * Relay a message to the process push endpoint and ack it by client id
+     */
+    async handleSend(ws, frame) {
+        const id = frame.id !== undefined ? frame.id : null;
+        const action = frame.action || 'chat_message';
+        const params = frame.params && typeof frame.params === 'object' ? frame.params : {};
+        const body = typeof frame.body === 'string' ? frame.body : '';
+
+        if (!ACTION_PATTERN.test(action)) {
+            this.sendFrame(ws, { type: 'ack', id, ok: false, status: 400, error: 'Invalid action' });
+            return;
+        }
+
+        if (params.username) {
+            ws.data.username = String(params.username).substring(0, 50);
+        }
+
+        const pushPath = this.getPushPath(ws.data.processId, action, params);
+        const rejection = this.checkPush ? this.checkPush(ws.data, pushPath, body) : null;
+        if (rejection) {
+            this.sendFrame(ws, {
+                type: 'ack',
+                id,
+                ok: false,
+                status: rejection.status,
+                error: rejection.error,
+                retryAfter: rejection.retryAfter
+            });
+            return;
+        }
+
+        try {
+            const result = await this.fetchPath(pushPath, {
+                method: body ? 'POST' : 'GET',
+                headers: ws.data.cookie ? { cookie: ws.data.cookie } : {},
+                body: body || undefined
+            });
+            this.updateCookie(ws, result.headers);
+
+            let data = null;
+            try {
+                data = JSON.parse(result.body);
+            } catch (error) {
+                data = result.body;
+            }
+
+            const ok = result.status >= 200 && result.status < 300;
+            this.sendFrame(ws, {
+                type: 'ack',
+                id,
+                ok,
+                status: result.status,
+                slot: data && data.slot !== undefined ? data.slot : null,
+                error: ok ? null : (data && data.error) || `Push failed with status ${result.status}`
+            });
+        } catch (error) {
+            this.log(`Push failed for ${ws.data.processId.substring(0, 6)}...: ${error.message}`);
+            this.sendFrame(ws, { type: 'ack', id, ok: false, status: 502, error: error.message });
+        }
+    }
+
+    /**
+     * Apply Set-Cookie headers from a push response to the socket's cookie
+     */
+    updateCookie(ws, headers) {
+        const setCookies = headers && typeof headers.getSetCookie === 'function' ? headers.getSetCookie() : [];
+        if (setCookies.length === 0) return;
+
+        const cookies = new Map();
+        ws.data.cookie.split(';').forEach(pair => {
+            const separator = pair.indexOf('=');
+            if (separator > 0) {
+                cookies.set(pair.substring(0, separator).trim(), pair.substring(separator + 1).trim());
+            }
+        });
+
+        setCookies.forEach(setCookie => {
+            const [pair, ...attributes] = setCookie.split(';');
+            const separator = pair.indexOf('=');
+            if (separator <= 0) return;
+
+            const name = pair.substring(0, separator).trim();
+            const expired = attributes.some(attribute => /^\s*max-age\s*=\s*(?:0|-\d+)\s*$/i.test(attribute));
+            if (expired) {
+                cookies.delete(name);
+            } else {
+                cookies.set(name, pair.substring(separator + 1).trim());
+            }
+        });
+
+        ws.data.cookie = Array.from(cookies, ([name, value]) => `${name}=${value}`).join('; ');
+    }
+
+    /**
+     * Spend one of the connection's typing/presence tokens; false when it has
+     * none left (the frame is dropped)
+     */
+    takeSignalToken(ws) {
+        const now = Date.now();
+        const bucket = ws.data.signals || { tokens: SIGNAL_BURST, updatedAt: now };
+        bucket.tokens = Math.min(SIGNAL_BURST, bucket.tokens + (now - bucket.updatedAt) / 60000 * SIGNAL_PER_MINUTE);
+        bucket.updatedAt = now;
+        ws.data.signals = bucket;
+
+        if (bucket.tokens < 1) return false;
+        bucket.tokens -= 1;
+        return true;
+    }
+
+    /**
+     * The same push URL an HTTP send builds (js/push-path.js)
+     */
+    getPushPath(processId, action, params) {
+        return buildPushPath(processId, action, { timestamp: Date.now(), ...params });
+    }
+
+    /**
+     * Leave the room and stop receiving process events
+     */
+    handleClose(ws) {
+        const { processId, subscriber } = ws.data;
+        this.eventHub.removeSubscriber(processId, subscriber);
+
+        const room = this.rooms.get(processId);
+        if (!room) return;
+
+        room.delete(ws);
+        if (room.size === 0) {
+            this.rooms.delete(processId);
+        } else {
+            this.sendPresence(processId);
+        }
+    }
+
+    /**
+     * Tell everyone in a room who is connected
+     */
+    sendPresence(processId) {
+        const room = this.rooms.get(processId);
+        if (!room) return;
+
+        const users = Array.from(room)
+            .map(ws => ws.data.username)
+            .filter(Boolean);
+
+        this.broadcast(processId, {
+            type: 'presence',
+            users: Array.from(new Set(users)),
+            connections: room.size
+        });
+    }
+
+    /**
+     * Send a frame to every socket in a room, optionally skipping the sender
+     */
+    broadcast(processId, frame, except = null) {
+        const room = this.rooms.get(processId);
+        if (!room) return;
+
+        room.forEach(ws => {
+            if (ws !== except) {
+                this.sendFrame(ws, frame);
+            }
+        });
+    }
+
+    /**
+     * Send a JSON frame, ignoring sockets that already closed
+     */
+    sendFrame(ws, frame) {
+        try {
+            ws.send(JSON.stringify(frame));
+        } catch (error) {
+            // Socket closed between the check and the send
+        }
+    }
+
+    /**
+     * Connection counts per process
+     */
+    getStatus() {
+        return Array.from(this.rooms.entries()).map(([processId, room]) => ({
+            processId,
+            connections: room.size
+        }));
+    }
+}
+
+module.exports = ChatSocketHub;
@@ -0,0 +1,184 @@
+/**
+ * CORS Policy
+ *
+ * Decides which browser origins may use the server and what crosses the proxy:
+ * - Same-origin requests (and non-browser requests with no Origin) are always allowed
+ * - Other origins must be on the allowlist; `*` allows any origin but never with credentials
+ * - Preflights are answered here and never forwarded upstream
+ * - Forwarded request headers pass an allow list, then a deny list
+ * - Responses to unlisted origins lose wallet-bearing headers such as set-cookie
+ */
+
+const DEFAULT_FORWARD_HEADERS = [
+    'accept',
+    'accept-language',
+    'authorization',
+    'content-type',
+    'cookie',
+    'signature',
+    'signature-input'
+];
+
+const DEFAULT_BLOCKED_HEADERS = [
+    'host',
+    'origin',
+    'referer',
+    'connection',
+    'upgrade',
+    'proxy-authorization',
+    'x-forwarded-for',
+    'x-forwarded-host',
+    'x-real-ip'
+];
+
+// Hop-by-hop headers that must not be relayed, plus headers the proxy rewrites
+const STRIPPED_RESPONSE_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'access-control-allow-origin', 'access-control-allow-credentials'];
+
+// Headers that carry or identify wallet secrets
+const SENSITIVE_RESPONSE_HEADERS = ['set-cookie', 'wallet-address', 'signature-input', 'signature'];
+
+const ALLOWED_METHODS = 'GET, POST, PUT, DELETE, OPTIONS';
+const EXPOSED_HEADERS = 'x-upstream-node, x-cache, retry-after';
+const PREFLIGHT_MAX_AGE = 600;
+
+class CorsPolicy {
+    constructor(options = {}) {
+        this.allowedOrigins = (options.allowedOrigins || []).map(origin => origin.replace(/\/+$/, ''));
+        this.allowAnyOrigin = this.allowedOrigins.includes('*');
+        this.forwardHeaders = new Set((options.forwardHeaders || DEFAULT_FORWARD_HEADERS).map(name => name.toLowerCase()));
+        this.blockedHeaders = new Set([...DEFAULT_BLOCKED_HEADERS, ...(options.blockedHeaders || [])].map(name => name.toLowerCase()));
+    }
+
+    /**
+     * Classify a request's Origin: 'none', 'same', 'listed', 'any' or 'denied'
+     */
+    getOriginAccess(req) {
+        const origin = req.headers.get('origin');
+        if (!origin) return 'none';
+
+        const host = req.headers.get('host');
+        try {
+            if (host && new URL(origin).host === host) return 'same';
+        } catch (error) {
+            return 'denied';
+        }
+
+        if (this.allowedOrigins.includes(origin)) return 'listed';
+        if (this.allowAnyOrigin) return 'any';
+        return 'denied';
+    }
+
+    /**
+     * Whether the request's origin may use the server at all
+     */
+    isAllowed(req) {
+        return this.getOriginAccess(req) !== 'denied';
+    }
+
+    /**
+     * Whether the request's origin may send and receive credentials (cookies)
+     */
+    allowsCredentials(req) {
+        return ['none', 'same', 'listed'].includes(this.getOriginAccess(req));
+    }
+
+    /**
+     * CORS headers for an actual (non-preflight) response
+     */
+    getHeaders(req) {
+        const access = this.getOriginAccess(req);
+        const headers = { 'Vary': 'Origin' };
+
+        if (access === 'same' || access === 'listed') {
+            headers['Access-Control-Allow-Origin'] = req.headers.get('origin');
+            headers['Access-Control-Allow-Credentials'] = 'true';
+            headers['Access-Control-Expose-Headers'] = EXPOSED_HEADERS;
+        } else if (access === 'any') {
+            headers['Access-Control-Allow-Origin'] = '*';
+            headers['Access-Control-Expose-Headers'] = EXPOSED_HEADERS;
+        }
+
+        return headers;
+    }
+
+    /**
+     * Answer an OPTIONS preflight locally
+     */
+    preflight(req) {
+        if (!this.isAllowed(req)) {
+            return new Response(null, { status: 403, headers: { 'Vary': 'Origin' } });
+        }
+
+        // Echo only the requested headers we would actually forward
+        const requested = (req.headers.get('access-control-request-headers') || '')
+            .split(',')
+            .map(name => name.trim().toLowerCase())
+            .filter(name => name && this.isForwardable(name));
+
+        return new Response(null, {
+            status: 204,
+            headers: {
+                ...this.getHeaders(req),
+                'Access-Control-Allow-Methods': ALLOWED_METHODS,
+                'Access-Control-Allow-Headers': requested.length > 0 ? requested.join(', ') : 'content-type',
+                'Access-Control-Max-Age': String(PREFLIGHT_MAX_AGE)
+            }
+        });
+    }
+
+    /**
+     * Whether a client header may be forwarded upstream
+     */
+    isForwardable(name) {
+        return this.forwardHeaders.has(name) && !this.blockedHeaders.has(name);
+    }
+
+    /**
+     * Client headers to send upstream; cookies only travel for credentialed origins
+     */
+    filterRequestHeaders(req) {
+        const allowCredentials = this.allowsCredentials(req);
+        const headers = {};
+
+        for (const [name, value] of req.headers.entries()) {
+            const lowerName = name.toLowerCase();
+            if (!this.isForwardable(lowerName)) continue;
+            if (!allowCredentials && (lowerName === 'cookie' || lowerName === 'authorization')) continue;
+            headers[lowerName] = value;
+        }
+
+        return headers;
+    }
+
+    /**
+     * Upstream headers to relay, plus extraHeaders, as a Headers object so
+     * repeated set-cookie headers stay separate; wallet material only goes to
+     * credentialed origins
+     */
+    filterResponseHeaders(req, upstreamHeaders, extraHeaders = {}) {
+        const allowCredentials = this.allowsCredentials(req);
+        const headers = new Headers();
+
+        for (const [name, value] of new Headers(upstreamHeaders)) {
+            if (STRIPPED_RESPONSE_HEADERS.includes(name)) continue;
+            if (!allowCredentials && SENSITIVE_RESPONSE_HEADERS.includes(name)) continue;
+            headers.append(name, value);
+        }
+
+        for (const [name, value] of Object.entries(extraHeaders)) {
+            headers.set(name, value);
+        }
+        return headers;
+    }
+
+    /**
+     * Allowlist summary for logging
+     */
+    describe() {
+        if (this.allowAnyOrigin) return 'same origin, any origin without credentials';
+        if (this.allowedOrigins.length === 0) return 'same origin only';
+        return `same origin, ${this.allowedOrigins.join(', ')}`;
+    }
+}
+
+module.exports = CorsPolicy;
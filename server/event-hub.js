@@ -0,0 +1,298 @@
+/**
+ * Chat Event Hub
+ *
+ * Server-Sent Events fan-out for /api/events/:processId. One watcher per
+ * process polls the slot and, when it advances, lenmessages; new messages are
+ * fetched once and pushed to every subscriber. Watchers stop when the last
+ * subscriber disconnects. Subscribers are SSE streams or, via listen(), any
+ * other transport such as the WebSocket hub.
+ */
+
+const PROCESS_ID_PATTERN = /^[a-zA-Z0-9_-]{43}$/;
+const HEARTBEAT_INTERVAL = 15000;
+const MAX_REPLAY = 150;
+
+class ChatEventHub {
+    /**
+     * @param {Function} fetchPath - async (path, init) => { status, body } against HyperBEAM
+     */
+    constructor(fetchPath, options = {}) {
+        this.fetchPath = fetchPath;
+        this.pollInterval = options.pollInterval || 2000;
+        this.watchers = new Map(); // processId -> watcher state
+        this.log = options.log || ((...args) => console.log('[Events]', ...args));
+        this.encoder = new TextEncoder();
+    }
+
+    /**
+     * Whether a process ID is well formed
+     */
+    isValidProcessId(processId) {
+        return PROCESS_ID_PATTERN.test(processId || '');
+    }
+
+    /**
+     * Open an SSE stream for a process, replaying messages after `since` if given
+     */
+    subscribe(processId, since = null, headers = {}) {
+        let subscriber;
+
+        const stream = new ReadableStream({
+            start: (controller) => {
+                subscriber = {
+                    controller,
+                    heartbeat: null,
+                    deliver: (event, data, id) => {
+                        const idLine = id !== null ? `id: ${id}\n` : '';
+                        this.write(subscriber, `${idLine}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+                    }
+                };
+                subscriber.heartbeat = setInterval(() => {
+                    this.write(subscriber, ': ping\n\n');
+                }, HEARTBEAT_INTERVAL);
+
+                this.addSubscriber(processId, subscriber, since);
+            },
+            cancel: () => {
+                this.removeSubscriber(processId, subscriber);
+            }
+        });
+
+        return new Response(stream, {
+            headers: {
+                ...headers,
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            }
+        });
+    }
+
+    /**
+     * Subscribe a callback `(event, data, id) => {}` to a process
+     * Returns the subscriber to pass to removeSubscriber()
+     */
+    listen(processId, deliver, since = null) {
+        const subscriber = { controller: null, heartbeat: null, deliver };
+        this.addSubscriber(processId, subscriber, since);
+        return subscriber;
+    }
+
+    /**
+     * Register a subscriber, starting the process watcher if needed
+     */
+    async addSubscriber(processId, subscriber, since) {
+        let watcher = this.watchers.get(processId);
+        if (!watcher) {
+            watcher = {
+                processId,
+                subscribers: new Set(),
+                lastSlot: null,
+                messageCount: null,
+                timer: null,
+                ready: null
+            };
+            this.watchers.set(processId, watcher);
+            watcher.ready = this.initializeWatcher(watcher);
+            this.log(`Watching ${processId.substring(0, 6)}... every ${this.pollInterval}ms`);
+        }
+
+        watcher.subscribers.add(subscriber);
+        await watcher.ready;
+
+        this.send(subscriber, 'ready', {
+            processId,
+            slot: watcher.lastSlot,
+            messageCount: watcher.messageCount
+        });
+
+        // Replay anything the client missed (e.g. after an EventSource reconnect)
+        if (since !== null && watcher.messageCount !== null && since < watcher.messageCount) {
+            const start = Math.max(since + 1, watcher.messageCount - MAX_REPLAY + 1);
+            try {
+                for (let index = start; index <= watcher.messageCount; index++) {
+                    const message = await this.fetchMessage(processId, index);
+                    if (message) {
+                        this.send(subscriber, 'message', { index, message }, index);
+                    }
+                }
+            } catch (error) {
+                this.log(`Replay failed for ${processId.substring(0, 6)}...: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Drop a subscriber and stop the watcher once nobody is listening
+     */
+    removeSubscriber(processId, subscriber) {
+        if (!subscriber) return;
+        clearInterval(subscriber.heartbeat);
+
+        const watcher = this.watchers.get(processId);
+        if (!watcher) return;
+
+        watcher.subscribers.delete(subscriber);
+        if (watcher.subscribers.size === 0) {
+            clearTimeout(watcher.timer);
+            this.watchers.delete(processId);
+            this.log(`Stopped watching ${processId.substring(0, 6)}... (no subscribers)`);
+        }
+    }
+
+    /**
+     * Establish the baseline slot and message count, then start polling
+     */
+    async initializeWatcher(watcher) {
+        try {
+            watcher.lastSlot = await this.fetchSlot(watcher.processId);
+            watcher.messageCount = await this.fetchMessageCount(watcher.processId);
+        } catch (error) {
+            // The first successful poll becomes the baseline instead
+            this.log(`Initial state unavailable for ${watcher.processId.substring(0, 6)}...: ${error.message}`);
+        }
+        this.schedulePoll(watcher);
+    }
+
+    /**
+     * Still the process's current watcher: one torn down and replaced by a new
+     * watcher for the same process must stop polling
+     */
+    isActive(watcher) {
+        return this.watchers.get(watcher.processId) === watcher;
+    }
+
+    /**
+     * Chain polls with setTimeout so slow upstream responses never overlap
+     */
+    schedulePoll(watcher) {
+        watcher.timer = setTimeout(async () => {
+            if (!this.isActive(watcher)) return;
+
+            try {
+                await this.poll(watcher);
+            } catch (error) {
+                this.log(`Poll failed for ${watcher.processId.substring(0, 6)}...: ${error.message}`);
+            }
+
+            if (this.isActive(watcher)) {
+                this.schedulePoll(watcher);
+            }
+        }, this.pollInterval);
+    }
+
+    /**
+     * Slot check first; only fetch the message count when the slot advanced.
+     * The slot and message count are only moved past what was broadcast, so
+     * anything that failed is fetched again on the next poll.
+     */
+    async poll(watcher) {
+        const slot = await this.fetchSlot(watcher.processId);
+        if (slot === null || (watcher.lastSlot !== null && slot <= watcher.lastSlot)) {
+            return;
+        }
+
+        const count = await this.fetchMessageCount(watcher.processId);
+        if (count === null) {
+            return;
+        }
+
+        if (watcher.messageCount !== null) {
+            for (let index = watcher.messageCount + 1; index <= count; index++) {
+                const message = await this.fetchMessage(watcher.processId, index);
+                if (!message) {
+                    return;
+                }
+                this.broadcast(watcher, 'message', { index, message, slot }, index);
+                watcher.messageCount = index;
+            }
+        }
+
+        watcher.messageCount = count;
+        watcher.lastSlot = slot;
+        this.broadcast(watcher, 'slot', { slot });
+    }
+
+    /**
+     * Current slot from /compute/at-slot
+     */
+    async fetchSlot(processId) {
+        const result = await this.fetchPath(`/${processId}/compute/at-slot`, { method: 'GET' });
+        if (result.status !== 200) return null;
+
+        const slot = parseInt(String(result.body).trim());
+        return isNaN(slot) ? null : slot;
+    }
+
+    /**
+     * Message count from /now/lenmessages
+     */
+    async fetchMessageCount(processId) {
+        const result = await this.fetchPath(`/${processId}/now/lenmessages/serialize~json@1.0`, { method: 'GET' });
+        if (result.status !== 200) return null;
+
+        try {
+            const count = parseInt(JSON.parse(result.body).body);
+            return isNaN(count) ? null : count;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Raw message data from /now/messages/N
+     */
+    async fetchMessage(processId, index) {
+        const result = await this.fetchPath(`/${processId}/now/messages/${index}/serialize~json@1.0`, { method: 'GET' });
+        if (result.status !== 200) return null;
+
+        try {
+            return JSON.parse(result.body);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Send an event to every subscriber of a watcher
+     */
+    broadcast(watcher, event, data, id = null) {
+        watcher.subscribers.forEach(subscriber => this.send(subscriber, event, data, id));
+    }
+
+    /**
+     * Send a single event to a subscriber
+     */
+    send(subscriber, event, data, id = null) {
+        try {
+            subscriber.deliver(event, data, id);
+        } catch (error) {
+            this.log(`Failed to deliver ${event} event: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write raw SSE text, ignoring streams that already closed
+     */
+    write(subscriber, text) {
+        try {
+            subscriber.controller.enqueue(this.encoder.encode(text));
+        } catch (error) {
+            clearInterval(subscriber.heartbeat);
+        }
+    }
+
+    /**
+     * Subscriber counts per watched process
+     */
+    getStatus() {
+        return Array.from(this.watchers.values()).map(watcher => ({
+            processId: watcher.processId,
+            subscribers: watcher.subscribers.size,
+            lastSlot: watcher.lastSlot,
+            messageCount: watcher.messageCount
+        }));
+    }
+}
+
+module.exports = ChatEventHub;
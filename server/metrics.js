@@ -0,0 +1,411 @@
+/**
+ * Server Metrics
+ *
+ * Request and upstream counters for the dev server. Every request produces one
+ * JSON access log line; the same data backs the Prometheus text served at
+ * /metrics and the JSON summary served at /api/status.
+ */
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const RATE_WINDOW_SECONDS = 300;
+const PROCESS_ID_PATTERN = /^\/api\/(?:hyperbeam|events|ws)\/([a-zA-Z0-9_-]{43})/;
+const MAX_TRACKED_PROCESSES = 100;
+// Methods kept as labels; anything else a client sends is counted as 'other'
+const METRIC_METHODS = new Set(['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'OPTIONS']);
+
+class ServerMetrics {
+    constructor(options = {}) {
+        this.accessLog = options.accessLog !== false;
+        this.startedAt = Date.now();
+
+        this.requests = new Map(); // "route|method|status" -> count
+        this.requestDurations = new Map(); // route -> histogram
+        this.responseBytes = new Map(); // route -> bytes
+        this.upstreamRequests = new Map(); // "node|status" -> count
+        this.upstreamDurations = new Map(); // node -> histogram
+        this.processes = new Map(); // processId -> { requests, lastSeen }, least recently seen first
+
+        // Per-second request counts for rate calculations (ring buffer, plus the current second)
+        this.rateBuckets = new Array(RATE_WINDOW_SECONDS + 1).fill(0);
+        this.rateBucketSecond = Math.floor(Date.now() / 1000);
+
+        this.totals = {
+            total: 0,
+            clientErrors: 0,
+            serverErrors: 0,
+            upstreamErrors: 0
+        };
+    }
+
+    /**
+     * Label a path with a low-cardinality route name
+     */
+    getRoute(pathname) {
+        if (pathname.startsWith('/api/hyperbeam/')) return 'hyperbeam';
+        if (pathname.startsWith('/api/events/')) return 'events';
+        if (pathname.startsWith('/api/ws/')) return 'websocket';
+        if (pathname === '/api/status') return 'status';
+        if (pathname === '/api/cache/stats') return 'cache_stats';
+        if (pathname === '/metrics') return 'metrics';
+        if (pathname === '/api/config') return 'config';
+        return 'static';
+    }
+
+    /**
+     * Count bytes as the body streams out, then record the finished request
+     * Event streams and upgrades are recorded immediately since they stay open
+     */
+    measure(req, url, response, startTime, context = {}) {
+        // Latency is time until the response headers are ready
+        const latency = performance.now() - startTime;
+        const finish = (bytes) => this.recordRequest({
+            method: req.method,
+            url,
+            status: response ? response.status : 101,
+            latency,
+            bytes,
+            ip: context.ip || null,
+            upstream: context.upstream || null
+        });
+
+        if (!response) {
+            finish(null);
+            return response;
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        if (!response.body || contentType.includes('text/event-stream')) {
+            finish(response.body ? null : 0);
+            return response;
+        }
+
+        let bytes = 0;
+        let finished = false;
+        const complete = () => {
+            if (!finished) {
+                finished = true;
+                finish(bytes);
+            }
+        };
+
+        // Client disconnects mid-body are still logged, with the bytes sent so far
+        const reader = response.body.getReader();
+        const stream = new ReadableStream({
+            async pull(controller) {
+                try {
+                    const { done, value } = await reader.read();
+                    if (done) {
+                        complete();
+                        controller.close();
+                        return;
+                    }
+                    bytes += value.byteLength;
+                    controller.enqueue(value);
+                } catch (error) {
+                    complete();
+                    controller.error(error);
+                }
+            },
+            cancel(reason) {
+                complete();
+                return reader.cancel(reason);
+            }
+        });
+
+        return new Response(stream, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers
+        });
+    }
+
+    /**
+     * Record a completed request and write its access log line
+     */
+    recordRequest({ method, url, status, latency, bytes, ip, upstream }) {
+        const route = this.getRoute(url.pathname);
+        const key = `${route}|${METRIC_METHODS.has(method) ? method : 'other'}|${status}`;
+
+        this.requests.set(key, (this.requests.get(key) || 0) + 1);
+        this.observe(this.requestDurations, route, latency / 1000);
+        if (bytes) {
+            this.responseBytes.set(route, (this.responseBytes.get(route) || 0) + bytes);
+        }
+
+        this.totals.total++;
+        if (status >= 500) {
+            this.totals.serverErrors++;
+        } else if (status >= 400) {
+            this.totals.clientErrors++;
+        }
+
+        this.countRate();
+        this.trackProcess(url.pathname);
+
+        if (this.accessLog) {
+            console.log(JSON.stringify({
+                type: 'access',
+                time: new Date().toISOString(),
+                method,
+                path: `${url.pathname}${url.search}`,
+                route,
+                status,
+                upstream: upstream ? upstream.node : null,
+                upstreamStatus: upstream ? upstream.status : null,
+                upstreamLatency: upstream && upstream.latency !== null ? Math.round(upstream.latency) : null,
+                cache: upstream ? upstream.cache || null : null,
+                latency: Math.round(latency * 10) / 10,
+                bytes,
+                ip
+            }));
+        }
+    }
+
+    /**
+     * Record one upstream attempt (called by UpstreamPool for every try, including failovers)
+     */
+    recordUpstream({ node, status, latency, error }) {
+        const label = error ? 'error' : String(status);
+        const key = `${node}|${label}`;
+
+        this.upstreamRequests.set(key, (this.upstreamRequests.get(key) || 0) + 1);
+        this.observe(this.upstreamDurations, node, latency / 1000);
+
+        if (error || status >= 500) {
+            this.totals.upstreamErrors++;
+        }
+    }
+
+    /**
+     * Add a value to a labelled histogram
+     */
+    observe(histograms, label, value) {
+        let histogram = histograms.get(label);
+        if (!histogram) {
+            histogram = { buckets: new Array(DURATION_BUCKETS.length).fill(0), sum: 0, count: 0 };
+            histograms.set(label, histogram);
+        }
+
+        DURATION_BUCKETS.forEach((bound, i) => {
+            if (value <= bound) histogram.buckets[i]++;
+        });
+        histogram.sum += value;
+        histogram.count++;
+    }
+
+    /**
+     * Advance the per-second ring buffer and count one request
+     */
+    countRate() {
+        this.advanceRateBuckets();
+        this.rateBuckets[this.rateBucketSecond % this.rateBuckets.length]++;
+    }
+
+    /**
+     * Zero out buckets for seconds that passed without requests
+     */
+    advanceRateBuckets() {
+        const nowSecond = Math.floor(Date.now() / 1000);
+        const elapsed = Math.min(nowSecond - this.rateBucketSecond, this.rateBuckets.length);
+
+        for (let i = 1; i <= elapsed; i++) {
+            this.rateBuckets[(this.rateBucketSecond + i) % this.rateBuckets.length] = 0;
+        }
+        this.rateBucketSecond = nowSecond;
+    }
+
+    /**
+     * Average requests per second over the last N seconds (excluding the current one)
+     */
+    getRate(seconds) {
+        this.advanceRateBuckets();
+
+        let total = 0;
+        for (let i = 1; i <= seconds; i++) {
+            total += this.rateBuckets[(this.rateBucketSecond - i + this.rateBuckets.length) % this.rateBuckets.length];
+        }
+        return Math.round(total / seconds * 100) / 100;
+    }
+
+    /**
+     * Remember which process IDs clients are talking to. Any client can make up
+     * process IDs, so only the most recently seen MAX_TRACKED_PROCESSES are kept.
+     */
+    trackProcess(pathname) {
+        const match = pathname.match(PROCESS_ID_PATTERN);
+        if (!match) return;
+
+        const entry = this.processes.get(match[1]) || { requests: 0, lastSeen: null };
+        entry.requests++;
+        entry.lastSeen = Date.now();
+
+        // Re-insert to move it to the most recent end
+        this.processes.delete(match[1]);
+        this.processes.set(match[1], entry);
+        while (this.processes.size > MAX_TRACKED_PROCESSES) {
+            this.processes.delete(this.processes.keys().next().value);
+        }
+    }
+
+    /**
+     * Request counts grouped by route
+     */
+    getRequestsByRoute() {
+        const byRoute = {};
+        this.requests.forEach((count, key) => {
+            const [route, , status] = key.split('|');
+            if (!byRoute[route]) {
+                byRoute[route] = { requests: 0, errors: 0 };
+            }
+            byRoute[route].requests += count;
+            if (parseInt(status) >= 500) {
+                byRoute[route].errors += count;
+            }
+        });
+        return byRoute;
+    }
+
+    /**
+     * Upstream attempt counts grouped by node
+     */
+    getUpstreamCounts() {
+        const byNode = {};
+        this.upstreamRequests.forEach((count, key) => {
+            const [node, status] = key.split('|');
+            if (!byNode[node]) {
+                byNode[node] = { requests: 0, errors: 0 };
+            }
+            byNode[node].requests += count;
+            if (status === 'error' || parseInt(status) >= 500) {
+                byNode[node].errors += count;
+            }
+        });
+        return byNode;
+    }
+
+    /**
+     * JSON summary for /api/status
+     */
+    getSummary() {
+        return {
+            uptime: Math.round((Date.now() - this.startedAt) / 1000),
+            startedAt: new Date(this.startedAt).toISOString(),
+            requests: {
+                ...this.totals,
+                ratePerSecond1m: this.getRate(60),
+                ratePerSecond5m: this.getRate(RATE_WINDOW_SECONDS),
+                byRoute: this.getRequestsByRoute()
+            },
+            upstreams: this.getUpstreamCounts(),
+            activeProcesses: Array.from(this.processes.entries())
+                .sort((a, b) => b[1].lastSeen - a[1].lastSeen)
+                .slice(0, 10)
+                .map(([processId, entry]) => ({
+                    processId,
+                    requests: entry.requests,
+                    lastSeen: new Date(entry.lastSeen).toISOString()
+                }))
+        };
+    }
+
+    /**
+     * Prometheus text exposition for /metrics
+     * @param {Object} snapshot - { upstreams, cache, rateLimits, eventStreams, webSockets } from the other server modules
+     */
+    renderPrometheus(snapshot = {}) {
+        const lines = [];
+        const metric = (name, type, help) => {
+            lines.push(`# HELP ${name} ${help}`);
+            lines.push(`# TYPE ${name} ${type}`);
+        };
+
+        metric('hyperbeam_chat_uptime_seconds', 'gauge', 'Seconds since the server started');
+        lines.push(`hyperbeam_chat_uptime_seconds ${Math.round((Date.now() - this.startedAt) / 1000)}`);
+
+        metric('hyperbeam_chat_requests_total', 'counter', 'HTTP requests handled by the server');
+        this.requests.forEach((count, key) => {
+            const [route, method, status] = key.split('|');
+            lines.push(`hyperbeam_chat_requests_total${this.labels({ route, method, status })} ${count}`);
+        });
+
+        metric('hyperbeam_chat_request_duration_seconds', 'histogram', 'Time until response headers were ready');
+        this.renderHistograms(lines, 'hyperbeam_chat_request_duration_seconds', 'route', this.requestDurations);
+
+        metric('hyperbeam_chat_response_bytes_total', 'counter', 'Response body bytes sent');
+        this.responseBytes.forEach((bytes, route) => {
+            lines.push(`hyperbeam_chat_response_bytes_total${this.labels({ route })} ${bytes}`);
+        });
+
+        metric('hyperbeam_chat_upstream_requests_total', 'counter', 'Requests sent to HyperBEAM nodes, including failover attempts');
+        this.upstreamRequests.forEach((count, key) => {
+            const [node, status] = key.split('|');
+            lines.push(`hyperbeam_chat_upstream_requests_total${this.labels({ node, status })} ${count}`);
+        });
+
+        metric('hyperbeam_chat_upstream_duration_seconds', 'histogram', 'HyperBEAM node response time');
+        this.renderHistograms(lines, 'hyperbeam_chat_upstream_duration_seconds', 'node', this.upstreamDurations);
+
+        if (snapshot.upstreams) {
+            metric('hyperbeam_chat_upstream_healthy', 'gauge', 'Whether a HyperBEAM node passed its last health check');
+            snapshot.upstreams.forEach(node => {
+                lines.push(`hyperbeam_chat_upstream_healthy${this.labels({ node: node.url })} ${node.healthy ? 1 : 0}`);
+            });
+        }
+
+        if (snapshot.cache) {
+            metric('hyperbeam_chat_cache_lookups_total', 'counter', 'Response cache lookups by result');
+            lines.push(`hyperbeam_chat_cache_lookups_total${this.labels({ result: 'hit' })} ${snapshot.cache.hits}`);
+            lines.push(`hyperbeam_chat_cache_lookups_total${this.labels({ result: 'miss' })} ${snapshot.cache.misses}`);
+            metric('hyperbeam_chat_cache_entries', 'gauge', 'Entries held in the in-memory response cache');
+            lines.push(`hyperbeam_chat_cache_entries ${snapshot.cache.entries}`);
+        }
+
+        if (snapshot.rateLimits) {
+            metric('hyperbeam_chat_push_rejected_total', 'counter', 'Pushes rejected by rate or size limits');
+            Object.entries(snapshot.rateLimits.rejected).forEach(([reason, count]) => {
+                lines.push(`hyperbeam_chat_push_rejected_total${this.labels({ reason })} ${count}`);
+            });
+        }
+
+        if (snapshot.eventStreams) {
+            metric('hyperbeam_chat_event_subscribers', 'gauge', 'Open event subscribers (SSE and WebSocket) per process');
+            snapshot.eventStreams.forEach(watcher => {
+                lines.push(`hyperbeam_chat_event_subscribers${this.labels({ process: watcher.processId })} ${watcher.subscribers}`);
+            });
+        }
+
+        if (snapshot.webSockets) {
+            metric('hyperbeam_chat_websocket_connections', 'gauge', 'Open WebSocket connections per process');
+            snapshot.webSockets.forEach(room => {
+                lines.push(`hyperbeam_chat_websocket_connections${this.labels({ process: room.processId })} ${room.connections}`);
+            });
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Append cumulative bucket, sum and count lines for labelled histograms
+     */
+    renderHistograms(lines, name, labelName, histograms) {
+        histograms.forEach((histogram, label) => {
+            DURATION_BUCKETS.forEach((bound, i) => {
+                lines.push(`${name}_bucket${this.labels({ [labelName]: label, le: String(bound) })} ${histogram.buckets[i]}`);
+            });
+            lines.push(`${name}_bucket${this.labels({ [labelName]: label, le: '+Inf' })} ${histogram.count}`);
+            lines.push(`${name}_sum${this.labels({ [labelName]: label })} ${histogram.sum.toFixed(6)}`);
+            lines.push(`${name}_count${this.labels({ [labelName]: label })} ${histogram.count}`);
+        });
+    }
+
+    /**
+     * Format a Prometheus label set
+     */
+    labels(values) {
+        const pairs = Object.entries(values)
+            .map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+        return `{${pairs.join(',')}}`;
+    }
+}
+
+module.exports = ServerMetrics;
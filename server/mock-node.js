@@ -0,0 +1,317 @@
+/**
+ * Mock HyperBEAM Node
+ *
+ * Stand-in for a HyperBEAM node on localhost:8734 so the app can run offline.
+ * Implements the endpoints listed in CONFIG.ENDPOINTS on top of in-memory
+ * secrets and MockChatProcess instances with advancing slots.
+ */
+
+const crypto = require('crypto');
+const MockChatProcess = require('./mock-process');
+
+const SECRET_COOKIE = 'secret';
+const PROCESS_ID_PATTERN = /^[a-zA-Z0-9_-]{43}$/;
+
+class MockHyperBEAMNode {
+    constructor(options = {}) {
+        this.processes = new Map(); // processId -> MockChatProcess
+        this.wallets = new Map(); // keyid -> { address, key }
+        this.log = options.log || ((...args) => console.log('[Mock]', ...args));
+    }
+
+    /**
+     * Get or lazily create the in-memory process for an ID
+     */
+    getProcess(processId) {
+        if (!this.processes.has(processId)) {
+            this.processes.set(processId, new MockChatProcess(processId));
+            this.log(`Created in-memory process ${processId.substring(0, 6)}...`);
+        }
+        return this.processes.get(processId);
+    }
+
+    /**
+     * Fetch handler for Bun.serve
+     */
+    async handle(req) {
+        const url = new URL(req.url);
+        const segments = url.pathname.split('/').filter(Boolean);
+
+        try {
+            if (segments[0] === '~secret@1.0') {
+                return await this.handleSecret(segments[1], req);
+            }
+
+            if (segments[0] === '~meta@1.0' && segments[1] === 'health') {
+                return this.json({ status: 'ok', mock: true });
+            }
+
+            const [target, ...rest] = segments;
+            const processId = (target || '').replace(/~process@1\.0$/, '');
+            if (!PROCESS_ID_PATTERN.test(processId)) {
+                return this.json({ error: 'Not found', path: url.pathname }, 404);
+            }
+
+            return await this.handleProcess(this.getProcess(processId), rest, req);
+        } catch (error) {
+            this.log(`Error handling ${url.pathname}: ${error.message}`);
+            return this.json({ error: error.message }, 500);
+        }
+    }
+
+    /**
+     * Route /{processId}/... and /{processId}~process@1.0/... requests
+     */
+    async handleProcess(proc, segments, req) {
+        const [first, second, third] = segments;
+
+        // push&action=...&!
+        if (first && first.startsWith('push&')) {
+            const params = this.parsePushParams(first);
+            const { wallet, headers } = this.resolveWallet(req, params.signed);
+            const results = proc.schedule({
+                ...params.fields,
+                committer: wallet ? wallet.address : null,
+                'block-timestamp': Date.now()
+            });
+
+            this.log(`Slot ${results.slot}: ${params.fields.action || 'unknown'} from ${wallet ? wallet.address.substring(0, 8) + '...' : 'unsigned request'}`);
+            return this.json(results, 200, headers);
+        }
+
+        if (first === 'now') {
+            if (second === 'lenmessages') {
+                return this.json({ body: proc.lenmessages });
+            }
+
+            if (second === 'lenreactions') {
+                return this.json({ body: proc.lenreactions });
+            }
+
+            if (second === 'reactions') {
+                return this.json(proc.reactions);
+            }
+
+            if (second === 'lenedits') {
+                return this.json({ body: proc.lenedits });
+            }
+
+            if (second === 'edits') {
+                return this.json(proc.edits);
+            }
+
+            if (second === 'messages') {
+                const rangeMatch = third && third.match(/^(\d+)-(\d+)$/);
+                if (rangeMatch) {
+                    return this.json(proc.getMessageRange(parseInt(rangeMatch[1]), parseInt(rangeMatch[2])));
+                }
+                if (third && /^\d+$/.test(third)) {
+                    const message = proc.getMessage(parseInt(third));
+                    return message
+                        ? this.json(message)
+                        : this.json({ error: `Message ${third} not found` }, 404);
+                }
+                return this.json(proc.getMessagesTable());
+            }
+
+            return this.json(proc.getState());
+        }
+
+        if (first === 'compute' && second === 'at-slot') {
+            return new Response(String(proc.slot), {
+                headers: { 'Content-Type': 'text/plain' }
+            });
+        }
+
+        if (first === 'slot' && second === 'current') {
+            return this.json({ body: proc.slot });
+        }
+
+        // compute&slot=N/results
+        const computeMatch = first && first.match(/^compute&slot=(\d+)$/);
+        if (computeMatch && second === 'results') {
+            const results = proc.getResults(parseInt(computeMatch[1]));
+            return results
+                ? this.json(results)
+                : this.json({ error: `Slot ${computeMatch[1]} not computed` }, 404);
+        }
+
+        return this.json({ error: 'Not found' }, 404);
+    }
+
+    /**
+     * Route /~secret@1.0/{operation} requests
+     */
+    async handleSecret(operation, req) {
+        const body = await this.readJsonBody(req);
+
+        switch (operation) {
+            case 'generate': {
+                const wallet = this.createWallet();
+                const headers = this.secretHeaders(wallet);
+                this.log(`Generated wallet ${wallet.address.substring(0, 8)}... (${wallet.keyid})`);
+                return this.json({ address: wallet.address }, 200, headers);
+            }
+
+            case 'import': {
+                const wallet = this.createWallet(body.n ? body : null);
+                this.log(`Imported wallet ${wallet.address.substring(0, 8)}...`);
+                return this.json({ address: wallet.address }, 200, this.secretHeaders(wallet));
+            }
+
+            case 'list': {
+                const list = {};
+                Array.from(this.wallets.keys()).forEach((keyid, i) => {
+                    list[i + 1] = keyid;
+                });
+                return this.json(list);
+            }
+
+            case 'export': {
+                const current = this.getRequestWallet(req);
+                const keyids = Array.isArray(body.keyids) ? body.keyids : [];
+                const exported = keyids.filter(keyid => current && current.keyid === keyid);
+
+                if (exported.length === 0) {
+                    return new Response('No wallets found for the given keyids', {
+                        status: 400,
+                        headers: { 'Content-Type': 'text/plain' }
+                    });
+                }
+
+                return this.json(Object.fromEntries(
+                    exported.map(keyid => [keyid, this.wallets.get(keyid).key])
+                ));
+            }
+
+            case 'commit': {
+                // Commits are always signed, so a caller without a secret gets one
+                const { wallet, headers } = this.resolveWallet(req, true);
+                return this.json({
+                    ...body,
+                    committer: wallet.address,
+                    signature: crypto.randomBytes(64).toString('base64url'),
+                    'signature-input': `keyid="${wallet.keyid}"`
+                }, 200, headers);
+            }
+
+            default:
+                return this.json({ error: `Unknown secret operation: ${operation}` }, 404);
+        }
+    }
+
+    /**
+     * Parse `push&action=chat_message&chat=hi&!` into fields
+     */
+    parsePushParams(segment) {
+        const parts = segment.split('&').slice(1);
+        const fields = {};
+        let signed = false;
+
+        parts.forEach(part => {
+            if (part === '!') {
+                signed = true;
+                return;
+            }
+
+            const separator = part.indexOf('=');
+            if (separator === -1) return;
+
+            const key = part.substring(0, separator);
+            const rawValue = part.substring(separator + 1);
+            try {
+                fields[key] = decodeURIComponent(rawValue);
+            } catch (error) {
+                fields[key] = rawValue;
+            }
+        });
+
+        return { fields, signed };
+    }
+
+    /**
+     * Find the caller's wallet from the secret cookie, generating one for &! requests
+     */
+    resolveWallet(req, autoGenerate) {
+        const existing = this.getRequestWallet(req);
+        if (existing || !autoGenerate) {
+            return { wallet: existing, headers: {} };
+        }
+
+        const wallet = this.createWallet();
+        this.log(`Auto-generated wallet ${wallet.address.substring(0, 8)}... for signed request`);
+        return { wallet, headers: this.secretHeaders(wallet) };
+    }
+
+    /**
+     * Look up the wallet referenced by the request's secret cookie
+     */
+    getRequestWallet(req) {
+        const cookieHeader = req.headers.get('cookie') || '';
+        const match = cookieHeader.match(new RegExp(`(?:^|;\\s*)${SECRET_COOKIE}=([^;]+)`));
+        if (!match) return null;
+
+        return this.wallets.get(decodeURIComponent(match[1])) || null;
+    }
+
+    /**
+     * Create a wallet; the address is the SHA-256 of the key modulus like Arweave
+     */
+    createWallet(key = null) {
+        const walletKey = key || {
+            kty: 'RSA',
+            e: 'AQAB',
+            n: crypto.randomBytes(512).toString('base64url'),
+            d: crypto.randomBytes(512).toString('base64url')
+        };
+
+        const address = crypto.createHash('sha256')
+            .update(Buffer.from(walletKey.n, 'base64url'))
+            .digest('base64url');
+        const keyid = `secret:${crypto.createHash('sha256').update(address).digest('base64url')}`;
+
+        const wallet = { address, keyid, key: walletKey };
+        this.wallets.set(keyid, wallet);
+        return wallet;
+    }
+
+    /**
+     * Headers HyperBEAM returns alongside a freshly created secret
+     */
+    secretHeaders(wallet) {
+        return {
+            'Set-Cookie': `${SECRET_COOKIE}=${encodeURIComponent(wallet.keyid)}; Path=/; HttpOnly; SameSite=Lax`,
+            'wallet-address': wallet.address,
+            'signature-input': `keyid="${wallet.keyid}"`
+        };
+    }
+
+    /**
+     * Read a JSON request body, tolerating empty or invalid input
+     */
+    async readJsonBody(req) {
+        if (req.method === 'GET' || req.method === 'HEAD') return {};
+
+        try {
+            const text = await req.text();
+            return text ? JSON.parse(text) : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Build a JSON response
+     */
+    json(data, status = 200, headers = {}) {
+        return new Response(JSON.stringify(data), {
+            status: status,
+            headers: {
+                'Content-Type': 'application/json',
+                ...headers
+            }
+        });
+    }
+}
+
+module.exports = MockHyperBEAMNode;
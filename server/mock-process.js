@@ -0,0 +1,252 @@
+/**
+ * In-Memory AO Chat Process
+ *
+ * Mirrors the Lua chat process documented in HYPERBEAM_E2E_WORKFLOW.md so the
+ * mock node can serve the same state and compute results as a real process.
+ */
+
+class MockChatProcess {
+    constructor(processId) {
+        this.processId = processId;
+        this.slot = 0;
+        this.messages = []; // Lua `messages` table (1-based on the wire)
+        this.reactions = {}; // Lua `reactions` table: message index -> { emoji: [wallet, ...] }
+        this.lenreactions = 0; // Lua `lenreactions`: bumped on every reaction change
+        this.edits = {}; // Lua `edits` table: message index -> { revisions: [{ content, timestamp }], deleted }
+        this.lenedits = 0; // Lua `lenedits`: bumped on every edit or deletion
+        this.results = new Map(); // slot -> compute results
+
+        // Action name -> handler, same names as the Lua Handlers.add calls
+        this.handlers = {
+            chat_message: (msg) => this.handleChatMessage(msg),
+            reaction: (msg) => this.handleReaction(msg),
+            edit_message: (msg) => this.handleEditMessage(msg),
+            delete_message: (msg) => this.handleDeleteMessage(msg),
+            whoami: (msg) => this.handleWhoami(msg)
+        };
+    }
+
+    /**
+     * Equivalent of the Lua `lenmessages` global
+     */
+    get lenmessages() {
+        return this.messages.length;
+    }
+
+    /**
+     * Schedule a pushed message: assign the next slot and run its handler
+     */
+    schedule(msg) {
+        const slot = ++this.slot;
+        const handler = this.handlers[msg.action];
+        const outbox = handler ? handler({ ...msg, slot }) : [];
+
+        const results = {
+            slot: slot,
+            process: this.processId,
+            action: msg.action || null,
+            outbox: outbox
+        };
+
+        this.results.set(slot, results);
+        return results;
+    }
+
+    /**
+     * Handlers.add("chat_message", ...) - append to the messages array
+     */
+    handleChatMessage(msg) {
+        const replyTo = parseInt(msg.reply_to);
+        const newMessage = {
+            content: msg.chat,
+            username: msg.username,
+            wallet_address: this.getWalletAddress(msg),
+            timestamp: this.getTimestamp(msg),
+            nonce: msg.nonce || null,
+            slot: msg.slot,
+            reply_to: this.getMessage(replyTo) ? replyTo : null,
+            mentions: this.getMentions(msg.mentions)
+        };
+
+        this.messages.push(newMessage);
+
+        return [{
+            data: newMessage.content,
+            cache: { ...newMessage },
+            tags: { username: newMessage.username, wallet_address: newMessage.wallet_address }
+        }];
+    }
+
+    /**
+     * Handlers.add("reaction", ...) - add (or with remove=true, take back) the
+     * signer's emoji reaction on message `index`
+     */
+    handleReaction(msg) {
+        const index = parseInt(msg.index);
+        const emoji = msg.emoji;
+        const wallet = this.getWalletAddress(msg);
+        if (!this.getMessage(index) || typeof emoji !== 'string' || emoji === '' || emoji.length > 32 || !wallet) {
+            return [];
+        }
+
+        const byEmoji = this.reactions[index] || {};
+        const reactors = (byEmoji[emoji] || []).filter(reactor => reactor !== wallet);
+        if (msg.remove !== 'true') {
+            reactors.push(wallet);
+        }
+
+        if (reactors.length > 0) {
+            byEmoji[emoji] = reactors;
+        } else {
+            delete byEmoji[emoji];
+        }
+        if (Object.keys(byEmoji).length > 0) {
+            this.reactions[index] = byEmoji;
+        } else {
+            delete this.reactions[index];
+        }
+        this.lenreactions++;
+
+        return [{ cache: { index, emoji, reactors: reactors.length } }];
+    }
+
+    /**
+     * Handlers.add("edit_message", ...) - replace the text of message `index`;
+     * only its author's wallet may, and deleted messages stay deleted
+     */
+    handleEditMessage(msg) {
+        const index = parseInt(msg.index);
+        const entry = this.getEditableEntry(index, msg);
+        if (!entry || typeof msg.chat !== 'string' || msg.chat === '') {
+            return [];
+        }
+
+        entry.revisions.push({ content: msg.chat, timestamp: this.getTimestamp(msg) });
+        this.edits[index] = entry;
+        this.lenedits++;
+
+        return [{ cache: { index, revisions: entry.revisions.length } }];
+    }
+
+    /**
+     * Handlers.add("delete_message", ...) - tombstone message `index`. The
+     * message itself stays in `messages` (append-only); its edits are dropped.
+     */
+    handleDeleteMessage(msg) {
+        const index = parseInt(msg.index);
+        const entry = this.getEditableEntry(index, msg);
+        if (!entry) {
+            return [];
+        }
+
+        this.edits[index] = { revisions: [], deleted: this.getTimestamp(msg) };
+        this.lenedits++;
+
+        return [{ cache: { index, deleted: true } }];
+    }
+
+    /**
+     * Edits entry for a message the signer wrote and hasn't deleted, or null
+     */
+    getEditableEntry(index, msg) {
+        const target = this.getMessage(index);
+        const wallet = this.getWalletAddress(msg);
+        if (!target || !wallet || target.wallet_address !== wallet) {
+            return null;
+        }
+
+        const entry = this.edits[index] || { revisions: [], deleted: null };
+        return entry.deleted ? null : entry;
+    }
+
+    /**
+     * Handlers.add("whoami", ...) - reply with the signer's wallet address
+     */
+    handleWhoami(msg) {
+        return [{
+            wallet_address: this.getWalletAddress(msg),
+            cache: { wallet_address: this.getWalletAddress(msg) }
+        }];
+    }
+
+    /**
+     * Address of the wallet that signed the push, like the Lua getWalletAddress
+     * helper. Never the wallet_address param: any client can set that, so
+     * unsigned pushes have no wallet and can't react, edit or delete.
+     */
+    getWalletAddress(msg) {
+        return msg.committer || null;
+    }
+
+    /**
+     * Like the Lua getTimestamp helper: the scheduler's block-timestamp, and the
+     * client's timestamp param only when there is none
+     */
+    getTimestamp(msg) {
+        return msg['block-timestamp'] || msg.timestamp;
+    }
+
+    /**
+     * Comma-separated wallet addresses from a chat_message's mentions param,
+     * keeping well-formed ones only; null if there are none
+     */
+    getMentions(mentions) {
+        const wallets = typeof mentions === 'string'
+            ? mentions.split(',').filter(wallet => /^[a-zA-Z0-9_-]{43}$/.test(wallet)).slice(0, 10)
+            : [];
+        return wallets.length > 0 ? wallets.join(',') : null;
+    }
+
+    /**
+     * Get a single message by its 1-based index
+     */
+    getMessage(index) {
+        return this.messages[index - 1] || null;
+    }
+
+    /**
+     * Get messages from..to (inclusive) keyed by 1-based index, for the range endpoint
+     */
+    getMessageRange(from, to) {
+        const table = {};
+        for (let index = Math.max(1, from); index <= Math.min(to, this.messages.length); index++) {
+            table[index] = this.messages[index - 1];
+        }
+        return table;
+    }
+
+    /**
+     * Get the full messages table keyed by 1-based index
+     */
+    getMessagesTable() {
+        const table = {};
+        this.messages.forEach((message, i) => {
+            table[i + 1] = message;
+        });
+        return table;
+    }
+
+    /**
+     * Get compute results for a slot
+     */
+    getResults(slot) {
+        return this.results.get(slot) || null;
+    }
+
+    /**
+     * Get the process state as served by /now
+     */
+    getState() {
+        return {
+            messages: this.getMessagesTable(),
+            lenmessages: this.lenmessages,
+            reactions: this.reactions,
+            lenreactions: this.lenreactions,
+            edits: this.edits,
+            lenedits: this.lenedits,
+            'at-slot': this.slot
+        };
+    }
+}
+
+module.exports = MockChatProcess;
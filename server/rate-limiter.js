@@ -0,0 +1,182 @@
+/**
+ * Push Rate Limiter
+ *
+ * Token buckets for /push requests, one per client IP and one per wallet
+ * (the `secret` cookie's keyid; pushes without one only use the IP bucket,
+ * since any client can claim a `wallet_address`). Each bucket
+ * holds `burst` tokens and refills at `perMinute`. Also rejects pushes whose
+ * decoded parameters exceed `maxBytes`. A limit of 0 disables that check (a
+ * burst of 0 disables both buckets).
+ *
+ * A push is any path with a /push segment, the same test the upstream pool uses
+ * to avoid replaying them: /{pid}/push&..., /{pid}~process@1.0/push&... or
+ * /{pid}/push?....
+ */
+
+const PUSH_PATTERN = /\/push(?:[&/?]|$)/;
+const SECRET_COOKIE_PATTERN = /(?:^|;\s*)secret=([^;]+)/;
+const PRUNE_INTERVAL = 60000;
+
+class PushRateLimiter {
+    constructor(options = {}) {
+        this.ipPerMinute = options.ipPerMinute !== undefined ? options.ipPerMinute : 30;
+        this.walletPerMinute = options.walletPerMinute !== undefined ? options.walletPerMinute : 20;
+        this.burst = options.burst !== undefined ? options.burst : 10;
+        this.maxBytes = options.maxBytes !== undefined ? options.maxBytes : 8192;
+        this.log = options.log || ((...args) => console.log('[RateLimit]', ...args));
+
+        this.buckets = {
+            ip: new Map(), // ip -> { tokens, updatedAt }
+            wallet: new Map() // secret keyid -> { tokens, updatedAt }
+        };
+        this.rejected = { ip: 0, wallet: 0, size: 0 };
+
+        // Full buckets carry no state, so drop them to bound memory
+        this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL);
+        if (this.pruneTimer.unref) this.pruneTimer.unref();
+    }
+
+    /**
+     * Whether a proxied path pushes to a process (the query string doesn't count)
+     */
+    static isPush(requestPath) {
+        return PUSH_PATTERN.test(requestPath.split('?')[0]);
+    }
+
+    /**
+     * Parse a push path; returns { processId, fields } or null. Fields come from
+     * the push segment (up to the next "/", e.g. &!/serialize~json@1.0) and the query string
+     */
+    parsePush(requestPath) {
+        if (!PushRateLimiter.isPush(requestPath)) return null;
+
+        const queryStart = requestPath.indexOf('?');
+        const pathPart = queryStart === -1 ? requestPath : requestPath.substring(0, queryStart);
+        const query = queryStart === -1 ? '' : requestPath.substring(queryStart + 1);
+        const params = pathPart.substring(pathPart.search(PUSH_PATTERN) + '/push'.length).split('/')[0];
+
+        const fields = {};
+        `${params}&${query}`.split('&').forEach(part => {
+            const separator = part.indexOf('=');
+            if (separator === -1) return;
+
+            const rawValue = part.substring(separator + 1);
+            try {
+                fields[part.substring(0, separator)] = decodeURIComponent(rawValue);
+            } catch (error) {
+                fields[part.substring(0, separator)] = rawValue;
+            }
+        });
+
+        return { processId: pathPart.substring(1).split(/[/~]/)[0], fields };
+    }
+
+    /**
+     * Check a push against the size limit and both buckets
+     * Returns null when allowed, otherwise { status, reason, error, retryAfter }
+     */
+    check({ ip, cookie, requestPath, body = '' }) {
+        const push = this.parsePush(requestPath);
+        if (!push) return null;
+
+        const size = Buffer.byteLength(Object.values(push.fields).join('')) + Buffer.byteLength(body || '');
+        if (this.maxBytes > 0 && size > this.maxBytes) {
+            this.rejected.size++;
+            return {
+                status: 413,
+                reason: 'size',
+                error: `Message too large (${size} bytes, max ${this.maxBytes})`,
+                retryAfter: null
+            };
+        }
+
+        const walletKey = this.getWalletKey(cookie);
+        const checks = [
+            ['ip', ip, this.ipPerMinute],
+            ['wallet', walletKey, this.walletPerMinute]
+        ].filter(([, key, perMinute]) => key && perMinute > 0 && this.burst > 0);
+
+        // Both buckets must have a token before either is spent
+        for (const [kind, key, perMinute] of checks) {
+            const bucket = this.refill(kind, key, perMinute);
+            if (bucket.tokens < 1) {
+                this.rejected[kind]++;
+                const retryAfter = Math.ceil((1 - bucket.tokens) * 60 / perMinute);
+                this.log(`Rejected push from ${kind} ${String(key).substring(0, 12)}... (retry in ${retryAfter}s)`);
+                return {
+                    status: 429,
+                    reason: kind,
+                    error: kind === 'ip'
+                        ? `Too many messages from this address, limit is ${perMinute} per minute`
+                        : `Too many messages from this wallet, limit is ${perMinute} per minute`,
+                    retryAfter
+                };
+            }
+        }
+
+        checks.forEach(([kind, key]) => {
+            this.buckets[kind].get(key).tokens -= 1;
+        });
+        return null;
+    }
+
+    /**
+     * Identify the wallet by the secret cookie keyid that signs the push, never
+     * by the declared `wallet_address`; null when there is no cookie
+     */
+    getWalletKey(cookie) {
+        const match = (cookie || '').match(SECRET_COOKIE_PATTERN);
+        return match ? `secret:${match[1]}` : null;
+    }
+
+    /**
+     * Top up a bucket for the time elapsed since it was last touched
+     */
+    refill(kind, key, perMinute) {
+        const now = Date.now();
+        let bucket = this.buckets[kind].get(key);
+
+        if (!bucket) {
+            bucket = { tokens: this.burst, updatedAt: now };
+            this.buckets[kind].set(key, bucket);
+            return bucket;
+        }
+
+        const elapsedMinutes = (now - bucket.updatedAt) / 60000;
+        bucket.tokens = Math.min(this.burst, bucket.tokens + elapsedMinutes * perMinute);
+        bucket.updatedAt = now;
+        return bucket;
+    }
+
+    /**
+     * Remove buckets that have refilled completely
+     */
+    prune() {
+        [['ip', this.ipPerMinute], ['wallet', this.walletPerMinute]].forEach(([kind, perMinute]) => {
+            for (const key of Array.from(this.buckets[kind].keys())) {
+                if (this.refill(kind, key, perMinute).tokens >= this.burst) {
+                    this.buckets[kind].delete(key);
+                }
+            }
+        });
+    }
+
+    /**
+     * Limits, rejection counters and tracked bucket counts
+     */
+    getStats() {
+        return {
+            limits: {
+                ipPerMinute: this.ipPerMinute,
+                walletPerMinute: this.walletPerMinute,
+                burst: this.burst,
+                maxBytes: this.maxBytes
+            },
+            rejected: { ...this.rejected },
+            trackedIps: this.buckets.ip.size,
+            trackedWallets: this.buckets.wallet.size
+        };
+    }
+}
+
+module.exports = PushRateLimiter;
@@ -0,0 +1,335 @@
+/**
+ * HyperBEAM Response Cache
+ *
+ * Caches proxied reads that never change once written: individual messages
+ * (/now/messages/N) and compute results for slots before the current one.
+ * Message, reaction and edit counts are cached per slot and dropped when the
+ * slot advances. The reactions and edits tables change in place, so they aren't cached.
+ * Only GET requests are cached. Immutable entries can optionally be persisted to a
+ * directory on disk, one subdirectory per process; those outlive the process state
+ * they came from, so they are only served once this run has seen the process's
+ * slot (see isCurrent).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MESSAGE_PATTERN = /^\/([a-zA-Z0-9_-]{43})\/now\/messages\/(\d+)\//;
+const SLOT_RESULTS_PATTERN = /^\/([a-zA-Z0-9_-]{43})~process@1\.0\/compute&slot=(\d+)\/results\//;
+const MESSAGE_COUNT_PATTERN = /^\/([a-zA-Z0-9_-]{43})\/now\/len(messages|reactions|edits)\//;
+const AT_SLOT_PATTERN = /^\/([a-zA-Z0-9_-]{43})\/compute\/at-slot/;
+const CURRENT_SLOT_PATTERN = /^\/([a-zA-Z0-9_-]{43})~process@1\.0\/slot\/current\//;
+const PUSH_PATTERN = /^\/([a-zA-Z0-9_-]{43})(?:~process@1\.0)?\/push(?:[&/?]|$)/;
+const SLOTS_FILE = 'slots.json';
+
+class ResponseCache {
+    constructor(options = {}) {
+        this.entries = new Map(); // key -> { status, contentType, body, node, processId, slotScoped, slot }
+        this.knownSlots = new Map(); // processId -> highest slot seen through the proxy
+        this.observedProcesses = new Set(); // processes whose slot was seen since startup
+        this.maxEntries = options.maxEntries || 5000;
+        this.cacheDir = options.cacheDir || null;
+        this.log = options.log || ((...args) => console.log('[Cache]', ...args));
+
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            diskHits: 0,
+            stores: 0,
+            invalidations: 0,
+            evictions: 0
+        };
+
+        if (this.cacheDir) {
+            fs.mkdirSync(this.cacheDir, { recursive: true });
+            this.loadKnownSlots();
+        }
+    }
+
+    /**
+     * Decide how a proxied request may be cached
+     * Returns { processId, immutable, slotScoped, slot } or null
+     */
+    classify(requestPath, method = 'GET') {
+        if (method !== 'GET') return null;
+
+        let match = requestPath.match(MESSAGE_PATTERN);
+        if (match) {
+            // The slot it was read at, so a disk copy can be checked against the process later
+            const slot = this.knownSlots.get(match[1]);
+            return { processId: match[1], immutable: true, slotScoped: false, slot };
+        }
+
+        match = requestPath.match(SLOT_RESULTS_PATTERN);
+        if (match) {
+            const slot = parseInt(match[2]);
+            const currentSlot = this.knownSlots.get(match[1]);
+            // Only past slots are final; the current slot may still be computing
+            if (currentSlot !== undefined && slot < currentSlot) {
+                return { processId: match[1], immutable: true, slotScoped: false, slot };
+            }
+            return null;
+        }
+
+        match = requestPath.match(MESSAGE_COUNT_PATTERN);
+        if (match && this.knownSlots.has(match[1])) {
+            return { processId: match[1], immutable: false, slotScoped: true, slot: this.knownSlots.get(match[1]) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Look up a cached response for a request
+     */
+    get(requestPath, method = 'GET') {
+        const policy = this.classify(requestPath, method);
+        if (!policy) return null;
+
+        let entry = this.entries.get(requestPath);
+        if (!entry && policy.immutable) {
+            entry = this.readFromDisk(requestPath, policy.processId);
+            if (entry && !this.isCurrent(entry)) {
+                entry = null;
+            }
+            if (entry) {
+                this.stats.diskHits++;
+                this.setEntry(requestPath, entry);
+            }
+        }
+
+        if (!entry) {
+            this.stats.misses++;
+            return null;
+        }
+
+        // Refresh LRU position
+        this.entries.delete(requestPath);
+        this.entries.set(requestPath, entry);
+        this.stats.hits++;
+        return entry;
+    }
+
+    /**
+     * Store a successful upstream response body for a request
+     */
+    set(requestPath, { status, contentType, body, node }, method = 'GET') {
+        const policy = this.classify(requestPath, method);
+        if (!policy || status !== 200) return false;
+
+        const entry = {
+            status,
+            contentType,
+            body,
+            node,
+            processId: policy.processId,
+            slotScoped: policy.slotScoped,
+            slot: policy.slot !== undefined ? policy.slot : null
+        };
+
+        this.setEntry(requestPath, entry);
+        this.stats.stores++;
+
+        if (policy.immutable) {
+            this.writeToDisk(requestPath, entry);
+        }
+        return true;
+    }
+
+    /**
+     * Insert an entry, evicting the least recently used one when full
+     */
+    setEntry(key, entry) {
+        this.entries.set(key, entry);
+
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+            this.stats.evictions++;
+        }
+    }
+
+    /**
+     * Inspect a passing response for slot information and invalidate on change
+     */
+    observe(requestPath, body) {
+        let match = requestPath.match(AT_SLOT_PATTERN);
+        if (match) {
+            this.noteSlot(match[1], parseInt(String(body).trim()));
+            return;
+        }
+
+        match = requestPath.match(CURRENT_SLOT_PATTERN);
+        if (match) {
+            try {
+                const data = JSON.parse(body);
+                this.noteSlot(match[1], parseInt(data.body !== undefined ? data.body : data));
+            } catch (error) {
+                this.noteSlot(match[1], parseInt(String(body).trim()));
+            }
+            return;
+        }
+
+        // A push schedules a new slot, so anything slot-scoped is stale
+        match = requestPath.match(PUSH_PATTERN);
+        if (match) {
+            this.invalidateSlotScoped(match[1]);
+        }
+    }
+
+    /**
+     * Whether a path's response should be passed to observe()
+     */
+    isObserved(requestPath) {
+        return AT_SLOT_PATTERN.test(requestPath) ||
+            CURRENT_SLOT_PATTERN.test(requestPath) ||
+            PUSH_PATTERN.test(requestPath);
+    }
+
+    /**
+     * Record a process slot; advancement drops slot-scoped entries,
+     * a slot going backwards means the process was reset and drops everything
+     */
+    noteSlot(processId, slot) {
+        if (isNaN(slot)) return;
+
+        this.observedProcesses.add(processId);
+        const previous = this.knownSlots.get(processId);
+        if (slot === previous) return;
+
+        this.knownSlots.set(processId, slot);
+        this.saveKnownSlots();
+
+        if (previous === undefined) return;
+
+        if (slot < previous) {
+            this.log(`Slot for ${processId.substring(0, 6)}... went backwards (${previous} → ${slot}), clearing its entries`);
+            this.invalidateProcess(processId);
+        } else {
+            this.invalidateSlotScoped(processId);
+        }
+    }
+
+    /**
+     * Drop entries that are only valid for a single slot
+     */
+    invalidateSlotScoped(processId) {
+        for (const [key, entry] of this.entries) {
+            if (entry.processId === processId && entry.slotScoped) {
+                this.entries.delete(key);
+                this.stats.invalidations++;
+            }
+        }
+    }
+
+    /**
+     * Drop every entry for a process. Its disk copies are removed in the
+     * background; until then they fail isCurrent, having been written at a
+     * later slot than the process has now.
+     */
+    invalidateProcess(processId) {
+        for (const [key, entry] of this.entries) {
+            if (entry.processId === processId) {
+                this.entries.delete(key);
+                this.stats.invalidations++;
+            }
+        }
+
+        if (!this.cacheDir) return Promise.resolve();
+
+        return fs.promises.rm(this.processDir(processId), { recursive: true, force: true })
+            .catch(error => this.log(`Failed to remove disk entries: ${error.message}`));
+    }
+
+    /**
+     * Whether a disk entry still matches its process. A reset is only noticed
+     * when noteSlot sees the slot go backwards, so entries wait for the first
+     * slot seen since startup, and one written at a later slot than the
+     * process has now is from before a reset.
+     */
+    isCurrent(entry) {
+        const slot = this.knownSlots.get(entry.processId);
+        return this.observedProcesses.has(entry.processId) &&
+            typeof entry.slot === 'number' && slot !== undefined && entry.slot <= slot;
+    }
+
+    /**
+     * Disk directory for a process's entries
+     */
+    processDir(processId) {
+        return path.join(this.cacheDir, processId);
+    }
+
+    /**
+     * Disk file for a cache key
+     */
+    diskPath(key, processId) {
+        const hash = crypto.createHash('sha256').update(key).digest('hex');
+        return path.join(this.processDir(processId), `${hash}.json`);
+    }
+
+    /**
+     * Read a persisted entry, verifying the stored key against hash collisions
+     */
+    readFromDisk(key, processId) {
+        if (!this.cacheDir) return null;
+
+        try {
+            const stored = JSON.parse(fs.readFileSync(this.diskPath(key, processId), 'utf8'));
+            return stored.key === key ? stored.entry : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Persist an immutable entry without blocking the response
+     */
+    writeToDisk(key, entry) {
+        if (!this.cacheDir) return;
+
+        fs.promises.mkdir(this.processDir(entry.processId), { recursive: true })
+            .then(() => fs.promises.writeFile(this.diskPath(key, entry.processId), JSON.stringify({ key, entry })))
+            .catch(error => this.log(`Failed to persist entry: ${error.message}`));
+    }
+
+    /**
+     * Restore known slots so a process reset across restarts is still detected
+     */
+    loadKnownSlots() {
+        try {
+            const stored = JSON.parse(fs.readFileSync(path.join(this.cacheDir, SLOTS_FILE), 'utf8'));
+            Object.entries(stored).forEach(([processId, slot]) => this.knownSlots.set(processId, slot));
+        } catch (error) {
+            // No slots recorded yet
+        }
+    }
+
+    /**
+     * Persist known slots alongside the disk entries
+     */
+    saveKnownSlots() {
+        if (!this.cacheDir) return;
+
+        fs.promises.writeFile(path.join(this.cacheDir, SLOTS_FILE), JSON.stringify(Object.fromEntries(this.knownSlots)))
+            .catch(error => this.log(`Failed to persist known slots: ${error.message}`));
+    }
+
+    /**
+     * Hit/miss counters and sizes
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            hitRate: lookups > 0 ? (this.stats.hits / lookups * 100).toFixed(2) + '%' : '0%',
+            entries: this.entries.size,
+            maxEntries: this.maxEntries,
+            diskStore: this.cacheDir,
+            knownSlots: Object.fromEntries(this.knownSlots)
+        };
+    }
+}
+
+module.exports = ResponseCache;
@@ -0,0 +1,226 @@
+/**
+ * Runtime Configuration
+ *
+ * Settings the browser's CONFIG is hydrated from at startup via /api/config.
+ * Each setting is resolved from, in order: a --set flag (or its dedicated
+ * flag), its HYPERBEAM_* environment variable, the JSON config file, and the
+ * schema default. Values are validated against SCHEMA when the server starts,
+ * so a bad setting fails fast instead of reaching the browser.
+ *
+ * Setting names are dotted camelCase (`timing.messagePollInterval`); the
+ * environment variable is derived from the name (`HYPERBEAM_TIMING_MESSAGE_POLL_INTERVAL`)
+ * and the file nests on the dots ({ "timing": { "messagePollInterval": 3000 } }).
+ */
+
+const fs = require('fs');
+
+const PROCESS_ID_PATTERN = /^[a-zA-Z0-9_-]{43}$/;
+const DEFAULT_CONFIG_FILE = './hyperbeam.config.json';
+
+// `path` is the CONFIG property the value is written to; defaults mirror config.js
+const SCHEMA = {
+    processId: { path: 'PROCESS_ID', type: 'string', pattern: PROCESS_ID_PATTERN, default: '2gTTMIrA8Z2DsHRxsUHmWYGiI-RuK025IW6_H1pVvbQ' },
+    backupNodes: { path: 'BACKUP_NODES', type: 'urlList', default: [] },
+    'timing.messagePollInterval': { path: 'TIMING.MESSAGE_POLL_INTERVAL', type: 'integer', min: 500, default: 2000 },
+    'timing.slotPollInterval': { path: 'TIMING.SLOT_POLL_INTERVAL', type: 'integer', min: 500, default: 2000 },
+    'timing.statsUpdateInterval': { path: 'TIMING.STATS_UPDATE_INTERVAL', type: 'integer', min: 1000, default: 5000 },
+    'timing.healthCheckInterval': { path: 'TIMING.HEALTH_CHECK_INTERVAL', type: 'integer', min: 5000, default: 30000 },
+    'timing.backgroundPollInterval': { path: 'TIMING.BACKGROUND_POLL_INTERVAL', type: 'integer', min: 2000, default: 15000 },
+    'timing.confirmationTimeout': { path: 'TIMING.CONFIRMATION_TIMEOUT', type: 'integer', min: 2000, default: 15000 },
+    'messages.maxMessageLength': { path: 'MESSAGES.MAX_MESSAGE_LENGTH', type: 'integer', min: 1, max: 10000, default: 1000 },
+    'messages.historyPageSize': { path: 'MESSAGES.HISTORY_PAGE_SIZE', type: 'integer', min: 10, max: 500, default: 50 },
+    'messages.maxLoadedMessages': { path: 'MESSAGES.MAX_LOADED_MESSAGES', type: 'integer', min: 200, max: 5000, default: 500 },
+    'realtime.transport': { path: 'REALTIME.TRANSPORT', type: 'string', enum: ['websocket', 'http'], default: 'websocket' },
+    'realtime.useEventStream': { path: 'REALTIME.USE_EVENT_STREAM', type: 'boolean', default: true },
+    'localCache.enabled': { path: 'LOCAL_CACHE.ENABLED', type: 'boolean', default: true },
+    'localCache.maxMessagesPerRoom': { path: 'LOCAL_CACHE.MAX_MESSAGES_PER_ROOM', type: 'integer', min: 100, max: 100000, default: 5000 },
+    'localCache.maxAgeDays': { path: 'LOCAL_CACHE.MAX_AGE_DAYS', type: 'integer', min: 1, max: 365, default: 30 },
+    'outbox.retryBaseDelay': { path: 'OUTBOX.RETRY_BASE_DELAY', type: 'integer', min: 500, max: 60000, default: 2000 },
+    'outbox.maxRetryDelay': { path: 'OUTBOX.MAX_RETRY_DELAY', type: 'integer', min: 1000, max: 3600000, default: 60000 },
+    'outbox.maxAttempts': { path: 'OUTBOX.MAX_ATTEMPTS', type: 'integer', min: 1, max: 100, default: 8 },
+    'fetch.concurrency': { path: 'FETCH.CONCURRENCY', type: 'integer', min: 1, max: 32, default: 6 },
+    'fetch.maxRetries': { path: 'FETCH.MAX_RETRIES', type: 'integer', min: 0, max: 10, default: 3 },
+    'fetch.maxIndexAttempts': { path: 'FETCH.MAX_INDEX_ATTEMPTS', type: 'integer', min: 1, max: 100, default: 5 },
+    'fetch.rangeEndpoint': { path: 'FETCH.RANGE_ENDPOINT', type: 'boolean', default: false },
+    'ui.showTimestamps': { path: 'UI.SHOW_TIMESTAMPS', type: 'boolean', default: true },
+    'ui.autoScroll': { path: 'UI.AUTO_SCROLL', type: 'boolean', default: true },
+    'ui.showSlotInfo': { path: 'UI.SHOW_SLOT_INFO', type: 'boolean', default: true },
+    'ui.showPerformanceMetrics': { path: 'UI.SHOW_PERFORMANCE_METRICS', type: 'boolean', default: true },
+    'ui.enableSound': { path: 'UI.ENABLE_SOUND', type: 'boolean', default: false }
+};
+
+class RuntimeConfig {
+    /**
+     * @param {Object} options - { flags: { name: rawValue }, env, configFile, log }
+     */
+    constructor(options = {}) {
+        this.flags = options.flags || {};
+        this.env = options.env || process.env;
+        this.configFile = options.configFile || this.env.HYPERBEAM_CONFIG_FILE || null;
+        this.log = options.log || ((...args) => console.log('[Config]', ...args));
+
+        this.values = {}; // setting name -> value
+        this.sources = {}; // setting name -> 'flag' | 'env' | 'file' | 'default'
+    }
+
+    /**
+     * Resolve and validate every setting; throws on the first invalid value
+     */
+    load() {
+        const unknownFlags = Object.keys(this.flags).filter(name => !SCHEMA[name]);
+        if (unknownFlags.length > 0) {
+            throw new Error(`Unknown setting: ${unknownFlags.join(', ')} (known: ${Object.keys(SCHEMA).join(', ')})`);
+        }
+
+        const fileValues = this.readConfigFile();
+
+        for (const [name, setting] of Object.entries(SCHEMA)) {
+            const envName = this.getEnvName(name);
+            let source = 'default';
+            let value = setting.default;
+
+            if (this.flags[name] !== undefined) {
+                source = 'flag';
+                value = this.parse(name, setting, this.flags[name]);
+            } else if (this.env[envName] !== undefined && this.env[envName] !== '') {
+                source = 'env';
+                value = this.parse(name, setting, this.env[envName]);
+            } else if (fileValues[name] !== undefined) {
+                source = 'file';
+                value = fileValues[name];
+            }
+
+            this.validate(name, setting, value, source === 'env' ? envName : source);
+            this.values[name] = value;
+            this.sources[name] = source;
+        }
+
+        return this;
+    }
+
+    /**
+     * Flatten the JSON config file into { 'timing.messagePollInterval': 3000, ... }
+     */
+    readConfigFile() {
+        const filePath = this.configFile || DEFAULT_CONFIG_FILE;
+        if (!fs.existsSync(filePath)) {
+            if (this.configFile) {
+                throw new Error(`Config file not found: ${filePath}`);
+            }
+            return {};
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Config file ${filePath} is not valid JSON: ${error.message}`);
+        }
+
+        const flattened = {};
+        const flatten = (object, prefix) => {
+            for (const [key, value] of Object.entries(object)) {
+                const name = prefix ? `${prefix}.${key}` : key;
+                if (SCHEMA[name]) {
+                    flattened[name] = value;
+                } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+                    flatten(value, name);
+                } else {
+                    this.log(`Ignoring unknown setting "${name}" in ${filePath}`);
+                }
+            }
+        };
+        flatten(parsed, '');
+
+        this.configFile = filePath;
+        return flattened;
+    }
+
+    /**
+     * timing.messagePollInterval -> HYPERBEAM_TIMING_MESSAGE_POLL_INTERVAL
+     */
+    getEnvName(name) {
+        return `HYPERBEAM_${name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/\./g, '_').toUpperCase()}`;
+    }
+
+    /**
+     * Convert a string from a flag or env var to the setting's type
+     */
+    parse(name, setting, raw) {
+        switch (setting.type) {
+            case 'integer':
+                return /^-?\d+$/.test(String(raw).trim()) ? parseInt(raw, 10) : raw;
+            case 'boolean':
+                if (['1', 'true', 'yes', 'on'].includes(String(raw).toLowerCase())) return true;
+                if (['0', 'false', 'no', 'off'].includes(String(raw).toLowerCase())) return false;
+                return raw;
+            case 'urlList':
+                return String(raw).split(',').map(item => item.trim()).filter(Boolean);
+            default:
+                return String(raw);
+        }
+    }
+
+    /**
+     * Check a value against its schema entry
+     */
+    validate(name, setting, value, source) {
+        const fail = (reason) => {
+            throw new Error(`Invalid setting ${name} from ${source}: ${reason} (got ${JSON.stringify(value)})`);
+        };
+
+        switch (setting.type) {
+            case 'integer':
+                if (!Number.isInteger(value)) fail('expected an integer');
+                if (setting.min !== undefined && value < setting.min) fail(`must be at least ${setting.min}`);
+                if (setting.max !== undefined && value > setting.max) fail(`must be at most ${setting.max}`);
+                break;
+            case 'boolean':
+                if (typeof value !== 'boolean') fail('expected true or false');
+                break;
+            case 'urlList':
+                if (!Array.isArray(value)) fail('expected a list of URLs');
+                value.forEach(item => {
+                    if (typeof item !== 'string' || !/^https?:\/\/[^\s/]+/.test(item)) fail(`"${item}" is not an http(s) URL`);
+                });
+                break;
+            default:
+                if (typeof value !== 'string') fail('expected a string');
+                if (setting.pattern && !setting.pattern.test(value)) fail(`must match ${setting.pattern}`);
+                if (setting.enum && !setting.enum.includes(value)) fail(`must be one of ${setting.enum.join(', ')}`);
+        }
+    }
+
+    /**
+     * Resolved value of a setting
+     */
+    get(name) {
+        return this.values[name];
+    }
+
+    /**
+     * Body for /api/config: values keyed by CONFIG path, plus where each came from
+     */
+    toJSON() {
+        const settings = {};
+        const sources = {};
+        for (const [name, setting] of Object.entries(SCHEMA)) {
+            settings[setting.path] = this.values[name];
+            sources[setting.path] = this.sources[name];
+        }
+        return { version: 1, settings, sources };
+    }
+
+    /**
+     * Settings that differ from their defaults, for the startup log
+     */
+    describeOverrides() {
+        return Object.keys(SCHEMA)
+            .filter(name => this.sources[name] !== 'default')
+            .map(name => `${name} (${this.sources[name]})`);
+    }
+}
+
+RuntimeConfig.SCHEMA = SCHEMA;
+
+module.exports = RuntimeConfig;
@@ -0,0 +1,144 @@
+/**
+ * Static Assets
+ *
+ * Serves the production build in dist/ (see build.js) from memory. Hashed files
+ * under assets/ are cached by browsers for a year; everything else, including
+ * index.html, is revalidated with its ETag. Responses are brotli or gzip
+ * encoded when the client accepts it, using the build's precompressed copies.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+const COMPRESSIBLE_EXTENSIONS = ['.html', '.js', '.css', '.json', '.svg'];
+const IMMUTABLE_CACHE = 'public, max-age=31536000, immutable';
+const REVALIDATE_CACHE = 'no-cache';
+
+class StaticAssets {
+    /**
+     * @param {string} distDir - build output directory
+     */
+    constructor(distDir, options = {}) {
+        this.distDir = distDir;
+        this.files = new Map(); // url path -> { contentType, cacheControl, variants: { identity, gzip, br } }
+        this.manifest = null;
+        this.log = options.log || ((...args) => console.log('[Assets]', ...args));
+    }
+
+    /**
+     * Load the build into memory; returns false when there is no build
+     */
+    load() {
+        const manifestPath = path.join(this.distDir, 'manifest.json');
+        if (!fs.existsSync(manifestPath)) {
+            return false;
+        }
+
+        this.manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        this.files.clear();
+
+        for (const relativePath of this.listFiles(this.distDir)) {
+            const extension = path.extname(relativePath);
+            if (extension === '.gz' || extension === '.br' || relativePath === 'manifest.json') continue;
+
+            const content = fs.readFileSync(path.join(this.distDir, relativePath));
+            this.files.set(`/${relativePath.split(path.sep).join('/')}`, {
+                contentType: CONTENT_TYPES[extension] || 'application/octet-stream',
+                cacheControl: relativePath.startsWith(`assets${path.sep}`) ? IMMUTABLE_CACHE : REVALIDATE_CACHE,
+                variants: this.getVariants(path.join(this.distDir, relativePath), extension, content)
+            });
+        }
+
+        this.log(`Loaded ${this.files.size} files from ${this.distDir} (built ${this.manifest.builtAt})`);
+        return true;
+    }
+
+    /**
+     * Every file under a directory, as paths relative to it
+     */
+    listFiles(dir, prefix = '') {
+        return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => entry.isDirectory()
+            ? this.listFiles(path.join(dir, entry.name), path.join(prefix, entry.name))
+            : [path.join(prefix, entry.name)]);
+    }
+
+    /**
+     * Identity, gzip and brotli bodies with their ETags
+     */
+    getVariants(filePath, extension, content) {
+        const etag = crypto.createHash('sha256').update(content).digest('base64url').substring(0, 16);
+        const variants = { identity: { body: content, etag: `"${etag}"` } };
+
+        if (!COMPRESSIBLE_EXTENSIONS.includes(extension)) {
+            return variants;
+        }
+
+        const readOr = (suffix, compress) => fs.existsSync(`${filePath}${suffix}`)
+            ? fs.readFileSync(`${filePath}${suffix}`)
+            : compress(content);
+
+        variants.br = { body: readOr('.br', zlib.brotliCompressSync), etag: `"${etag}-br"` };
+        variants.gzip = { body: readOr('.gz', zlib.gzipSync), etag: `"${etag}-gz"` };
+        return variants;
+    }
+
+    /**
+     * Pick the best encoding the client accepts
+     */
+    negotiate(req, variants) {
+        const accepted = (req.headers.get('accept-encoding') || '')
+            .split(',')
+            .map(part => part.trim().split(';'))
+            .filter(([, quality]) => !quality || parseFloat(quality.split('=')[1]) > 0)
+            .map(([encoding]) => encoding.toLowerCase());
+
+        if (variants.br && accepted.includes('br')) return 'br';
+        if (variants.gzip && accepted.includes('gzip')) return 'gzip';
+        return 'identity';
+    }
+
+    /**
+     * Respond with a built file, or return null if the path isn't in the build
+     */
+    serve(req, pathname, headers = {}) {
+        const file = this.files.get(pathname === '/' ? '/index.html' : pathname);
+        if (!file) {
+            return null;
+        }
+
+        const encoding = this.negotiate(req, file.variants);
+        const variant = file.variants[encoding];
+        const responseHeaders = {
+            ...headers,
+            'Content-Type': file.contentType,
+            'Cache-Control': file.cacheControl,
+            'ETag': variant.etag,
+            'Vary': [headers['Vary'], 'Accept-Encoding'].filter(Boolean).join(', ')
+        };
+        if (encoding !== 'identity') {
+            responseHeaders['Content-Encoding'] = encoding;
+        }
+
+        const ifNoneMatch = req.headers.get('if-none-match') || '';
+        const matches = ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+        if (matches.includes(variant.etag) || matches.includes('*')) {
+            return new Response(null, { status: 304, headers: responseHeaders });
+        }
+
+        return new Response(req.method === 'HEAD' ? null : variant.body, { headers: responseHeaders });
+    }
+}
+
+module.exports = StaticAssets;
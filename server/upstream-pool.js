@@ -0,0 +1,215 @@
+/**
+ * HyperBEAM Upstream Pool
+ *
+ * Ordered list of HyperBEAM nodes behind the /api/hyperbeam proxy. Requests go
+ * to the first healthy node and fail over to the next one on connection errors
+ * or gateway-style responses. A background health check revives nodes.
+ *
+ * Pushes aren't idempotent: one that timed out or got a gateway error may still
+ * have been scheduled, so it only moves on to the next node when the connection
+ * to the first was never made.
+ */
+
+const PushRateLimiter = require('./rate-limiter');
+
+const HEALTH_PATH = '/~meta@1.0/health/~json@1.0/serialize';
+const FAILOVER_STATUSES = new Set([502, 503, 504]);
+// fetch error codes for a request that never reached the node
+const CONNECT_ERRORS = new Set(['ECONNREFUSED', 'ConnectionRefused', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'FailedToOpenSocket']);
+
+class UpstreamPool {
+    constructor(urls, options = {}) {
+        if (!urls || urls.length === 0) {
+            throw new Error('At least one upstream HyperBEAM node is required');
+        }
+
+        this.nodes = urls.map(url => ({
+            url: url.replace(/\/+$/, ''),
+            healthy: true,
+            consecutiveFailures: 0,
+            lastCheck: null,
+            lastError: null,
+            latency: null
+        }));
+
+        this.healthCheckInterval = options.healthCheckInterval || 30000;
+        this.requestTimeout = options.requestTimeout || 30000;
+        this.healthTimer = null;
+        this.log = options.log || ((...args) => console.log('[Upstream]', ...args));
+        this.onRequest = options.onRequest || null; // ({ node, status, latency, error }) per attempt
+    }
+
+    /**
+     * Start periodic health checks
+     */
+    start() {
+        if (this.healthTimer) return;
+
+        this.checkAll();
+        this.healthTimer = setInterval(() => this.checkAll(), this.healthCheckInterval);
+    }
+
+    /**
+     * Stop periodic health checks
+     */
+    stop() {
+        if (this.healthTimer) {
+            clearInterval(this.healthTimer);
+            this.healthTimer = null;
+        }
+    }
+
+    /**
+     * Check every node's health endpoint
+     */
+    async checkAll() {
+        await Promise.all(this.nodes.map(node => this.checkNode(node)));
+    }
+
+    /**
+     * A node is healthy when it answers at all without a server error
+     */
+    async checkNode(node) {
+        const startTime = performance.now();
+
+        try {
+            const response = await fetch(`${node.url}${HEALTH_PATH}`, {
+                signal: AbortSignal.timeout(5000)
+            });
+
+            if (response.status >= 500) {
+                throw new Error(`Health check returned ${response.status}`);
+            }
+
+            node.latency = performance.now() - startTime;
+            this.markHealthy(node);
+        } catch (error) {
+            this.markUnhealthy(node, error);
+        } finally {
+            node.lastCheck = Date.now();
+        }
+    }
+
+    /**
+     * Record a successful contact with a node
+     */
+    markHealthy(node) {
+        if (!node.healthy) {
+            this.log(`${node.url} is healthy again`);
+        }
+        node.healthy = true;
+        node.consecutiveFailures = 0;
+        node.lastError = null;
+    }
+
+    /**
+     * Record a failed contact so routing skips the node until it recovers
+     */
+    markUnhealthy(node, error) {
+        if (node.healthy) {
+            this.log(`${node.url} marked unhealthy: ${error.message}`);
+        }
+        node.healthy = false;
+        node.consecutiveFailures++;
+        node.lastError = error.message;
+    }
+
+    /**
+     * Healthy nodes first (in configured order), then the rest as a last resort
+     */
+    getCandidates() {
+        const healthy = this.nodes.filter(node => node.healthy);
+        const unhealthy = this.nodes.filter(node => !node.healthy);
+        return [...healthy, ...unhealthy];
+    }
+
+    /**
+     * Whether a request can be sent again to another node after a failure
+     */
+    isReplayable(path, init) {
+        const method = (init.method || 'GET').toUpperCase();
+        return (method === 'GET' || method === 'HEAD') && !PushRateLimiter.isPush(path);
+    }
+
+    /**
+     * Whether a fetch error means the node was never reached
+     */
+    isConnectError(error) {
+        return CONNECT_ERRORS.has(error.code) || CONNECT_ERRORS.has(error.cause?.code);
+    }
+
+    /**
+     * Forward a request path (including query string) to the pool
+     * Returns { response, node, latency } or throws after every node has failed
+     */
+    async forward(path, init = {}) {
+        const candidates = this.getCandidates();
+        const replayable = this.isReplayable(path, init);
+        let lastError = null;
+
+        for (const node of candidates) {
+            const target = `${node.url}${path}`;
+            const startTime = performance.now();
+
+            try {
+                const response = await fetch(target, {
+                    ...init,
+                    headers: {
+                        ...init.headers,
+                        'host': new URL(node.url).host
+                    },
+                    signal: AbortSignal.timeout(this.requestTimeout)
+                });
+                const latency = performance.now() - startTime;
+                this.reportRequest({ node: node.url, status: response.status, latency, error: null });
+
+                if (replayable && FAILOVER_STATUSES.has(response.status) && node !== candidates[candidates.length - 1]) {
+                    this.markUnhealthy(node, new Error(`Upstream returned ${response.status}`));
+                    continue;
+                }
+
+                this.markHealthy(node);
+                return { response, node, latency };
+            } catch (error) {
+                lastError = error;
+                this.reportRequest({ node: node.url, status: null, latency: performance.now() - startTime, error });
+                this.markUnhealthy(node, error);
+
+                if (!replayable && !this.isConnectError(error)) {
+                    throw new Error(`Upstream ${node.url} failed mid-request, not replaying it: ${error.message}`);
+                }
+            }
+        }
+
+        throw new Error(`All upstream nodes failed${lastError ? `: ${lastError.message}` : ''}`);
+    }
+
+    /**
+     * Pass an attempt to the onRequest observer, never letting it break forwarding
+     */
+    reportRequest(attempt) {
+        if (!this.onRequest) return;
+
+        try {
+            this.onRequest(attempt);
+        } catch (error) {
+            this.log(`onRequest observer failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Node health summary for logging and status endpoints
+     */
+    getStatus() {
+        return this.nodes.map(node => ({
+            url: node.url,
+            healthy: node.healthy,
+            consecutiveFailures: node.consecutiveFailures,
+            lastCheck: node.lastCheck,
+            lastError: node.lastError,
+            latency: node.latency !== null ? Math.round(node.latency) : null
+        }));
+    }
+}
+
+module.exports = UpstreamPool;
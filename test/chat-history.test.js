@@ -0,0 +1,246 @@
+/**
+ * ChatHistory against a scripted node and an in-memory stand-in for
+ * MessageStore: resuming from the local cache, reading cached messages
+ * instead of refetching them, the reactions table, replies and message fields.
+ */
+
+const { describe, test, expect } = require('bun:test');
+
+// Browser scripts share globals, so expose the classes ChatHistory uses
+globalThis.FetchScheduler = require('../js/fetch-scheduler');
+globalThis.MessageSearch = require('../js/message-search');
+const ChatHistory = require('../js/chat-history');
+
+const PROCESS_ID = 'p'.repeat(43);
+const ALICE = 'a'.repeat(43);
+const BOB = 'b'.repeat(43);
+
+/**
+ * A node serving `messages` (index -> raw message) and, when given, the
+ * reactions and edits tables with their change counters; every endpoint it
+ * was asked for is in `requests`
+ */
+function createNode({ messages = {}, reactions = null, lenreactions = 1, edits = null, lenedits = 1 } = {}) {
+    const node = { messages, reactions, lenreactions, edits, lenedits, requests: [], online: true };
+    const tables = {
+        PROCESS_REACTION_COUNT: () => node.reactions && { body: node.lenreactions },
+        PROCESS_REACTIONS: () => node.reactions,
+        PROCESS_EDIT_COUNT: () => node.edits && { body: node.lenedits },
+        PROCESS_EDITS: () => node.edits,
+        PROCESS_MESSAGE_COUNT: () => ({ body: Object.keys(node.messages).length }),
+        PROCESS_INDIVIDUAL_MESSAGE: (processId, messageIndex) => node.messages[messageIndex]
+    };
+
+    node.api = {
+        config: {
+            FETCH: { CONCURRENCY: 2, MAX_RETRIES: 0 },
+            log: () => {},
+            getEndpoint: (name, ...args) => ({ name, args })
+        },
+        async makeRequest(endpoint) {
+            node.requests.push(endpoint);
+            if (!node.online) {
+                return { ok: false, status: 0 };
+            }
+            const data = tables[endpoint.name](...endpoint.args);
+            return data ? { ok: true, status: 200, data } : { ok: false, status: 404 };
+        }
+    };
+    node.requestCount = (name) => node.requests.filter(endpoint => endpoint.name === name).length;
+    node.fetchedIndexes = () => node.requests
+        .filter(endpoint => endpoint.name === 'PROCESS_INDIVIDUAL_MESSAGE')
+        .map(endpoint => endpoint.args[1]);
+    return node;
+}
+
+/**
+ * The parts of MessageStore ChatHistory calls, for one process
+ */
+function createStore(entries = {}) {
+    const messages = new Map(Object.entries(entries).map(([index, message]) => [parseInt(index), message]));
+    return {
+        messages,
+        touched: 0,
+        getHighestIndex: async () => Math.max(0, ...messages.keys()),
+        getRange: async (processId, from, to) => new Map([...messages].filter(([index]) => index >= from && index <= to)),
+        putMessages: async (processId, list) => list.forEach(({ index, message }) => messages.set(index, message)),
+        touch() {
+            this.touched++;
+        },
+        clearProcess: async () => messages.clear()
+    };
+}
+
+function rawMessage(content) {
+    return { content, username: 'alice', timestamp: '1000' };
+}
+
+function cachedMessage(index) {
+    return { content: `cached ${index}`, username: 'alice', timestamp: 1000, id: String(index) };
+}
+
+describe('ChatHistory local cache', () => {
+    test('shows the unbroken run of cached messages ending at the newest', async () => {
+        const store = createStore({ 1: cachedMessage(1), 3: cachedMessage(3), 4: cachedMessage(4), 5: cachedMessage(5) });
+        const history = new ChatHistory(createNode().api, PROCESS_ID, store);
+
+        const messages = await history.getCachedHistory(150);
+        expect(messages.map(message => message.id)).toEqual(['3', '4', '5']);
+        expect(history.lowestMessageId).toBe(3);
+        expect(history.highestMessageId).toBe(5);
+        expect(store.touched).toBe(1);
+    });
+
+    test('keeps to maxMessages and copes with an empty or missing store', async () => {
+        const store = createStore({ 1: cachedMessage(1), 2: cachedMessage(2), 3: cachedMessage(3) });
+        const history = new ChatHistory(createNode().api, PROCESS_ID, store);
+        expect((await history.getCachedHistory(2)).map(message => message.id)).toEqual(['2', '3']);
+
+        expect(await new ChatHistory(createNode().api, PROCESS_ID, createStore()).getCachedHistory()).toEqual([]);
+        expect(await new ChatHistory(createNode().api, PROCESS_ID).getCachedHistory()).toEqual([]);
+    });
+
+    test('resumes when the node is ahead by at most maxGap', async () => {
+        const node = createNode({ messages: { 1: rawMessage('a'), 2: rawMessage('b'), 3: rawMessage('c'), 4: rawMessage('d') } });
+        const history = new ChatHistory(node.api, PROCESS_ID, createStore({ 1: cachedMessage(1), 2: cachedMessage(2) }));
+        await history.getCachedHistory();
+
+        expect(await history.canResumeFromCache(2)).toBe(true);
+        expect(await history.canResumeFromCache(1)).toBe(false);
+    });
+
+    test('discards the cache when the process has fewer messages than were cached', async () => {
+        const node = createNode({ messages: { 1: rawMessage('fresh') } });
+        const store = createStore({ 1: cachedMessage(1), 2: cachedMessage(2), 3: cachedMessage(3) });
+        const history = new ChatHistory(node.api, PROCESS_ID, store);
+        await history.getCachedHistory();
+
+        expect(await history.canResumeFromCache(100)).toBe(false);
+        expect(store.messages.size).toBe(0);
+        expect(history.highestMessageId).toBe(0);
+        expect(history.lowestMessageId).toBe(0);
+    });
+
+    test('offline, the cache is shown as it is', async () => {
+        const node = createNode();
+        node.online = false;
+        const store = createStore({ 1: cachedMessage(1), 2: cachedMessage(2) });
+        const history = new ChatHistory(node.api, PROCESS_ID, store);
+        await history.getCachedHistory();
+
+        expect(await history.canResumeFromCache(0)).toBe(true);
+        expect(store.messages.size).toBe(2);
+    });
+
+    test('fetches only the messages that are not cached, then caches them', async () => {
+        const node = createNode({ messages: { 1: rawMessage('one'), 2: rawMessage('two'), 3: rawMessage('three') } });
+        const store = createStore({ 2: cachedMessage(2) });
+        const history = new ChatHistory(node.api, PROCESS_ID, store);
+
+        const messages = await history.fetchMessageRange(1, 3);
+        expect(messages.map(message => message.content)).toEqual(['one', 'cached 2', 'three']);
+        expect(node.fetchedIndexes()).toEqual([1, 3]);
+        expect(store.messages.get(3).content).toBe('three');
+
+        await history.fetchMessageRange(1, 3);
+        expect(node.fetchedIndexes()).toEqual([1, 3]);
+    });
+});
+
+describe('ChatHistory.normalizeMessage', () => {
+    test('reads reply_to as the parent\'s index', () => {
+        const history = new ChatHistory(createNode().api, PROCESS_ID);
+
+        expect(history.normalizeMessage({ ...rawMessage('re'), reply_to: '3' }, 4).replyTo).toBe(3);
+        expect(history.normalizeMessage({ ...rawMessage('re'), reply_to: 'x' }, 4).replyTo).toBeNull();
+        expect(history.normalizeMessage(rawMessage('re'), 4).replyTo).toBeNull();
+    });
+
+    test('reads mentions as a list of wallets', () => {
+        const history = new ChatHistory(createNode().api, PROCESS_ID);
+
+        expect(history.normalizeMessage({ ...rawMessage('@bob'), mentions: `${ALICE},${BOB}` }, 4).mentions).toEqual([ALICE, BOB]);
+        expect(history.normalizeMessage({ ...rawMessage('hi'), mentions: null }, 4).mentions).toEqual([]);
+    });
+
+    test('keeps the sender\'s push nonce so the sent copy can be confirmed', () => {
+        const history = new ChatHistory(createNode().api, PROCESS_ID);
+
+        expect(history.normalizeMessage({ ...rawMessage('hi'), nonce: 'abc123' }, 4)).toMatchObject({ id: '4', content: 'hi', nonce: 'abc123' });
+        expect(history.normalizeMessage(rawMessage('hi'), 5).nonce).toBeNull();
+    });
+});
+
+describe('ChatHistory reactions', () => {
+    test('normalizes the table however Lua serialized it', () => {
+        const history = new ChatHistory(createNode().api, PROCESS_ID);
+
+        expect(history.normalizeReactions({
+            1: { '👍': [ALICE, BOB], '🎉': { 1: BOB } },
+            2: { '👍': [] },
+            3: null,
+            4: { '👀': [7, ALICE] }
+        })).toEqual({ 1: { '👍': [ALICE, BOB], '🎉': [BOB] }, 4: { '👀': [ALICE] } });
+        // An empty Lua table serializes as []
+        expect(history.normalizeReactions([])).toEqual({});
+    });
+
+    test('refetches the table only when lenreactions changes, and reports what changed', async () => {
+        const node = createNode({ reactions: { 1: { '👍': [ALICE] } }, lenreactions: 1 });
+        const history = new ChatHistory(node.api, PROCESS_ID);
+
+        expect([...await history.refreshReactions()]).toEqual([1]);
+        expect([...await history.refreshReactions()]).toEqual([]);
+        expect(node.requestCount('PROCESS_REACTIONS')).toBe(1);
+
+        node.reactions = { 2: { '🎉': [BOB] } };
+        node.lenreactions = 3;
+        expect([...await history.refreshReactions()].sort()).toEqual([1, 2]);
+        expect(history.getReactions(1)).toEqual({});
+        expect(history.getReactions(2)).toEqual({ '🎉': [BOB] });
+    });
+
+    test('processes without the reaction handler have no reactions', async () => {
+        const node = createNode();
+        const history = new ChatHistory(node.api, PROCESS_ID);
+
+        expect([...await history.refreshReactions()]).toEqual([]);
+        expect(node.requestCount('PROCESS_REACTIONS')).toBe(0);
+    });
+
+    test('attaches reactions to a copy, keeping the cached message reaction-free', async () => {
+        const node = createNode({ messages: { 1: rawMessage('hi') }, reactions: { 1: { '👍': [ALICE] } } });
+        const store = createStore();
+        const history = new ChatHistory(node.api, PROCESS_ID, store);
+
+        const [message] = await history.fetchMessageRange(1, 1);
+        expect(message.reactions).toEqual({ '👍': [ALICE] });
+        expect(store.messages.get(1).reactions).toBeUndefined();
+        expect(history.withReactions(cachedMessage(2)).reactions).toEqual({});
+    });
+});
+
+describe('ChatHistory replies', () => {
+    function reply(index, parent, content = `reply ${index}`) {
+        return { ...cachedMessage(index), content, replyTo: parent };
+    }
+
+    test('lists every reply seen, oldest first, from fetches, the cache and the stream', async () => {
+        const node = createNode({ messages: { 3: { ...rawMessage('fetched'), reply_to: '1' } } });
+        const history = new ChatHistory(node.api, PROCESS_ID, createStore({ 2: reply(2, 1, 'cached') }));
+
+        history.recordStreamedMessage(4, reply(4, 1, 'streamed'));
+        await history.fetchMessageRange(2, 3);
+
+        expect(history.getReplies(1).map(message => message.content)).toEqual(['cached', 'fetched', 'streamed']);
+        expect(history.getReplies(2)).toEqual([]);
+    });
+
+    test('records each reply once, however often it is seen', () => {
+        const history = new ChatHistory(createNode().api, PROCESS_ID);
+        history.recordMessages([reply(5, 1), reply(5, 1), cachedMessage(6)]);
+
+        expect(history.getReplies(1)).toHaveLength(1);
+        expect([...history.replies.keys()]).toEqual([1]);
+    });
+});
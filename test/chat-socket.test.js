@@ -0,0 +1,117 @@
+/**
+ * ChatSocketHub with fake sockets, a fake HyperBEAM and the real push limiter:
+ * send frames go through the same checks as HTTP pushes, typing and presence
+ * frames are limited per connection, and push responses refresh the cookie.
+ */
+
+const { describe, test, expect, afterEach } = require('bun:test');
+const ChatSocketHub = require('../server/chat-socket');
+const PushRateLimiter = require('../server/rate-limiter');
+
+const PROCESS_ID = 'abcdefghijabcdefghijabcdefghijabcdefghij123';
+
+let limiters = [];
+
+/**
+ * Hub whose pushes answer 200 with the given Set-Cookie headers
+ */
+function createHub({ setCookies = [], limits = {} } = {}) {
+    const pushes = [];
+    const fetchPath = async (requestPath, init) => {
+        pushes.push({ requestPath, ...init });
+        const headers = new Headers();
+        setCookies.forEach(setCookie => headers.append('set-cookie', setCookie));
+        return { status: 200, headers, body: JSON.stringify({ slot: 7 }) };
+    };
+    const eventHub = { listen: () => ({}), removeSubscriber: () => {} };
+    const limiter = new PushRateLimiter({ log: () => {}, ...limits });
+    limiters.push(limiter);
+
+    const hub = new ChatSocketHub(fetchPath, eventHub, {
+        log: () => {},
+        checkPush: (data, requestPath, body) => limiter.check({ ip: data.ip, cookie: data.cookie, requestPath, body })
+    });
+    return { hub, pushes };
+}
+
+/**
+ * Fake socket in the hub's room; frames it receives are parsed into `frames`
+ */
+function connect(hub, cookie = '') {
+    const ws = {
+        frames: [],
+        data: { processId: PROCESS_ID, since: null, ip: '10.0.0.1', cookie, username: null, subscriber: null, signals: null },
+        send(text) {
+            this.frames.push(JSON.parse(text));
+        }
+    };
+    hub.handleOpen(ws);
+    ws.frames = [];
+    return ws;
+}
+
+function sendFrame(hub, ws, frame) {
+    return hub.handleMessage(ws, JSON.stringify(frame));
+}
+
+afterEach(() => {
+    limiters.forEach(limiter => clearInterval(limiter.pruneTimer));
+    limiters = [];
+});
+
+describe('ChatSocketHub', () => {
+    test('relays a send and acks it with the slot', async () => {
+        const { hub, pushes } = createHub();
+        const ws = connect(hub, 'secret=abc');
+
+        await sendFrame(hub, ws, { type: 'send', id: 1, params: { chat: 'hi', nonce: 'n1' } });
+
+        expect(pushes).toHaveLength(1);
+        expect(pushes[0].method).toBe('GET');
+        expect(pushes[0].headers.cookie).toBe('secret=abc');
+        expect(ws.frames).toEqual([expect.objectContaining({ type: 'ack', id: 1, ok: true, slot: 7 })]);
+    });
+
+    test('counts the frame body against the size limit', async () => {
+        const { hub, pushes } = createHub({ limits: { maxBytes: 100 } });
+        const ws = connect(hub);
+
+        await sendFrame(hub, ws, { type: 'send', id: 1, params: { chat: 'hi' }, body: 'x'.repeat(200) });
+        await sendFrame(hub, ws, { type: 'send', id: 2, params: { chat: 'hi' }, body: 'small' });
+
+        expect(ws.frames[0]).toEqual(expect.objectContaining({ type: 'ack', id: 1, ok: false, status: 413 }));
+        expect(pushes).toHaveLength(1);
+        expect(pushes[0].method).toBe('POST');
+        expect(pushes[0].body).toBe('small');
+    });
+
+    test('limits typing and presence frames per connection', async () => {
+        const { hub } = createHub();
+        const typist = connect(hub);
+        const other = connect(hub);
+        other.frames = [];
+
+        for (let i = 0; i < 30; i++) {
+            await sendFrame(hub, typist, { type: i % 2 ? 'typing' : 'presence', typing: true, username: 'alice' });
+        }
+
+        // Presence goes to everyone, typing to everyone else: 10 frames in the burst
+        expect(other.frames).toHaveLength(10);
+
+        // The other connection has its own bucket
+        typist.frames = [];
+        await sendFrame(hub, other, { type: 'typing', typing: true });
+        expect(typist.frames).toEqual([expect.objectContaining({ type: 'typing', typing: true })]);
+    });
+
+    test('push responses refresh the socket cookie', async () => {
+        const { hub, pushes } = createHub({ setCookies: ['secret=rotated; Path=/; HttpOnly', 'old=; Max-Age=0'] });
+        const ws = connect(hub, 'old=1; secret=abc; theme=dark');
+
+        await sendFrame(hub, ws, { type: 'send', id: 1, params: { chat: 'one' } });
+        await sendFrame(hub, ws, { type: 'send', id: 2, params: { chat: 'two' } });
+
+        expect(ws.data.cookie).toBe('secret=rotated; theme=dark');
+        expect(pushes[1].headers.cookie).toBe('secret=rotated; theme=dark');
+    });
+});
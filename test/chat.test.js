@@ -0,0 +1,217 @@
+/**
+ * ChatSystem on a jsdom document with no node behind it: confirming sent
+ * messages by nonce, marking the ones never seen as unconfirmed, reply
+ * quotes and threads, and @mentions. The latest messages the process
+ * returns are set by each test.
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const dom = new JSDOM('<!doctype html><html><body></body></html>', { url: 'http://localhost/' });
+globalThis.window = dom.window;
+globalThis.document = dom.window.document;
+globalThis.localStorage = dom.window.localStorage;
+
+// Browser scripts share globals, so expose each class the way index.html does.
+// Other test files may have run config.js already, so build this window's CONFIG here.
+vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'config.js'), 'utf8'), { window, console });
+globalThis.buildPushPath = require('../js/push-path');
+globalThis.FetchScheduler = require('../js/fetch-scheduler');
+globalThis.MessageStore = require('../js/message-store');
+globalThis.Outbox = require('../js/outbox');
+globalThis.DeliveryStateMachine = require('../js/delivery-state');
+globalThis.MessageSearch = require('../js/message-search');
+globalThis.ChatHistory = require('../js/chat-history');
+globalThis.ChatTransport = require('../js/chat-transport');
+globalThis.MessageSanitizer = require('../js/message-sanitizer');
+globalThis.MessageRenderer = require('../js/message-renderer');
+const ChatSystem = require('../js/chat');
+
+const config = window.CONFIG;
+config.log = () => {};
+config.debug = () => {};
+
+const OWN_WALLET = 'o'.repeat(43);
+
+let chat;
+let latestMessages;
+
+beforeEach(() => {
+    const api = { config, makeRequest: async () => ({ ok: false, status: 404 }) };
+    chat = new ChatSystem(api, { getWalletAddress: () => OWN_WALLET });
+    latestMessages = [];
+    chat.chatHistory.getLatestMessages = async () => latestMessages;
+});
+
+afterEach(() => {
+    chat.destroy();
+});
+
+/**
+ * A sent message the node accepted, waiting for the process
+ */
+function sendMessage(content, nonce) {
+    const message = { id: `pending-${nonce}`, content, username: 'alice', timestamp: Date.now(), nonce };
+    chat.delivery.start(message);
+    chat.messages.push(message);
+    chat.setDeliveryState(message, 'pushed', { slot: 10 });
+    return message;
+}
+
+function computedMessage(index, content, nonce) {
+    return { id: String(index), content, username: 'alice', timestamp: 2000, nonce };
+}
+
+describe('ChatSystem confirmation by nonce', () => {
+    test('tells identical messages apart by their nonce', async () => {
+        const first = sendMessage('same text', 'nonce-a');
+        const second = sendMessage('same text', 'nonce-b');
+        latestMessages = [computedMessage(7, 'same text', 'nonce-b')];
+
+        expect(await chat.immediatelyCheckForComputedMessage(first.id, first.nonce)).toBe(false);
+        expect(await chat.immediatelyCheckForComputedMessage(second.id, second.nonce)).toBe(true);
+
+        expect(first.status).toBe('pushed');
+        expect(second.status).toBe('computed');
+        expect(second.id).toBe('msg-7');
+        expect(chat.pendingMessages.has('nonce-a')).toBe(true);
+        expect(chat.pendingMessages.has('nonce-b')).toBe(false);
+    });
+
+    test('ignores computed messages without a nonce', async () => {
+        const message = sendMessage('hello', 'nonce-a');
+        latestMessages = [computedMessage(3, 'hello', null)];
+
+        expect(await chat.immediatelyCheckForComputedMessage(message.id, message.nonce)).toBe(false);
+        expect(message.status).toBe('pushed');
+    });
+
+    test('a message never seen becomes unconfirmed, not computed', async () => {
+        const message = sendMessage('lost', 'nonce-a');
+        const changes = [];
+        chat.on('deliveryStateChanged', ({ from, to }) => changes.push(`${from} → ${to}`));
+
+        await chat.expireUnconfirmedMessage(message.id);
+        expect(message.status).toBe('unconfirmed');
+        expect(message.statusData.error).toBeTruthy();
+        expect(chat.pendingMessages.has('nonce-a')).toBe(false);
+        expect(changes).toEqual(['pushed → unconfirmed']);
+    });
+
+    test('an unconfirmed message is still confirmed if it shows up later', async () => {
+        const message = sendMessage('slow', 'nonce-a');
+        await chat.expireUnconfirmedMessage(message.id);
+
+        latestMessages = [computedMessage(9, 'slow', 'nonce-a')];
+        expect(await chat.immediatelyCheckForComputedMessage(message.id, message.nonce)).toBe(true);
+        expect(message.status).toBe('computed');
+    });
+
+    test('the last look before expiring confirms a message that did land', async () => {
+        const message = sendMessage('landed', 'nonce-a');
+        latestMessages = [computedMessage(4, 'landed', 'nonce-a')];
+
+        await chat.expireUnconfirmedMessage(message.id);
+        expect(message.status).toBe('computed');
+        expect(message.id).toBe('msg-4');
+    });
+});
+
+describe('ChatSystem replies', () => {
+    function historyMessage(index, content, replyTo = null) {
+        return { id: String(index), content, username: 'bob', timestamp: 1000, replyTo };
+    }
+
+    test('quotes a displayed parent, and shows the index until an unseen one arrives', async () => {
+        chat.messages.push({ id: 'msg-1', author: 'alice', content: 'the original' });
+        let resolveParent;
+        chat.chatHistory.fetchMessageRange = () => new Promise(resolve => {
+            resolveParent = resolve;
+        });
+
+        expect(chat.renderQuote({ replyTo: 1 }).textContent).toBe('↪ alice: the original');
+
+        const pending = chat.renderQuote({ replyTo: 2 });
+        expect(pending.textContent).toBe('↪ Message #2');
+        expect(pending.getAttribute('data-quote-index')).toBe('2');
+
+        resolveParent([historyMessage(2, 'fetched parent')]);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(chat.renderQuote({ replyTo: 2 }).textContent).toBe('↪ bob: fetched parent');
+    });
+
+    test('a thread shows its reply count, and the replies once expanded', () => {
+        chat.chatHistory.recordMessages([historyMessage(2, 'first', 1), historyMessage(3, 'second', 1)]);
+
+        expect(chat.renderThread(4)).toBeNull();
+        const collapsed = chat.renderThread(1);
+        expect(collapsed.querySelector('[data-thread-toggle]').textContent).toBe('▸ 2 replies');
+        expect(collapsed.querySelectorAll('.message-thread-reply')).toHaveLength(0);
+
+        chat.expandedThreads.add(1);
+        const replies = [...chat.renderThread(1).querySelectorAll('.message-thread-reply')];
+        expect(replies.map(el => el.textContent)).toEqual(['bob: first', 'bob: second']);
+        expect(replies.map(el => el.getAttribute('data-quote-index'))).toEqual(['2', '3']);
+    });
+});
+
+describe('ChatSystem mentions', () => {
+    const ALICE = 'a'.repeat(43);
+    const AL = 'l'.repeat(43);
+    const BOB = 'b'.repeat(43);
+
+    /**
+     * Authors in the order they last posted
+     */
+    function addAuthors(authors) {
+        authors.forEach(([author, walletAddress], i) => {
+            chat.messages.push({ id: `msg-${i + 1}`, author, walletAddress, content: 'hi' });
+        });
+    }
+
+    test('mentions known authors by wallet, longest username first', () => {
+        addAuthors([['Al', AL], ['Al Smith', ALICE], ['bob', BOB]]);
+
+        expect(chat.getMentionedWallets('hey @al smith and @BOB!')).toEqual([ALICE, BOB]);
+        expect(chat.getMentionedWallets('@Al, @Al Smithers')).toEqual([AL]);
+        expect(chat.getMentionedWallets('mail bob@bob.example or @carol')).toEqual([]);
+    });
+
+    test('authors without a wallet can\'t be mentioned, and the count is capped', () => {
+        addAuthors([['anon', null], ...Array.from({ length: 12 }, (_, i) => [`user${i}`, String(i).padStart(43, 'w')])]);
+        const everyone = Array.from({ length: 12 }, (_, i) => `@user${i}`).join(' ');
+
+        expect(chat.getMentionedWallets('@anon')).toEqual([]);
+        expect(chat.getMentionedWallets(everyone)).toHaveLength(config.MESSAGES.MAX_MENTIONS);
+    });
+
+    test('suggests other authors by prefix, most recent first', () => {
+        addAuthors([['bob', BOB], ['Bobby', ALICE], ['me', OWN_WALLET], ['bob', BOB]]);
+
+        expect(chat.getMentionSuggestions('bo')).toEqual([{ username: 'bob', walletAddress: BOB }, { username: 'Bobby', walletAddress: ALICE }]);
+        expect(chat.getMentionSuggestions('m')).toEqual([]);
+        expect(chat.getMentionSuggestions('', 1)).toHaveLength(1);
+    });
+
+    test('highlights messages from others that mention our wallet', () => {
+        expect(chat.isMentioned({ walletAddress: BOB, mentions: [OWN_WALLET] })).toBe(true);
+        expect(chat.isMentioned({ walletAddress: BOB, mentions: [ALICE] })).toBe(false);
+        expect(chat.isMentioned({ walletAddress: OWN_WALLET, mentions: [OWN_WALLET] })).toBe(false);
+        expect(chat.isMentioned({ walletAddress: BOB, mentions: [OWN_WALLET], deleted: true })).toBe(false);
+    });
+
+    test('announces each new mention once, even while new messages are held back', () => {
+        const mentioned = [];
+        chat.on('mentioned', ({ index }) => mentioned.push(index));
+        chat.newerMessagesEvicted = true;
+        const message = { id: 'msg-8', walletAddress: BOB, mentions: [OWN_WALLET], content: '@me' };
+
+        chat.addNewMessagesOnly([message, { id: 'msg-9', walletAddress: BOB, mentions: [], content: 'hi' }]);
+        chat.addNewMessagesOnly([message]);
+        expect(mentioned).toEqual([8]);
+    });
+});
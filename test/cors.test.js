@@ -0,0 +1,91 @@
+/**
+ * CorsPolicy: origin classification, what request and response headers cross
+ * the proxy for each kind of origin, and preflights.
+ */
+
+const { describe, test, expect } = require('bun:test');
+const CorsPolicy = require('../server/cors');
+
+const HOST = 'localhost:3000';
+const LISTED = 'https://chat.example';
+
+function request(origin, headers = {}, method = 'GET') {
+    return new Request(`http://${HOST}/api/hyperbeam/x`, {
+        method,
+        headers: { host: HOST, ...(origin ? { origin } : {}), ...headers }
+    });
+}
+
+function upstreamHeaders() {
+    const headers = new Headers({ 'content-type': 'application/json', 'signature': 'sig', 'wallet-address': 'w', 'connection': 'keep-alive' });
+    headers.append('set-cookie', 'secret=a; Path=/');
+    headers.append('set-cookie', 'other=b; Path=/');
+    return headers;
+}
+
+describe('CorsPolicy', () => {
+    test('classifies origins', () => {
+        const cors = new CorsPolicy({ allowedOrigins: [`${LISTED}/`] });
+
+        expect(cors.getOriginAccess(request(null))).toBe('none');
+        expect(cors.getOriginAccess(request(`http://${HOST}`))).toBe('same');
+        expect(cors.getOriginAccess(request(LISTED))).toBe('listed');
+        expect(cors.getOriginAccess(request('https://evil.example'))).toBe('denied');
+        expect(new CorsPolicy({ allowedOrigins: ['*'] }).getOriginAccess(request('https://evil.example'))).toBe('any');
+    });
+
+    test('denies a malformed Origin, even when any origin is allowed', () => {
+        const cors = new CorsPolicy({ allowedOrigins: ['*'] });
+
+        for (const origin of ['not a url', 'http://', '::::']) {
+            expect(cors.getOriginAccess(request(origin))).toBe('denied');
+            expect(cors.isAllowed(request(origin))).toBe(false);
+            expect(cors.preflight(request(origin, {}, 'OPTIONS')).status).toBe(403);
+        }
+    });
+
+    test('drops cookie and authorization for the any origin', () => {
+        const cors = new CorsPolicy({ allowedOrigins: ['*'] });
+        const headers = { cookie: 'secret=a', authorization: 'Bearer t', 'content-type': 'application/json' };
+
+        expect(cors.filterRequestHeaders(request('https://other.example', headers))).toEqual({ 'content-type': 'application/json' });
+        expect(cors.filterRequestHeaders(request(`http://${HOST}`, headers))).toEqual(headers);
+        expect(cors.getHeaders(request('https://other.example'))['Access-Control-Allow-Credentials']).toBeUndefined();
+    });
+
+    test('never forwards blocked headers', () => {
+        const cors = new CorsPolicy({ forwardHeaders: ['accept', 'x-forwarded-for', 'x-custom'], blockedHeaders: ['x-custom'] });
+        const forwarded = cors.filterRequestHeaders(request(null, { accept: '*/*', 'x-forwarded-for': '1.2.3.4', 'x-custom': '1' }));
+
+        expect(forwarded).toEqual({ accept: '*/*' });
+    });
+
+    test('strips set-cookie and signature headers for unlisted origins', () => {
+        const cors = new CorsPolicy({ allowedOrigins: ['*', LISTED] });
+
+        const unlisted = cors.filterResponseHeaders(request('https://other.example'), upstreamHeaders(), { 'x-cache': 'MISS' });
+        expect(unlisted.getSetCookie()).toEqual([]);
+        expect(unlisted.has('signature')).toBe(false);
+        expect(unlisted.has('wallet-address')).toBe(false);
+        expect(unlisted.has('connection')).toBe(false);
+        expect(unlisted.get('x-cache')).toBe('MISS');
+
+        const listed = cors.filterResponseHeaders(request(LISTED), upstreamHeaders());
+        expect(listed.getSetCookie()).toEqual(['secret=a; Path=/', 'other=b; Path=/']);
+        expect(listed.get('signature')).toBe('sig');
+    });
+
+    test('preflight echoes only forwardable requested headers', () => {
+        const cors = new CorsPolicy({ allowedOrigins: [LISTED] });
+        const response = cors.preflight(request(LISTED, { 'access-control-request-headers': 'Content-Type, X-Forwarded-For, Cookie, X-Evil' }, 'OPTIONS'));
+
+        expect(response.status).toBe(204);
+        expect(response.headers.get('access-control-allow-headers')).toBe('content-type, cookie');
+        expect(response.headers.get('access-control-allow-origin')).toBe(LISTED);
+        expect(response.headers.get('access-control-allow-credentials')).toBe('true');
+
+        const fallback = cors.preflight(request(LISTED, { 'access-control-request-headers': 'X-Evil' }, 'OPTIONS'));
+        expect(fallback.headers.get('access-control-allow-headers')).toBe('content-type');
+        expect(cors.preflight(request('https://evil.example', {}, 'OPTIONS')).status).toBe(403);
+    });
+});
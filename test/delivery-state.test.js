@@ -0,0 +1,99 @@
+/**
+ * DeliveryStateMachine: which transitions are allowed, what each one records,
+ * and the delivery tooltip built from them.
+ */
+
+const { describe, test, expect } = require('bun:test');
+const DeliveryStateMachine = require('../js/delivery-state');
+
+const STATES = ['queued', 'pushed', 'scheduled', 'computed', 'failed', 'unconfirmed'];
+
+function createMachine() {
+    return new DeliveryStateMachine({ debug: () => {} });
+}
+
+describe('DeliveryStateMachine', () => {
+    test('allows only the moves in the lifecycle', () => {
+        const machine = createMachine();
+        const allowed = STATES.flatMap(from => STATES
+            .filter(to => machine.canTransition(from, to))
+            .map(to => `${from} → ${to}`));
+
+        expect(allowed).toEqual([
+            'queued → pushed', 'queued → computed', 'queued → failed',
+            'pushed → scheduled', 'pushed → computed', 'pushed → unconfirmed',
+            'scheduled → computed', 'scheduled → unconfirmed',
+            'failed → queued', 'failed → computed',
+            'unconfirmed → computed'
+        ]);
+        expect(machine.canTransition(undefined, 'queued')).toBe(false);
+    });
+
+    test('records every transition with its time and slot', () => {
+        const machine = createMachine();
+        const message = { id: 'm1' };
+        machine.start(message, { at: 1000, slot: 41 });
+
+        const entry = machine.transition(message, 'failed', { error: 'HTTP 400' });
+        expect(message.status).toBe('failed');
+        expect(entry).toMatchObject({ state: 'failed', slot: null, error: 'HTTP 400' });
+        expect(entry.at).toBeGreaterThanOrEqual(1000);
+
+        machine.transition(message, 'queued');
+        machine.transition(message, 'pushed', { slot: 42 });
+        expect(message.delivery.history.map(({ state, slot }) => `${state}@${slot}`)).toEqual(['queued@41', 'failed@null', 'queued@null', 'pushed@42']);
+        expect('error' in message.delivery.history[2]).toBe(false);
+    });
+
+    test('rejects moves outside the lifecycle and leaves the message alone', () => {
+        const machine = createMachine();
+        const message = { id: 'm1' };
+        machine.start(message);
+        machine.transition(message, 'pushed');
+        machine.transition(message, 'computed');
+
+        expect(machine.transition(message, 'failed')).toBeNull();
+        expect(machine.transition({ id: 'history', status: 'computed' }, 'computed')).toBeNull();
+        expect(message.status).toBe('computed');
+        expect(message.delivery.history).toHaveLength(3);
+    });
+
+    test('pushed and scheduled messages are waiting for the process', () => {
+        const machine = createMachine();
+
+        expect(STATES.filter(status => machine.isAwaitingComputation({ status }))).toEqual(['pushed', 'scheduled']);
+    });
+
+    test('getSlot takes the latest recorded slot, or the current one if later', () => {
+        const machine = createMachine();
+        const message = { id: 'm1' };
+        machine.start(message);
+
+        expect(machine.getSlot(message)).toBeNull();
+        expect(machine.getSlot(message, 40)).toBe(40);
+
+        machine.transition(message, 'pushed', { slot: 42 });
+        machine.transition(message, 'unconfirmed');
+        expect(machine.getSlot(message)).toBe(42);
+        expect(machine.getSlot(message, 40)).toBe(42);
+        expect(machine.getSlot(message, 45)).toBe(45);
+        expect(machine.getSlot({ id: 'history' }, 7)).toBe(7);
+    });
+
+    test('describe lists each state with its time since the first', () => {
+        const machine = createMachine();
+        const message = { id: 'm1', status: 'pushed' };
+        message.delivery = {
+            history: [
+                { state: 'queued', at: 1000, slot: 41 },
+                { state: 'pushed', at: 1210, slot: 41 },
+                { state: 'unconfirmed', at: 16000, slot: null, error: 'Not confirmed by the process yet' }
+            ]
+        };
+
+        const lines = machine.describe(message).split('\n');
+        expect(lines[0]).toMatch(/^Queued .+ \(slot 41\)$/);
+        expect(lines.slice(1)).toEqual(['Pushed +0.21s (slot 41)', 'Unconfirmed +15.00s: Not confirmed by the process yet']);
+        expect(machine.describe({ id: 'history' })).toBe('');
+    });
+});
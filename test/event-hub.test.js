@@ -0,0 +1,131 @@
+/**
+ * ChatEventHub against a fake HyperBEAM: what each poll broadcasts, how far the
+ * watcher's slot and count move when a fetch fails, and watcher teardown.
+ */
+
+const { describe, test, expect, afterEach } = require('bun:test');
+const ChatEventHub = require('../server/event-hub');
+
+const PROCESS_ID = 'abcdefghijabcdefghijabcdefghijabcdefghij123';
+const POLL_INTERVAL = 10;
+
+/**
+ * In-memory slot and messages; indexes in `failing` answer 502
+ */
+function createNode() {
+    const node = { slot: 1, messages: [], failing: new Set(), requests: [] };
+    node.fetchPath = async (requestPath) => {
+        node.requests.push(requestPath);
+        if (requestPath.endsWith('/compute/at-slot')) {
+            return { status: 200, body: String(node.slot) };
+        }
+        if (requestPath.includes('/now/lenmessages')) {
+            return { status: 200, body: JSON.stringify({ body: node.messages.length }) };
+        }
+        const match = requestPath.match(/\/now\/messages\/(\d+)\//);
+        const index = match ? parseInt(match[1]) : 0;
+        if (node.failing.has(index) || !node.messages[index - 1]) {
+            return { status: node.failing.has(index) ? 502 : 404, body: '' };
+        }
+        return { status: 200, body: JSON.stringify(node.messages[index - 1]) };
+    };
+    node.push = (content) => {
+        node.messages.push({ content });
+        node.slot++;
+    };
+    return node;
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let hubs = [];
+
+function createHub(node) {
+    const hub = new ChatEventHub(node.fetchPath, { pollInterval: POLL_INTERVAL, log: () => {} });
+    hubs.push(hub);
+    return hub;
+}
+
+function collect(hub) {
+    const events = [];
+    const subscriber = hub.listen(PROCESS_ID, (event, data) => events.push({ event, data }));
+    return { events, subscriber };
+}
+
+afterEach(() => {
+    hubs.forEach(hub => Array.from(hub.watchers.values()).forEach(watcher => clearTimeout(watcher.timer)));
+    hubs = [];
+});
+
+describe('ChatEventHub', () => {
+    test('broadcasts new messages, then the slot', async () => {
+        const node = createNode();
+        const hub = createHub(node);
+        const { events } = collect(hub);
+        await hub.watchers.get(PROCESS_ID).ready;
+
+        node.push('one');
+        node.push('two');
+        await hub.poll(hub.watchers.get(PROCESS_ID));
+
+        expect(events.map(e => e.event)).toEqual(['ready', 'message', 'message', 'slot']);
+        expect(events[1].data.index).toBe(1);
+        expect(events[2].data.message.content).toBe('two');
+        expect(events[3].data.slot).toBe(3);
+    });
+
+    test('a failed message fetch leaves the slot and count at the last broadcast', async () => {
+        const node = createNode();
+        const hub = createHub(node);
+        const { events } = collect(hub);
+        const watcher = hub.watchers.get(PROCESS_ID);
+        await watcher.ready;
+
+        node.push('one');
+        node.push('two');
+        node.failing.add(2);
+        await hub.poll(watcher);
+
+        expect(watcher.messageCount).toBe(1);
+        expect(watcher.lastSlot).toBe(1);
+        expect(events.map(e => e.event)).toEqual(['ready', 'message']);
+
+        node.failing.clear();
+        await hub.poll(watcher);
+
+        expect(watcher.messageCount).toBe(2);
+        expect(watcher.lastSlot).toBe(3);
+        expect(events.slice(2).map(e => e.event)).toEqual(['message', 'slot']);
+    });
+
+    test('a watcher torn down mid-poll stops once a new one watches the process', async () => {
+        const node = createNode();
+        const hub = createHub(node);
+        const first = collect(hub);
+        const oldWatcher = hub.watchers.get(PROCESS_ID);
+        await oldWatcher.ready;
+
+        // Hold the old watcher's next poll until it has been replaced
+        let release;
+        const held = new Promise(resolve => { release = resolve; });
+        const fetchPath = node.fetchPath;
+        hub.fetchPath = async (requestPath, init) => {
+            hub.fetchPath = fetchPath;
+            await held;
+            return fetchPath(requestPath, init);
+        };
+        await wait(POLL_INTERVAL * 2);
+
+        hub.removeSubscriber(PROCESS_ID, first.subscriber);
+        collect(hub);
+        const newWatcher = hub.watchers.get(PROCESS_ID);
+        await newWatcher.ready;
+        release();
+        await wait(POLL_INTERVAL * 3);
+
+        expect(newWatcher).not.toBe(oldWatcher);
+        const timer = oldWatcher.timer;
+        await wait(POLL_INTERVAL * 3);
+        expect(oldWatcher.timer).toBe(timer);
+    });
+});
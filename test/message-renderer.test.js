@@ -0,0 +1,68 @@
+/**
+ * MessageRenderer on a jsdom document: code blocks, inline code, bold and
+ * italic, and http(s)-only links. Injection payloads are covered by
+ * test/xss-corpus.test.js.
+ */
+
+const { describe, test, expect } = require('bun:test');
+const { JSDOM } = require('jsdom');
+
+const dom = new JSDOM('<!doctype html><html><body></body></html>', { url: 'http://localhost/' });
+globalThis.window = dom.window;
+globalThis.document = dom.window.document;
+
+const MessageSanitizer = require('../js/message-sanitizer');
+const MessageRenderer = require('../js/message-renderer');
+
+const renderer = new MessageRenderer({}, new MessageSanitizer({}));
+
+/**
+ * Rendered text as HTML
+ */
+function render(text) {
+    const container = document.createElement('div');
+    container.appendChild(renderer.render(text));
+    return container.innerHTML;
+}
+
+describe('MessageRenderer', () => {
+    test('plain text stays text, with line breaks', () => {
+        expect(render('hello\nworld')).toBe('hello<br>world');
+        expect(render('<b>not bold</b> & co')).toBe('&lt;b&gt;not bold&lt;/b&gt; &amp; co');
+        expect(render('')).toBe('');
+        expect(render(null)).toBe('');
+    });
+
+    test('fenced code blocks keep their text as typed', () => {
+        expect(render('before\n```lua\nlocal x = **1**\n```\nafter'))
+            .toBe('before<br><pre class="message-code-block"><code data-language="lua">local x = **1**</code></pre><br>after');
+        expect(render('```<img src=x>```')).toBe('<pre class="message-code-block"><code>&lt;img src=x&gt;</code></pre>');
+    });
+
+    test('inline code, bold and italic', () => {
+        expect(render('run `bun test` now')).toBe('run <code class="message-code">bun test</code> now');
+        expect(render('**bold _and italic_**')).toBe('<strong>bold <em>and italic</em></strong>');
+        expect(render('_under_ and *star*')).toBe('<em>under</em> and <em>star</em>');
+    });
+
+    test('markers inside words or with spaces are left alone', () => {
+        expect(render('snake_case_name and 2*3*4')).toBe('snake_case_name and 2*3*4');
+        expect(render('a * b * c and ** x **')).toBe('a * b * c and ** x **');
+    });
+
+    test('http(s) URLs become links that open without an opener', () => {
+        const container = document.createElement('div');
+        container.appendChild(renderer.render('docs: https://example.com/a_(b)?q=1.'));
+        const link = container.querySelector('a');
+
+        expect(link.getAttribute('href')).toBe('https://example.com/a_(b)?q=1');
+        expect(link.getAttribute('rel')).toBe('noopener noreferrer');
+        expect(link.getAttribute('target')).toBe('_blank');
+        expect(container.textContent).toBe('docs: https://example.com/a_(b)?q=1.');
+    });
+
+    test('other schemes are never linked', () => {
+        expect(render('javascript:alert(1) ftp://example.com data:text/html,x')).not.toContain('<a');
+        expect(render('`https://example.com` in code')).not.toContain('<a');
+    });
+});
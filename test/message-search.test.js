@@ -0,0 +1,99 @@
+/**
+ * MessageSearch: prefix matching over the inverted index, re-indexing edited
+ * and deleted messages, and the author, wallet, date and slot filters.
+ */
+
+const { describe, test, expect } = require('bun:test');
+const MessageSearch = require('../js/message-search');
+
+const ALICE = 'alice'.padEnd(43, 'a');
+const BOB = 'bob'.padEnd(43, 'b');
+
+const MESSAGES = [
+    { id: '1', content: 'Deploying the new process', username: 'Alice', walletAddress: ALICE, timestamp: 1000, slot: 10 },
+    { id: '2', content: 'Process deployed, café time', username: 'bob', walletAddress: BOB, timestamp: 2000, slot: 20 },
+    { id: '3', content: 'The slot advanced to 30', username: 'Alice Smith', walletAddress: ALICE, timestamp: 3000, slot: 30 },
+    { id: '4', content: 'Old message from before slots', username: 'bob', walletAddress: BOB, timestamp: 4000, slot: null }
+];
+
+function createIndex(messages = MESSAGES) {
+    const search = new MessageSearch();
+    search.add(messages);
+    return search;
+}
+
+function ids(search, query, filters) {
+    return search.search(query, filters).results.map(message => message.id);
+}
+
+describe('MessageSearch', () => {
+    test('tokenizes into lowercase words without accents', () => {
+        const search = new MessageSearch();
+
+        expect(search.tokenize('Café, naïve DÉJÀ-vu x2 日本語')).toEqual(['cafe', 'naive', 'deja', 'vu', 'x2', '日本語']);
+        expect(search.tokenize(null)).toEqual([]);
+    });
+
+    test('every query word must match the start of a word, newest first', () => {
+        const search = createIndex();
+
+        expect(ids(search, 'proc')).toEqual(['2', '1']);
+        expect(ids(search, 'deploy process')).toEqual(['2', '1']);
+        expect(ids(search, 'deployed PROCESS')).toEqual(['2']);
+        expect(ids(search, 'cafe')).toEqual(['2']);
+        expect(ids(search, 'rocess')).toEqual([]);
+        expect(ids(search, 'process nothing')).toEqual([]);
+    });
+
+    test('an empty query lists everything the filters allow', () => {
+        const search = createIndex();
+
+        expect(ids(search, '')).toEqual(['4', '3', '2', '1']);
+        expect(search.search('', {}, 2)).toMatchObject({ total: 4 });
+        expect(search.search('', {}, 2).results).toHaveLength(2);
+    });
+
+    test('filters by author, wallet, date and slot', () => {
+        const search = createIndex();
+
+        expect(ids(search, '', { author: ' alice ' })).toEqual(['3', '1']);
+        expect(ids(search, '', { walletAddress: 'bob' })).toEqual(['4', '2']);
+        expect(ids(search, '', { walletAddress: 'bbb' })).toEqual([]);
+        expect(ids(search, '', { from: 2000, to: 3000 })).toEqual(['3', '2']);
+        expect(ids(search, '', { fromSlot: 20 })).toEqual(['3', '2']);
+        expect(ids(search, '', { toSlot: 15 })).toEqual(['1']);
+        expect(ids(search, 'process', { author: 'bob', fromSlot: 0, toSlot: 100 })).toEqual(['2']);
+    });
+
+    test('re-indexing a message replaces its words, and deleting drops it', () => {
+        const search = createIndex();
+        search.add([{ ...MESSAGES[0], content: 'Edited wording' }]);
+        search.add([{ ...MESSAGES[1], deleted: true }]);
+
+        expect(ids(search, 'deploying')).toEqual([]);
+        expect(ids(search, 'edited')).toEqual(['1']);
+        expect(ids(search, 'process')).toEqual([]);
+        expect(search.get(2)).toBeNull();
+        expect(search.size).toBe(3);
+        expect(search.postings.has('deploying')).toBe(false);
+    });
+
+    test('skips messages without an index, and clear empties the index', () => {
+        const search = createIndex([{ id: 'pending-1', content: 'not sent yet' }, ...MESSAGES]);
+        expect(search.size).toBe(4);
+
+        search.clear();
+        expect(search.size).toBe(0);
+        expect(ids(search, '')).toEqual([]);
+    });
+
+    test('matchesWord highlights words starting with a query term', () => {
+        const search = new MessageSearch();
+        const terms = search.tokenize('proc cafe');
+
+        expect(search.matchesWord('Process,', terms)).toBe(true);
+        expect(search.matchesWord('Café', terms)).toBe(true);
+        expect(search.matchesWord('preprocess', terms)).toBe(false);
+        expect(search.matchesWord('...', terms)).toBe(false);
+    });
+});
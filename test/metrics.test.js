@@ -0,0 +1,53 @@
+/**
+ * ServerMetrics labels: everything a client controls (method, path, process
+ * ID) must map to a bounded set of series.
+ */
+
+const { describe, test, expect } = require('bun:test');
+const ServerMetrics = require('../server/metrics');
+
+function record(metrics, method, pathname, status = 200) {
+    metrics.recordRequest({ method, url: new URL(`http://localhost${pathname}`), status, latency: 5, bytes: 10, ip: '127.0.0.1' });
+}
+
+describe('ServerMetrics', () => {
+    test('counts standard methods by name and anything else as other', () => {
+        const metrics = new ServerMetrics({ accessLog: false });
+        ['GET', 'POST', 'OPTIONS', 'PROPFIND', 'FOO', 'x'.repeat(50)].forEach(method => record(metrics, method, '/api/status'));
+
+        expect(Array.from(metrics.requests.keys()).sort()).toEqual([
+            'status|GET|200',
+            'status|OPTIONS|200',
+            'status|POST|200',
+            'status|other|200'
+        ]);
+        expect(metrics.requests.get('status|other|200')).toBe(3);
+        expect(metrics.renderPrometheus()).toContain('hyperbeam_chat_requests_total{route="status",method="other",status="200"} 3');
+    });
+
+    test('groups paths into fixed routes', () => {
+        const metrics = new ServerMetrics({ accessLog: false });
+        record(metrics, 'GET', '/api/hyperbeam/abc/now/messages/1');
+        record(metrics, 'GET', '/some/random/path');
+        record(metrics, 'GET', '/another/one', 404);
+
+        expect(metrics.getRequestsByRoute()).toEqual({
+            hyperbeam: { requests: 1, errors: 0 },
+            static: { requests: 2, errors: 0 }
+        });
+    });
+
+    test('keeps only the 100 most recently seen processes', () => {
+        const metrics = new ServerMetrics({ accessLog: false });
+        const processId = (n) => String(n).padStart(43, 'p');
+        for (let n = 0; n < 150; n++) {
+            record(metrics, 'GET', `/api/hyperbeam/${processId(n)}/now/lenmessages`);
+        }
+        record(metrics, 'GET', `/api/hyperbeam/${processId(60)}/now/lenmessages`);
+
+        expect(metrics.processes.size).toBe(100);
+        expect(metrics.processes.has(processId(49))).toBe(false);
+        expect(metrics.processes.get(processId(60)).requests).toBe(2);
+        expect(Array.from(metrics.processes.keys()).pop()).toBe(processId(60));
+    });
+});
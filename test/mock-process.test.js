@@ -0,0 +1,85 @@
+/**
+ * MockChatProcess: the handlers the mock node runs for each push action,
+ * which mirror the Lua process in HYPERBEAM_E2E_WORKFLOW.md.
+ */
+
+const { describe, test, expect } = require('bun:test');
+const MockChatProcess = require('../server/mock-process');
+
+const ALICE = 'a'.repeat(43);
+const BOB = 'b'.repeat(43);
+
+/**
+ * A process holding `count` messages from alice
+ */
+function createProcess(count = 1) {
+    const process = new MockChatProcess('p'.repeat(43));
+    for (let i = 1; i <= count; i++) {
+        process.schedule({ action: 'chat_message', chat: `message ${i}`, username: 'alice', committer: ALICE });
+    }
+    return process;
+}
+
+function react(process, params) {
+    return process.schedule({ action: 'reaction', ...params });
+}
+
+describe('MockChatProcess reactions', () => {
+    test('records one reaction per wallet and emoji', () => {
+        const process = createProcess(2);
+        react(process, { index: '1', emoji: '👍', committer: ALICE });
+        react(process, { index: '1', emoji: '👍', committer: BOB });
+        react(process, { index: '1', emoji: '👍', committer: BOB });
+        react(process, { index: '2', emoji: '🎉', committer: BOB });
+
+        expect(process.reactions).toEqual({ 1: { '👍': [ALICE, BOB] }, 2: { '🎉': [BOB] } });
+        expect(process.lenreactions).toBe(4);
+    });
+
+    test('remove=true takes a reaction back and drops emptied entries', () => {
+        const process = createProcess();
+        react(process, { index: '1', emoji: '👍', committer: ALICE });
+        const result = react(process, { index: '1', emoji: '👍', committer: ALICE, remove: 'true' });
+
+        expect(result.outbox).toEqual([{ cache: { index: 1, emoji: '👍', reactors: 0 } }]);
+        expect(process.reactions).toEqual({});
+        expect(process.getState().lenreactions).toBe(2);
+    });
+
+    test('ignores unsigned reactions, unknown messages and bad emoji', () => {
+        const process = createProcess();
+        react(process, { index: '1', emoji: '👍' });
+        react(process, { index: '1', emoji: '👍', wallet_address: ALICE });
+        react(process, { index: '5', emoji: '👍', committer: ALICE });
+        react(process, { index: '1', emoji: '', committer: ALICE });
+        react(process, { index: '1', emoji: 'x'.repeat(33), committer: ALICE });
+
+        expect(process.reactions).toEqual({});
+        expect(process.lenreactions).toBe(0);
+    });
+});
+
+describe('MockChatProcess replies', () => {
+    test('keeps reply_to only when it points at an existing message', () => {
+        const process = createProcess(2);
+        process.schedule({ action: 'chat_message', chat: 'reply', reply_to: '2', committer: BOB });
+        process.schedule({ action: 'chat_message', chat: 'dangling', reply_to: '9', committer: BOB });
+        process.schedule({ action: 'chat_message', chat: 'junk', reply_to: 'abc', committer: BOB });
+
+        expect([3, 4, 5].map(index => process.getMessage(index).reply_to)).toEqual([2, null, null]);
+    });
+});
+
+describe('MockChatProcess mentions', () => {
+    test('keeps up to ten well-formed wallets from the mentions param', () => {
+        const wallets = Array.from({ length: 12 }, (_, i) => String(i).padStart(43, 'w'));
+        const process = createProcess();
+        process.schedule({ action: 'chat_message', chat: 'hi', mentions: `${BOB},not-a-wallet,${ALICE}` });
+        process.schedule({ action: 'chat_message', chat: 'all', mentions: wallets.join(',') });
+        process.schedule({ action: 'chat_message', chat: 'none', mentions: 'nope' });
+
+        expect(process.getMessage(2).mentions).toBe(`${BOB},${ALICE}`);
+        expect(process.getMessage(3).mentions).toBe(wallets.slice(0, 10).join(','));
+        expect(process.getMessage(4).mentions).toBeNull();
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Runs `server.js --mock` and drives the in-memory chat process through the
+ * proxy the same way the browser does: push, lenmessages, then /now/messages/N.
+ */
+
+const { describe, test, expect, beforeAll, afterAll } = require('bun:test');
+const path = require('path');
+const buildPushPath = require('../js/push-path');
+
+const PROCESS_ID = 'abcdefghijabcdefghijabcdefghijabcdefghij123';
+const STARTUP_TIMEOUT = 10000;
+
+let server;
+let baseUrl;
+
+/**
+ * Start the server on a random port and resolve with the port it reports
+ */
+async function startServer() {
+    server = Bun.spawn(['bun', 'server.js', '--mock', '--no-access-log', '--no-cache', '--port', String(20000 + Math.floor(Math.random() * 20000))], {
+        cwd: path.join(__dirname, '..'),
+        stdout: 'pipe',
+        stderr: 'inherit'
+    });
+
+    const reader = server.stdout.getReader();
+    const decoder = new TextDecoder();
+    const deadline = Date.now() + STARTUP_TIMEOUT;
+    let output = '';
+    while (Date.now() < deadline) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        output += decoder.decode(value);
+        const match = output.match(/server running on port (\d+)/);
+        if (match) {
+            reader.releaseLock();
+            return parseInt(match[1]);
+        }
+    }
+    throw new Error(`Server did not start:\n${output}`);
+}
+
+async function hyperbeam(requestPath, init) {
+    return fetch(`${baseUrl}/api/hyperbeam${requestPath}`, init);
+}
+
+async function getJson(requestPath, init) {
+    const response = await hyperbeam(requestPath, init);
+    expect(response.status).toBe(200);
+    return response.json();
+}
+
+async function push(params, init) {
+    return getJson(buildPushPath(PROCESS_ID, 'chat_message', params), init);
+}
+
+async function messageCount() {
+    return (await getJson(`/${PROCESS_ID}/now/lenmessages/serialize~json@1.0`)).body;
+}
+
+beforeAll(async () => {
+    baseUrl = `http://localhost:${await startServer()}`;
+});
+
+afterAll(() => {
+    server?.kill();
+});
+
+describe('server.js --mock', () => {
+    test('push schedules the message and returns its slot', async () => {
+        const result = await push({ chat: 'hello', username: 'alice', nonce: 'push-1' });
+
+        expect(result.slot).toBeGreaterThan(0);
+        expect(result.action).toBe('chat_message');
+    });
+
+    test('lenmessages counts every pushed message', async () => {
+        const before = await messageCount();
+        await push({ chat: 'one', username: 'alice', nonce: 'count-1' });
+        await push({ chat: 'two', username: 'alice', nonce: 'count-2' });
+
+        expect(await messageCount()).toBe(before + 2);
+    });
+
+    test('messages/N returns the message as pushed', async () => {
+        const content = 'see https://example.com/a?b=1#top && 100% / done';
+        await push({ chat: content, username: 'bob', nonce: 'fetch-1', timestamp: 1 });
+        const count = await messageCount();
+
+        const message = await getJson(`/${PROCESS_ID}/now/messages/${count}/serialize~json@1.0`);
+        expect(message.content).toBe(content);
+        expect(message.username).toBe('bob');
+        expect(message.nonce).toBe('fetch-1');
+        // The scheduler's block-timestamp wins over the client's timestamp param
+        expect(message.timestamp).toBeGreaterThan(1);
+    });
+
+    test('the wallet is the signer, not the wallet_address param', async () => {
+        const signed = await hyperbeam(buildPushPath(PROCESS_ID, 'whoami', {}));
+        const cookie = signed.headers.get('set-cookie').split(';')[0];
+        await signed.text();
+
+        await push({ chat: 'signed', username: 'carol', nonce: 'wallet-1', wallet_address: 'spoofed' }, { headers: { cookie } });
+        const message = await getJson(`/${PROCESS_ID}/now/messages/${await messageCount()}/serialize~json@1.0`);
+
+        expect(message.wallet_address).not.toBe('spoofed');
+        expect(message.wallet_address).toMatch(/^[a-zA-Z0-9_-]{43}$/);
+    });
+
+    test('unlisted origins can\'t push in either path form', async () => {
+        const pushPath = buildPushPath(PROCESS_ID, 'chat_message', { chat: 'cross-origin', nonce: 'origin-1' });
+        const headers = { origin: 'https://evil.example' };
+        const before = await messageCount();
+
+        for (const requestPath of [pushPath, pushPath.replace(`/${PROCESS_ID}/`, `/${PROCESS_ID}~process@1.0/`)]) {
+            const response = await hyperbeam(requestPath, { headers });
+            await response.text();
+            expect(response.status).toBe(403);
+        }
+        expect(await messageCount()).toBe(before);
+    });
+
+    test('messages past the end are not found', async () => {
+        const response = await hyperbeam(`/${PROCESS_ID}/now/messages/${await messageCount() + 1}/serialize~json@1.0`);
+        await response.text();
+
+        expect(response.status).toBe(404);
+    });
+});
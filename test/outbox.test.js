@@ -0,0 +1,134 @@
+/**
+ * Outbox: backoff between retries, giving up, manual retries and what
+ * survives a reload, against an in-memory localStorage.
+ */
+
+const { describe, test, expect, beforeEach, afterEach, spyOn } = require('bun:test');
+const Outbox = require('../js/outbox');
+
+const ROOM = 'r'.repeat(43);
+const OTHER_ROOM = 's'.repeat(43);
+const MESSAGE = { content: 'hello', username: 'alice', walletAddress: null, nonce: 'n-1' };
+
+function createOutbox(settings = { RETRY_BASE_DELAY: 1000, MAX_RETRY_DELAY: 10000, MAX_ATTEMPTS: 4 }) {
+    return new Outbox({ OUTBOX: settings, debug: () => {} });
+}
+
+beforeEach(() => {
+    const items = new Map();
+    globalThis.localStorage = {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+});
+
+describe('Outbox backoff', () => {
+    let random;
+
+    // Jitter at its midpoint, so delays are exact
+    beforeEach(() => {
+        random = spyOn(Math, 'random').mockReturnValue(0.5);
+    });
+
+    afterEach(() => {
+        random.mockRestore();
+    });
+
+    test('doubles the delay per attempt up to MAX_RETRY_DELAY', () => {
+        const outbox = createOutbox();
+
+        expect([1, 2, 3, 4, 5, 6].map(attempts => outbox.getRetryDelay(attempts))).toEqual([1000, 2000, 4000, 8000, 10000, 10000]);
+    });
+
+    test('jitters each delay by up to a quarter either way', () => {
+        const outbox = createOutbox();
+
+        random.mockReturnValue(0);
+        expect(outbox.getRetryDelay(2)).toBe(1500);
+        random.mockReturnValue(0.999999);
+        expect(outbox.getRetryDelay(2)).toBeCloseTo(2500, 0);
+    });
+
+    test('a Retry-After from a 429 replaces the backoff', () => {
+        const outbox = createOutbox();
+        const before = Date.now();
+
+        const entry = outbox.add(ROOM, MESSAGE, 'HTTP 429', { retryAfter: 30 });
+        expect(entry.nextAttemptAt - before).toBeGreaterThanOrEqual(30000);
+        expect(entry.nextAttemptAt - Date.now()).toBeLessThanOrEqual(30000);
+    });
+
+    test('falls back to the default settings', () => {
+        const outbox = createOutbox({});
+
+        expect(outbox.getRetryDelay(1)).toBe(2000);
+        expect(outbox.getRetryDelay(20)).toBe(60000);
+    });
+});
+
+describe('Outbox entries', () => {
+    test('a new entry waits one backoff step and keeps its nonce', () => {
+        const outbox = createOutbox();
+        const entry = outbox.add(ROOM, MESSAGE, 'offline');
+
+        expect(entry).toMatchObject({ processId: ROOM, nonce: 'n-1', attempts: 1, lastError: 'offline', gaveUp: false });
+        expect(outbox.getDue(ROOM)).toEqual([]);
+        expect(outbox.getDue(ROOM, entry.nextAttemptAt)).toEqual([entry]);
+        expect(outbox.getNextAttemptAt(ROOM)).toBe(entry.nextAttemptAt);
+    });
+
+    test('gives up after MAX_ATTEMPTS or on a failure retrying won\'t fix', () => {
+        const outbox = createOutbox();
+        const entry = outbox.add(ROOM, MESSAGE, 'offline');
+        for (let i = 0; i < 3; i++) {
+            outbox.recordFailure(entry.id, 'offline');
+        }
+        expect(entry.attempts).toBe(4);
+        expect(entry.gaveUp).toBe(true);
+        expect(entry.nextAttemptAt).toBeNull();
+
+        const rejected = outbox.add(ROOM, MESSAGE, 'HTTP 400', { retryable: false });
+        expect(rejected.gaveUp).toBe(true);
+        expect(outbox.getDue(ROOM, Infinity)).toEqual([]);
+        expect(outbox.getNextAttemptAt(ROOM)).toBeNull();
+    });
+
+    test('a manual retry makes a given-up entry due again', () => {
+        const outbox = createOutbox();
+        const entry = outbox.add(ROOM, MESSAGE, 'HTTP 400', { retryable: false });
+
+        outbox.resetEntry(entry.id);
+        expect(entry.gaveUp).toBe(false);
+        expect(outbox.getDue(ROOM)).toEqual([entry]);
+    });
+
+    test('retryAllNow makes waiting entries due, but not given-up ones', () => {
+        const outbox = createOutbox();
+        const waiting = outbox.add(ROOM, MESSAGE, 'offline');
+        outbox.add(ROOM, MESSAGE, 'HTTP 400', { retryable: false });
+
+        outbox.retryAllNow();
+        expect(outbox.getDue(ROOM)).toEqual([waiting]);
+    });
+
+    test('entries belong to their room and survive a reload', () => {
+        const outbox = createOutbox();
+        const entry = outbox.add(ROOM, MESSAGE, 'offline');
+        const other = outbox.add(OTHER_ROOM, { ...MESSAGE, nonce: 'n-2' }, 'offline');
+        outbox.remove(other.id);
+
+        const reloaded = createOutbox();
+        expect(reloaded.getForProcess(ROOM)).toEqual([entry]);
+        expect(reloaded.getForProcess(OTHER_ROOM)).toEqual([]);
+        expect(reloaded.remove('missing')).toBeNull();
+    });
+
+    test('drops malformed saved entries and survives corrupt storage', () => {
+        localStorage.setItem('hyperbeam-outbox', JSON.stringify([{ id: 'a', processId: ROOM, content: 'ok' }, { id: 'b', processId: ROOM }, null]));
+        expect(createOutbox().entries.map(entry => entry.id)).toEqual(['a']);
+
+        localStorage.setItem('hyperbeam-outbox', '[not json');
+        expect(createOutbox().entries).toEqual([]);
+    });
+});
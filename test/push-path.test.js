@@ -0,0 +1,51 @@
+/**
+ * buildPushPath: whatever a message contains, the push path carries it to
+ * the node intact. Paths are read back with PushRateLimiter.parsePush, which
+ * splits them the way the proxy and the node do.
+ */
+
+const { describe, test, expect } = require('bun:test');
+const buildPushPath = require('../js/push-path');
+const PushRateLimiter = require('../server/rate-limiter');
+
+const PROCESS_ID = 'p'.repeat(43);
+const limiter = new PushRateLimiter({ log: () => {} });
+
+describe('buildPushPath', () => {
+    test('builds a signed push with the action first', () => {
+        expect(buildPushPath(PROCESS_ID, 'chat_message', { chat: 'hi', username: 'alice' }))
+            .toBe(`/${PROCESS_ID}/push&action=chat_message&chat=hi&username=alice&!/serialize~json@1.0`);
+    });
+
+    test('characters that would end the path or a param are encoded', () => {
+        const pushPath = buildPushPath(PROCESS_ID, 'chat_message', { chat: 'a/b&c=d#e?f%g+h i' });
+        const params = pushPath.substring(`/${PROCESS_ID}/push`.length, pushPath.indexOf('/serialize'));
+
+        expect(params).not.toMatch(/[/#? ]/);
+        expect(params.split('&')).toEqual(['', 'action=chat_message', 'chat=a%2Fb%26c%3Dd%23e%3Ff%25g%2Bh%20i', '!']);
+    });
+
+    test('message text survives the round trip to the node', () => {
+        const messages = [
+            'see https://example.com/a?b=1&c=2#top',
+            '100% / done && more?',
+            'ünïcödé, 日本語 and emoji 🎉👍🏽',
+            'line one\nline two\ttabbed',
+            '=leading equals & trailing=',
+            '%2F already encoded %'
+        ];
+
+        messages.forEach(chat => {
+            const push = limiter.parsePush(buildPushPath(PROCESS_ID, 'chat_message', { chat, nonce: 'n/1' }));
+            expect(push.processId).toBe(PROCESS_ID);
+            expect(push.fields).toMatchObject({ action: 'chat_message', chat, nonce: 'n/1' });
+        });
+    });
+
+    test('encodes the action and param names as well', () => {
+        const pushPath = buildPushPath(PROCESS_ID, 'odd&action', { 'a&b': 1, reply_to: 12 });
+
+        expect(pushPath).toContain('&a%26b=1&');
+        expect(limiter.parsePush(pushPath).fields).toMatchObject({ action: 'odd&action', reply_to: '12' });
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * PushRateLimiter: which paths count as pushes, the size limit and the IP and
+ * wallet token buckets.
+ */
+
+const { describe, test, expect, afterEach } = require('bun:test');
+const PushRateLimiter = require('../server/rate-limiter');
+const buildPushPath = require('../js/push-path');
+
+const PROCESS_ID = 'abcdefghijabcdefghijabcdefghijabcdefghij123';
+const PUSH_PATH = buildPushPath(PROCESS_ID, 'chat_message', { chat: 'hello', nonce: 'n1' });
+const PROCESS_PUSH_PATH = PUSH_PATH.replace(`/${PROCESS_ID}/`, `/${PROCESS_ID}~process@1.0/`);
+
+let limiters = [];
+
+function createLimiter(options) {
+    const limiter = new PushRateLimiter({ log: () => {}, ...options });
+    limiters.push(limiter);
+    return limiter;
+}
+
+afterEach(() => {
+    limiters.forEach(limiter => clearInterval(limiter.pruneTimer));
+    limiters = [];
+});
+
+describe('PushRateLimiter.isPush', () => {
+    test('matches both push path forms', () => {
+        expect(PushRateLimiter.isPush(PUSH_PATH)).toBe(true);
+        expect(PushRateLimiter.isPush(PROCESS_PUSH_PATH)).toBe(true);
+        expect(PushRateLimiter.isPush(`/${PROCESS_ID}/push?chat=hi`)).toBe(true);
+    });
+
+    test('ignores reads, including ones mentioning /push in the query', () => {
+        expect(PushRateLimiter.isPush(`/${PROCESS_ID}/now/messages/1/serialize~json@1.0`)).toBe(false);
+        expect(PushRateLimiter.isPush(`/${PROCESS_ID}/now/pushes`)).toBe(false);
+        expect(PushRateLimiter.isPush(`/${PROCESS_ID}/now?next=/push&x=1`)).toBe(false);
+    });
+});
+
+describe('PushRateLimiter.check', () => {
+    test('limits both path forms from the same IP', () => {
+        const limiter = createLimiter({ ipPerMinute: 30, burst: 2 });
+
+        expect(limiter.check({ ip: '10.0.0.1', requestPath: PUSH_PATH })).toBeNull();
+        expect(limiter.check({ ip: '10.0.0.1', requestPath: PROCESS_PUSH_PATH })).toBeNull();
+        const rejected = limiter.check({ ip: '10.0.0.1', requestPath: PROCESS_PUSH_PATH });
+
+        expect(rejected.status).toBe(429);
+        expect(rejected.reason).toBe('ip');
+        expect(rejected.retryAfter).toBeGreaterThan(0);
+        expect(limiter.check({ ip: '10.0.0.2', requestPath: PUSH_PATH })).toBeNull();
+    });
+
+    test('never limits reads', () => {
+        const limiter = createLimiter({ ipPerMinute: 1, burst: 1 });
+        const readPath = `/${PROCESS_ID}/now/lenmessages/serialize~json@1.0`;
+
+        for (let i = 0; i < 5; i++) {
+            expect(limiter.check({ ip: '10.0.0.1', requestPath: readPath })).toBeNull();
+        }
+    });
+
+    test('keys the wallet bucket on the secret cookie, not wallet_address', () => {
+        const limiter = createLimiter({ ipPerMinute: 0, walletPerMinute: 30, burst: 1 });
+        const spoofed = buildPushPath(PROCESS_ID, 'chat_message', { chat: 'hi', wallet_address: 'someone-else' });
+
+        expect(limiter.check({ ip: '10.0.0.1', cookie: 'secret=abc', requestPath: PUSH_PATH })).toBeNull();
+        expect(limiter.check({ ip: '10.0.0.2', cookie: 'theme=dark; secret=abc', requestPath: spoofed }).reason).toBe('wallet');
+        expect(limiter.check({ ip: '10.0.0.1', cookie: 'secret=def', requestPath: PUSH_PATH })).toBeNull();
+        // No cookie: only the (disabled) IP bucket applies
+        expect(limiter.check({ ip: '10.0.0.1', requestPath: spoofed })).toBeNull();
+    });
+
+    test('rejects decoded params plus body over maxBytes in either path form', () => {
+        const limiter = createLimiter({ maxBytes: 100 });
+        const large = buildPushPath(PROCESS_ID, 'chat_message', { chat: '€'.repeat(40) });
+
+        expect(limiter.check({ ip: '10.0.0.1', requestPath: large }).status).toBe(413);
+        expect(limiter.check({ ip: '10.0.0.1', requestPath: large.replace(`/${PROCESS_ID}/`, `/${PROCESS_ID}~process@1.0/`) }).status).toBe(413);
+        expect(limiter.check({ ip: '10.0.0.1', requestPath: PUSH_PATH, body: 'x'.repeat(101) }).reason).toBe('size');
+        expect(limiter.check({ ip: '10.0.0.1', requestPath: `/${PROCESS_ID}/push?chat=${'x'.repeat(101)}` }).reason).toBe('size');
+    });
+
+    test('a burst of 0 turns the buckets off', () => {
+        const limiter = createLimiter({ ipPerMinute: 1, walletPerMinute: 1, burst: 0 });
+
+        for (let i = 0; i < 5; i++) {
+            expect(limiter.check({ ip: '10.0.0.1', cookie: 'secret=abc', requestPath: PUSH_PATH })).toBeNull();
+        }
+    });
+
+    test('a limit of 0 turns that check off', () => {
+        const limiter = createLimiter({ ipPerMinute: 0, maxBytes: 0, burst: 1 });
+
+        expect(limiter.check({ ip: '10.0.0.1', requestPath: PUSH_PATH, body: 'x'.repeat(100000) })).toBeNull();
+        expect(limiter.check({ ip: '10.0.0.1', requestPath: PUSH_PATH })).toBeNull();
+    });
+});
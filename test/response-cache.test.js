@@ -0,0 +1,136 @@
+/**
+ * ResponseCache rules: what may be cached, slot-scoped invalidation, and when
+ * entries persisted to disk are served again.
+ */
+
+const { describe, test, expect, afterEach } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ResponseCache = require('../server/response-cache');
+
+const PROCESS_ID = 'abcdefghijabcdefghijabcdefghijabcdefghij123';
+const MESSAGE_PATH = `/${PROCESS_ID}/now/messages/1/serialize~json@1.0`;
+const COUNT_PATH = `/${PROCESS_ID}/now/lenmessages/serialize~json@1.0`;
+const AT_SLOT_PATH = `/${PROCESS_ID}/compute/at-slot`;
+const RESPONSE = { status: 200, contentType: 'application/json', body: '{"content":"hi"}', node: 'http://localhost:8734' };
+
+const resultsPath = (slot) => `/${PROCESS_ID}~process@1.0/compute&slot=${slot}/results/serialize~json@1.0`;
+
+let cacheDirs = [];
+
+function createCache(options = {}) {
+    return new ResponseCache({ log: () => {}, ...options });
+}
+
+function createDiskCache() {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'response-cache-'));
+    cacheDirs.push(cacheDir);
+    return { cacheDir, create: () => createCache({ cacheDir }) };
+}
+
+/**
+ * Wait for the background disk writes to land
+ */
+async function flushDisk(cacheDir) {
+    for (let i = 0; i < 50; i++) {
+        const dir = path.join(cacheDir, PROCESS_ID);
+        if (fs.existsSync(dir) && fs.readdirSync(dir).length > 0) return;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Wait for the background removal of the process directory
+ */
+async function waitForRemoval(cacheDir) {
+    for (let i = 0; i < 50; i++) {
+        if (!fs.existsSync(path.join(cacheDir, PROCESS_ID))) return;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+afterEach(() => {
+    cacheDirs.forEach(cacheDir => fs.rmSync(cacheDir, { recursive: true, force: true }));
+    cacheDirs = [];
+});
+
+describe('ResponseCache', () => {
+    test('caches messages for GET only', () => {
+        const cache = createCache();
+
+        expect(cache.set(MESSAGE_PATH, RESPONSE, 'POST')).toBe(false);
+        expect(cache.get(MESSAGE_PATH, 'GET')).toBeNull();
+
+        expect(cache.set(MESSAGE_PATH, RESPONSE, 'GET')).toBe(true);
+        expect(cache.get(MESSAGE_PATH, 'GET').body).toBe(RESPONSE.body);
+        expect(cache.get(MESSAGE_PATH, 'HEAD')).toBeNull();
+        expect(cache.get(MESSAGE_PATH, 'DELETE')).toBeNull();
+    });
+
+    test('only caches compute results for slots before the current one', () => {
+        const cache = createCache();
+        expect(cache.classify(resultsPath(5))).toBeNull(); // Slot unknown yet
+
+        cache.observe(AT_SLOT_PATH, '10');
+        expect(cache.classify(resultsPath(9))).toEqual(expect.objectContaining({ immutable: true, slot: 9 }));
+        expect(cache.classify(resultsPath(10))).toBeNull();
+        expect(cache.classify(resultsPath(11))).toBeNull();
+    });
+
+    test('drops message counts when the slot advances or a push goes through', () => {
+        const cache = createCache();
+        cache.observe(AT_SLOT_PATH, '10');
+        cache.set(COUNT_PATH, RESPONSE);
+        expect(cache.get(COUNT_PATH)).not.toBeNull();
+
+        cache.observe(AT_SLOT_PATH, '11');
+        expect(cache.get(COUNT_PATH)).toBeNull();
+
+        for (const pushPath of [`/${PROCESS_ID}/push&action=chat_message&chat=hi`, `/${PROCESS_ID}~process@1.0/push&action=chat_message`]) {
+            cache.set(COUNT_PATH, RESPONSE);
+            expect(cache.isObserved(pushPath)).toBe(true);
+            cache.observe(pushPath, '{}');
+            expect(cache.get(COUNT_PATH)).toBeNull();
+        }
+    });
+
+    test('serves disk entries only once the slot was seen and is not behind them', async () => {
+        const disk = createDiskCache();
+        const writer = disk.create();
+        writer.observe(AT_SLOT_PATH, '10');
+        writer.set(MESSAGE_PATH, RESPONSE);
+        await flushDisk(disk.cacheDir);
+
+        // A restart: the process slot hasn't been seen yet
+        const reader = disk.create();
+        expect(reader.get(MESSAGE_PATH)).toBeNull();
+
+        reader.observe(AT_SLOT_PATH, '12');
+        expect(reader.get(MESSAGE_PATH).body).toBe(RESPONSE.body);
+        expect(reader.getStats().diskHits).toBe(1);
+
+        // Written at slot 10, but the process is now at 4: it was reset while we were down
+        const afterReset = disk.create();
+        afterReset.observe(AT_SLOT_PATH, '4');
+        expect(afterReset.isCurrent({ processId: PROCESS_ID, slot: 10 })).toBe(false);
+        expect(afterReset.isCurrent({ processId: PROCESS_ID, slot: 4 })).toBe(true);
+        expect(afterReset.get(MESSAGE_PATH)).toBeNull();
+    });
+
+    test('a reset removes the process directory in the background', async () => {
+        const disk = createDiskCache();
+        const cache = disk.create();
+        cache.observe(AT_SLOT_PATH, '10');
+        cache.set(MESSAGE_PATH, RESPONSE);
+        await flushDisk(disk.cacheDir);
+
+        // Until the directory is gone its entries fail isCurrent
+        cache.observe(AT_SLOT_PATH, '4');
+        expect(cache.get(MESSAGE_PATH)).toBeNull();
+        await waitForRemoval(disk.cacheDir);
+
+        expect(fs.existsSync(path.join(disk.cacheDir, PROCESS_ID))).toBe(false);
+        expect(fs.existsSync(path.join(disk.cacheDir, 'slots.json'))).toBe(true);
+    });
+});
@@ -0,0 +1,193 @@
+/**
+ * RoomManager: the room list, the remembered open room, unread counts and
+ * what survives a reload, against an in-memory localStorage. Also the
+ * background room check in ChatSystem that feeds the unread counts.
+ */
+
+const { describe, test, expect, beforeEach } = require('bun:test');
+const RoomManager = require('../js/room-manager');
+const ChatSystem = require('../js/chat');
+
+const MAIN_ROOM = 'm'.repeat(43);
+const OTHER_ROOM = 'o'.repeat(43);
+const THIRD_ROOM = 't'.repeat(43);
+
+/**
+ * The bits of CONFIG RoomManager uses; updateProcessId accepts any valid ID
+ */
+function createConfig(processId = MAIN_ROOM) {
+    return {
+        PROCESS_ID: processId,
+        debug: () => {},
+        updateProcessId(newProcessId) {
+            if (!/^[a-zA-Z0-9_-]{43}$/.test(newProcessId)) {
+                return { success: false };
+            }
+            this.PROCESS_ID = newProcessId;
+            return { success: true };
+        }
+    };
+}
+
+beforeEach(() => {
+    const items = new Map();
+    globalThis.localStorage = {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+});
+
+describe('RoomManager rooms', () => {
+    test('starts with the configured process as the open room', () => {
+        const rooms = new RoomManager(createConfig());
+
+        expect(rooms.getRooms()).toEqual([{ processId: MAIN_ROOM, name: 'Main Room', lastReadIndex: null, unread: 0 }]);
+        expect(rooms.getActiveRoom().processId).toBe(MAIN_ROOM);
+    });
+
+    test('adds rooms with checked IDs and tidied names', () => {
+        const rooms = new RoomManager(createConfig());
+        const changes = [];
+        rooms.on('change', ({ rooms: list }) => changes.push(list.length));
+
+        expect(rooms.addRoom(` ${OTHER_ROOM} `, '  Side \n  chat  ').room.name).toBe('Side chat');
+        expect(rooms.addRoom(THIRD_ROOM, '').room.name).toBe('Room tttttt');
+        expect(rooms.addRoom(OTHER_ROOM, 'again').success).toBe(false);
+        expect(rooms.addRoom('short', 'bad').success).toBe(false);
+        expect(rooms.addRoom(THIRD_ROOM.replace('t', '/'), 'bad').success).toBe(false);
+        expect(changes).toEqual([2, 3]);
+    });
+
+    test('only removes background rooms', () => {
+        const rooms = new RoomManager(createConfig());
+        rooms.addRoom(OTHER_ROOM, 'Side');
+
+        expect(rooms.removeRoom(MAIN_ROOM).success).toBe(false);
+        expect(rooms.removeRoom(THIRD_ROOM).success).toBe(false);
+        expect(rooms.removeRoom(OTHER_ROOM).success).toBe(true);
+        expect(rooms.getRooms().map(room => room.processId)).toEqual([MAIN_ROOM]);
+    });
+
+    test('remembers rooms and the last open room across reloads', () => {
+        const rooms = new RoomManager(createConfig());
+        rooms.addRoom(OTHER_ROOM, 'Side');
+        rooms.setActive(OTHER_ROOM);
+
+        const config = createConfig();
+        const reloaded = new RoomManager(config);
+        expect(reloaded.getRooms().map(room => room.name)).toEqual(['Main Room', 'Side']);
+        expect(reloaded.restoreActiveRoom()).toBe(OTHER_ROOM);
+        expect(config.PROCESS_ID).toBe(OTHER_ROOM);
+    });
+
+    test('drops saved rooms with invalid IDs and survives corrupt storage', () => {
+        localStorage.setItem('hyperbeam-rooms', JSON.stringify([{ processId: 'nope', name: 'x' }, { processId: OTHER_ROOM, name: 'Side' }, null]));
+        expect(new RoomManager(createConfig()).getRooms().map(room => room.processId)).toEqual([MAIN_ROOM, OTHER_ROOM]);
+
+        localStorage.setItem('hyperbeam-rooms', '{ not json');
+        localStorage.setItem('hyperbeam-active-room', THIRD_ROOM);
+        const rooms = new RoomManager(createConfig());
+        expect(rooms.getRooms().map(room => room.processId)).toEqual([MAIN_ROOM]);
+        expect(rooms.getActiveRoom().processId).toBe(MAIN_ROOM);
+    });
+});
+
+describe('RoomManager unread counts', () => {
+    test('the first count seen is the baseline, later ones are unread', () => {
+        const rooms = new RoomManager(createConfig());
+        rooms.addRoom(OTHER_ROOM, 'Side');
+
+        rooms.updateMessageCount(OTHER_ROOM, 10);
+        expect(rooms.getRoom(OTHER_ROOM).unread).toBe(0);
+        rooms.updateMessageCount(OTHER_ROOM, 13);
+        expect(rooms.getRoom(OTHER_ROOM).unread).toBe(3);
+    });
+
+    test('failed counts and the open room never add unread messages', () => {
+        const rooms = new RoomManager(createConfig());
+        rooms.addRoom(OTHER_ROOM, 'Side');
+        rooms.updateMessageCount(OTHER_ROOM, 10);
+
+        rooms.updateMessageCount(OTHER_ROOM, 0);
+        rooms.updateMessageCount(OTHER_ROOM, null);
+        expect(rooms.getRoom(OTHER_ROOM).lastReadIndex).toBe(10);
+        expect(rooms.getRoom(OTHER_ROOM).unread).toBe(0);
+
+        rooms.updateMessageCount(MAIN_ROOM, 5);
+        rooms.updateMessageCount(MAIN_ROOM, 9);
+        expect(rooms.getRoom(MAIN_ROOM).unread).toBe(0);
+    });
+
+    test('opening a room clears its unread count and keeps the read position', () => {
+        const rooms = new RoomManager(createConfig());
+        rooms.addRoom(OTHER_ROOM, 'Side');
+        rooms.updateMessageCount(OTHER_ROOM, 10);
+        rooms.updateMessageCount(OTHER_ROOM, 14);
+
+        rooms.setActive(OTHER_ROOM);
+        expect(rooms.getRoom(OTHER_ROOM).unread).toBe(0);
+
+        // An empty history (0) doesn't move the read position back
+        rooms.markRead(OTHER_ROOM, 0);
+        rooms.markRead(OTHER_ROOM, 14);
+        rooms.setActive(MAIN_ROOM);
+        rooms.updateMessageCount(OTHER_ROOM, 16);
+        expect(rooms.getRoom(OTHER_ROOM).unread).toBe(2);
+        expect(new RoomManager(createConfig()).getRoom(OTHER_ROOM).lastReadIndex).toBe(14);
+    });
+});
+
+describe('ChatSystem.checkBackgroundRooms', () => {
+    /**
+     * A ChatSystem without the DOM, watching rooms whose slot and count are set
+     * by the test
+     */
+    function createChat(openRoom, state) {
+        const chat = Object.create(ChatSystem.prototype);
+        chat.config = createConfig();
+        chat.eventHandlers = { roomActivity: [] };
+        chat.chatHistory = { processId: openRoom };
+        chat.rooms = new Map();
+        chat.watchedRoomIds = new Set(Object.keys(state));
+        for (const [processId, room] of Object.entries(state)) {
+            chat.rooms.set(processId, {
+                messages: [],
+                watchSlot: null,
+                chatHistory: {
+                    getCurrentSlot: async () => room.slot,
+                    getMessageCount: async () => room.count
+                }
+            });
+        }
+        return chat;
+    }
+
+    test('reports a room only when its slot moves, and skips the open room', async () => {
+        const state = { [MAIN_ROOM]: { slot: 5, count: 1 }, [OTHER_ROOM]: { slot: 7, count: 3 } };
+        const chat = createChat(MAIN_ROOM, state);
+        const activity = [];
+        chat.on('roomActivity', event => activity.push(event));
+
+        await chat.checkBackgroundRooms();
+        await chat.checkBackgroundRooms();
+        Object.assign(state[OTHER_ROOM], { slot: 8, count: 4 });
+        Object.assign(state[MAIN_ROOM], { slot: 6, count: 2 });
+        await chat.checkBackgroundRooms();
+
+        expect(activity).toEqual([
+            { processId: OTHER_ROOM, slot: 7, messageCount: 3 },
+            { processId: OTHER_ROOM, slot: 8, messageCount: 4 }
+        ]);
+    });
+
+    test('an unknown slot is not activity', async () => {
+        const chat = createChat(MAIN_ROOM, { [OTHER_ROOM]: { slot: null, count: 3 } });
+        const activity = [];
+        chat.on('roomActivity', event => activity.push(event));
+
+        await chat.checkBackgroundRooms();
+        expect(activity).toEqual([]);
+        expect(chat.rooms.get(OTHER_ROOM).watchSlot).toBeNull();
+    });
+});
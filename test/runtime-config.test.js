@@ -0,0 +1,123 @@
+/**
+ * RuntimeConfig: where each setting comes from, validation against the schema,
+ * and the /api/config body. Defaults must match config.js.
+ */
+
+const { describe, test, expect, afterAll } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const RuntimeConfig = require('../server/runtime-config');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'runtime-config-'));
+
+function writeConfigFile(contents) {
+    const filePath = path.join(tmpDir, `config-${Math.random().toString(36).slice(2)}.json`);
+    fs.writeFileSync(filePath, typeof contents === 'string' ? contents : JSON.stringify(contents));
+    return filePath;
+}
+
+/**
+ * Load with no environment and an empty config file unless given
+ */
+function load({ flags = {}, env = {}, file = {} } = {}) {
+    return new RuntimeConfig({ flags, env, configFile: writeConfigFile(file), log: () => {} }).load();
+}
+
+/**
+ * CONFIG as config.js builds it in the browser
+ */
+function browserConfig() {
+    const window = { location: { hostname: 'localhost', protocol: 'http:', host: 'localhost:3000', search: '' } };
+    vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'config.js'), 'utf8'), { window, console });
+    return window.CONFIG;
+}
+
+function getPath(object, dottedPath) {
+    return dottedPath.split('.').reduce((value, key) => value?.[key], object);
+}
+
+afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('RuntimeConfig', () => {
+    test('schema defaults match config.js', () => {
+        const config = browserConfig();
+        const mismatches = Object.values(RuntimeConfig.SCHEMA)
+            .filter(setting => JSON.stringify(getPath(config, setting.path)) !== JSON.stringify(setting.default))
+            .map(setting => `${setting.path}: config.js ${JSON.stringify(getPath(config, setting.path))}, schema ${JSON.stringify(setting.default)}`);
+
+        expect(mismatches).toEqual([]);
+    });
+
+    test('a flag beats the environment, which beats the file', () => {
+        const config = load({
+            flags: { 'timing.messagePollInterval': '3000' },
+            env: { HYPERBEAM_TIMING_MESSAGE_POLL_INTERVAL: '4000', HYPERBEAM_FETCH_CONCURRENCY: '8' },
+            file: { timing: { messagePollInterval: 5000 }, fetch: { concurrency: 4, maxRetries: 5 } }
+        });
+
+        expect(config.get('timing.messagePollInterval')).toBe(3000);
+        expect(config.get('fetch.concurrency')).toBe(8);
+        expect(config.get('fetch.maxRetries')).toBe(5);
+        expect(config.get('fetch.rangeEndpoint')).toBe(false);
+        expect(config.sources['timing.messagePollInterval']).toBe('flag');
+        expect(config.sources['fetch.concurrency']).toBe('env');
+        expect(config.sources['fetch.maxRetries']).toBe('file');
+        expect(config.sources['fetch.rangeEndpoint']).toBe('default');
+    });
+
+    test('derives environment variable names from setting names', () => {
+        const config = new RuntimeConfig({ env: {} });
+
+        expect(config.getEnvName('timing.messagePollInterval')).toBe('HYPERBEAM_TIMING_MESSAGE_POLL_INTERVAL');
+        expect(config.getEnvName('localCache.maxMessagesPerRoom')).toBe('HYPERBEAM_LOCAL_CACHE_MAX_MESSAGES_PER_ROOM');
+        expect(config.getEnvName('processId')).toBe('HYPERBEAM_PROCESS_ID');
+    });
+
+    test('parses booleans and URL lists from strings', () => {
+        const config = load({ env: { HYPERBEAM_UI_ENABLE_SOUND: 'yes', HYPERBEAM_BACKUP_NODES: 'https://a.example, http://b.example:8734' } });
+
+        expect(config.get('ui.enableSound')).toBe(true);
+        expect(config.get('backupNodes')).toEqual(['https://a.example', 'http://b.example:8734']);
+    });
+
+    test('rejects values outside the schema', () => {
+        const cases = [
+            [{ flags: { 'timing.messagePollInterval': '100' } }, 'must be at least 500'],
+            [{ flags: { 'messages.maxMessageLength': '20000' } }, 'must be at most 10000'],
+            [{ env: { HYPERBEAM_FETCH_CONCURRENCY: 'many' } }, 'expected an integer'],
+            [{ file: { timing: { confirmationTimeout: 2500.5 } } }, 'expected an integer'],
+            [{ env: { HYPERBEAM_UI_AUTO_SCROLL: 'maybe' } }, 'expected true or false'],
+            [{ env: { HYPERBEAM_BACKUP_NODES: 'ftp://node.example' } }, 'is not an http(s) URL'],
+            [{ flags: { processId: 'too-short' } }, 'must match'],
+            [{ file: { realtime: { transport: 'carrier-pigeon' } } }, 'must be one of websocket, http'],
+            [{ flags: { 'timing.nope': '1' } }, 'Unknown setting: timing.nope']
+        ];
+
+        for (const [options, message] of cases) {
+            expect(() => load(options)).toThrow(message);
+        }
+    });
+
+    test('names the source of an invalid value', () => {
+        expect(() => load({ env: { HYPERBEAM_FETCH_MAX_RETRIES: '50' } })).toThrow('from HYPERBEAM_FETCH_MAX_RETRIES');
+        expect(() => load({ file: { fetch: { maxRetries: 50 } } })).toThrow('from file');
+    });
+
+    test('fails on a missing or malformed config file', () => {
+        expect(() => new RuntimeConfig({ env: {}, configFile: path.join(tmpDir, 'missing.json'), log: () => {} }).load()).toThrow('Config file not found');
+        expect(() => new RuntimeConfig({ env: {}, configFile: writeConfigFile('{ nope'), log: () => {} }).load()).toThrow('is not valid JSON');
+    });
+
+    test('serves values keyed by CONFIG path with their sources', () => {
+        const body = load({ env: { HYPERBEAM_TIMING_SLOT_POLL_INTERVAL: '1500' } }).toJSON();
+
+        expect(body.version).toBe(1);
+        expect(body.settings['TIMING.SLOT_POLL_INTERVAL']).toBe(1500);
+        expect(body.sources['TIMING.SLOT_POLL_INTERVAL']).toBe('env');
+        expect(Object.keys(body.settings)).toHaveLength(Object.keys(RuntimeConfig.SCHEMA).length);
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * Builds into a temporary directory with build.js and serves it through
+ * StaticAssets: hashed assets, precompressed variants, caching headers and ETags.
+ */
+
+const { describe, test, expect, beforeAll, afterAll } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const StaticAssets = require('../server/static-assets');
+
+let outDir;
+let manifest;
+let assets;
+
+function request(pathname, headers = {}, method = 'GET') {
+    return new Request(`http://localhost${pathname}`, { method, headers });
+}
+
+beforeAll(() => {
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-build-'));
+    const result = Bun.spawnSync(['bun', 'build.js', '--out', outDir], { cwd: path.join(__dirname, '..') });
+    if (result.exitCode !== 0) {
+        throw new Error(`build.js failed:\n${result.stderr}`);
+    }
+
+    manifest = JSON.parse(fs.readFileSync(path.join(outDir, 'manifest.json'), 'utf8'));
+    assets = new StaticAssets(outDir, { log: () => {} });
+    assets.load();
+});
+
+afterAll(() => {
+    fs.rmSync(outDir, { recursive: true, force: true });
+});
+
+describe('build.js', () => {
+    test('bundles every module script from index.html into hashed assets', () => {
+        const html = fs.readFileSync(path.join(outDir, 'index.html'), 'utf8');
+
+        expect(manifest.modules).toContain('js/chat.js');
+        expect(manifest.assets['app.js']).toMatch(/^assets\/app\.[0-9a-f]{10}\.js$/);
+        expect(manifest.assets['app.css']).toMatch(/^assets\/app\.[0-9a-f]{10}\.css$/);
+        expect(html).toContain(`<script src="${manifest.assets['app.js']}"></script>`);
+        expect(html).toContain(`<link rel="stylesheet" href="${manifest.assets['app.css']}">`);
+        expect(html).not.toContain('<script src="js/');
+        expect(html).not.toContain('<style>');
+    });
+
+    test('writes gzip and brotli copies that decode to the asset', () => {
+        const assetPath = path.join(outDir, manifest.assets['app.js']);
+        const content = fs.readFileSync(assetPath);
+
+        expect(zlib.gunzipSync(fs.readFileSync(`${assetPath}.gz`)).equals(content)).toBe(true);
+        expect(zlib.brotliDecompressSync(fs.readFileSync(`${assetPath}.br`)).equals(content)).toBe(true);
+    });
+});
+
+describe('StaticAssets', () => {
+    test('caches hashed assets for a year and revalidates index.html', () => {
+        const asset = assets.serve(request(`/${manifest.assets['app.js']}`), `/${manifest.assets['app.js']}`);
+        const index = assets.serve(request('/'), '/');
+
+        expect(asset.headers.get('cache-control')).toBe('public, max-age=31536000, immutable');
+        expect(asset.headers.get('content-type')).toBe('application/javascript; charset=utf-8');
+        expect(index.headers.get('cache-control')).toBe('no-cache');
+        expect(index.headers.get('content-type')).toBe('text/html; charset=utf-8');
+        expect(assets.serve(request('/missing.js'), '/missing.js')).toBeNull();
+        expect(assets.serve(request('/manifest.json'), '/manifest.json')).toBeNull();
+    });
+
+    test('prefers brotli, then gzip, and varies on Accept-Encoding', () => {
+        const pathname = `/${manifest.assets['app.css']}`;
+        const encodingFor = (acceptEncoding) => assets.serve(request(pathname, { 'accept-encoding': acceptEncoding }), pathname)
+            .headers.get('content-encoding');
+
+        expect(encodingFor('gzip, deflate, br')).toBe('br');
+        expect(encodingFor('gzip, br;q=0')).toBe('gzip');
+        expect(encodingFor('identity')).toBeNull();
+        expect(assets.serve(request(pathname), pathname).headers.get('vary')).toBe('Accept-Encoding');
+    });
+
+    test('answers a matching If-None-Match with 304 and HEAD without a body', async () => {
+        const first = assets.serve(request('/index.html', { 'accept-encoding': 'gzip' }), '/index.html');
+        const etag = first.headers.get('etag');
+
+        const revalidated = assets.serve(request('/index.html', { 'accept-encoding': 'gzip', 'if-none-match': `W/${etag}` }), '/index.html');
+        expect(revalidated.status).toBe(304);
+
+        // Another encoding has its own ETag
+        const identity = assets.serve(request('/index.html', { 'if-none-match': etag }), '/index.html');
+        expect(identity.status).toBe(200);
+
+        const head = assets.serve(request('/index.html', {}, 'HEAD'), '/index.html');
+        expect(await head.text()).toBe('');
+    });
+});
